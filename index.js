@@ -3,28 +3,139 @@
 require('dotenv').config();
 
 const express = require('express');
-const { MongoClient, ServerApiVersion } = require('mongodb');
+const { MongoClient, ObjectId, ServerApiVersion } = require('mongodb');
 const cors = require('cors');
+const os = require('os');
+const { randomBytes, randomInt, randomUUID, createHash, createHmac } = require('crypto');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { JsonRpcProvider, Wallet, formatUnits, getAddress, id, keccak256, parseUnits, verifyMessage } = require('ethers');
 
 const app = express();
 const port = process.env.PORT || 8080;
 
+// --- Logging ---
+// Logs are JSON lines ({ time, level, msg, ...fields }) so Fly's log stream can be filtered by field.
+// Every request gets a child logger, req.log, that adds its request ID (also returned in the
+// X-Request-Id header), method, route and wallet; background jobs use children tagged with a
+// `component`. Fields named like credentials are replaced with '[REDACTED]' at any depth.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_REDACTED_FIELDS = /^(authorization|cookie|accessToken|sessionToken|tokenHash|signature|nonce|privateKey|secret|serverSeed|mnemonic|password)$/i; // `token` is not here: it names BXC/AIN
+const LOG_MAX_DEPTH = 6;
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/; // Incoming X-Request-Id values are reused only if they look like an ID
+
+// Copies a log field: credentials are masked, errors become { name, message, code, stack } and
+// ObjectIds their hex string.
+function toLogValue(value, depth = 0) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+    }
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (value === null || typeof value !== 'object' || value instanceof Date) {
+        return value;
+    }
+    if (value instanceof ObjectId) {
+        return value.toHexString();
+    }
+    if (depth >= LOG_MAX_DEPTH) {
+        return '[Truncated]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => toLogValue(item, depth + 1));
+    }
+    const copy = {};
+    for (const [key, field] of Object.entries(value)) {
+        copy[key] = LOG_REDACTED_FIELDS.test(key) ? '[REDACTED]' : toLogValue(field, depth + 1);
+    }
+    return copy;
+}
+
+// Creates a logger whose lines carry `bindings`. Binding values may be functions, evaluated for each
+// line, for fields that are only known later in a request (the matched route, the signed-in wallet).
+// `fields` is an object, or an Error, which is logged as { error }.
+function createLogger(bindings = {}) {
+    const write = (level, msg, fields) => {
+        if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) {
+            return;
+        }
+        const entry = { time: new Date().toISOString(), level: level, msg: msg };
+        for (const [key, binding] of Object.entries(bindings)) {
+            entry[key] = typeof binding === 'function' ? binding() : binding;
+        }
+        Object.assign(entry, toLogValue(fields instanceof Error ? { error: fields } : (fields || {})));
+        (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(JSON.stringify(entry) + '\n');
+    };
+    return {
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+        child: (extraBindings) => createLogger({ ...bindings, ...extraBindings })
+    };
+}
+
+const logger = createLogger();
+const startupLog = logger.child({ component: 'startup' });
+const migrationLog = logger.child({ component: 'migration' });
+const mongoLog = logger.child({ component: 'mongo' });
+
+const logWalletAddress = (source) => (source && typeof source.walletAddress === 'string' ? source.walletAddress.toLowerCase() : undefined);
+
+// Middleware, registered before everything else. Sets req.id and req.log and writes one line per
+// finished request with its status and latency.
+function assignRequestLogger(req, res, next) {
+    const startedAt = process.hrtime.bigint();
+    const incomingId = req.get('X-Request-Id');
+    req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    req.log = logger.child({
+        requestId: req.id,
+        method: req.method,
+        route: () => (req.route ? req.route.path : undefined),
+        walletAddress: () => req.walletAddress || logWalletAddress(req.input) || logWalletAddress(req.body)
+    });
+    res.on('finish', () => {
+        const fields = { path: req.path, status: res.statusCode, durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6 };
+        if (res.statusCode >= 500) {
+            req.log.error("Request failed", fields);
+        } else {
+            req.log.info("Request completed", fields);
+        }
+    });
+    next();
+}
+
+app.use(assignRequestLogger);
+
 app.use(cors({
   origin: "https://xtrashare-bxc.vercel.app", 
   methods: ["GET", "POST"],
-  allowedHeaders: ["Content-Type"]
+  allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id"],
+  exposedHeaders: ["X-Request-Id", "Retry-After"]
 }));
 app.use(express.json());
 
 const uri = process.env.MONGODB_URI;
 const dbName = process.env.DB_NAME || 'ExtraShare';
 
+const MONGO_RETRY_INITIAL_MS = 1000;
+const MONGO_RETRY_MAX_MS = 30 * 1000;
+const MONGO_WRITABLE_SERVER_TYPES = ['RSPrimary', 'Standalone', 'Mongos', 'LoadBalancer'];
+
 let client;
+let databaseReady = false;      // Connected and through the startup migrations
+let databaseReachable = false;  // The driver currently sees a server it can write to
+let shuttingDown = false;
 
+// Connects and runs the startup migrations. On failure the client is closed and the error rethrown,
+// so connectToMongoWithRetry() can start over.
 async function connectToMongo() {
   if (!uri) {
-    console.error("CRITICAL ERROR: MONGODB_URI is not set. Please provide it as a Fly.io secret or in your local .env file.");
-    process.exit(1); 
+    startupLog.error("MONGODB_URI is not set. Please provide it as a Fly.io secret or in your local .env file.");
+    process.exit(1); // Retrying cannot fix missing configuration
   }
 
   try {
@@ -33,20 +144,80 @@ async function connectToMongo() {
         version: ServerApiVersion.v1,
         strict: true,
         deprecationErrors: true,
-      }
+      },
+      monitorCommands: true
     });
+  } catch (err) {
+    startupLog.error("MONGODB_URI is not a valid MongoDB connection string.", err);
+    process.exit(1); // Parse and option errors are configuration, retrying cannot fix them
+  }
+
+  try {
+    recordMongoCommandMetrics(client);
+    watchMongoTopology(client);
     await client.connect();
-    console.log("Connected to MongoDB!");
+    startupLog.info("Connected to MongoDB");
     await ensureGlobalStateInitialized(); 
+    await migrateReferralCodes(); // Must run before ensureIndexes adds the unique referralCode index
+    await ensureIndexes();
+    await ensureBootstrapAdmin();
+    await ensureFingerprintSalt();
+    await migrateEmbeddedStakeTransactions();
+    await migrateReferralBindings();
+    await ensureCurrentCycleRecorded();
+    await ensureLedgerOpeningBalances();
+    await ensureAinPriceInitialized();
+    databaseReady = true;
   } catch (err) {
-    console.error("FAILED TO CONNECT TO MONGODB:", err);
-    process.exit(1); 
+    const failedClient = client;
+    client = null;
+    if (failedClient) {
+      await failedClient.close().catch(() => {});
+    }
+    throw err;
   }
 }
 
+// Retries connectToMongo() with exponential backoff until it succeeds, or the process starts
+// shutting down. Resolves to true once connected.
+async function connectToMongoWithRetry() {
+    for (let attempt = 1; !shuttingDown; attempt++) {
+        try {
+            await connectToMongo();
+            return true;
+        } catch (error) {
+            const retryInMs = Math.min(MONGO_RETRY_INITIAL_MS * 2 ** (attempt - 1), MONGO_RETRY_MAX_MS);
+            startupLog.error("Failed to connect to MongoDB or run startup tasks, retrying", { attempt: attempt, retryInMs: retryInMs, error: error });
+            await new Promise(resolve => setTimeout(resolve, retryInMs));
+        }
+    }
+    return false;
+}
+
+// Keeps databaseReachable current. The driver reconnects by itself; this only tracks whether it
+// has a server to send writes to, so requireDatabase can answer 503 in the meantime.
+function watchMongoTopology(mongoClient) {
+    mongoClient.on('topologyDescriptionChanged', event => {
+        const reachable = [...event.newDescription.servers.values()].some(server => MONGO_WRITABLE_SERVER_TYPES.includes(server.type));
+        if (reachable === databaseReachable) {
+            return;
+        }
+        databaseReachable = reachable;
+        if (reachable) {
+            mongoLog.info("MongoDB is reachable");
+        } else {
+            mongoLog.warn("MongoDB has no writable server; API requests get 503 until it is back");
+        }
+    });
+}
+
+function isDatabaseAvailable() {
+    return databaseReady && databaseReachable;
+}
+
 function getDb() {
     if (!client || !client.db) {
-        console.error("CRITICAL ERROR: MongoDB client not connected when getDb() was called.");
+        logger.error("MongoDB client not connected when getDb() was called");
         throw new Error("MongoDB client not connected.");
     }
     return client.db(dbName);
@@ -57,25 +228,141 @@ const BXC_ACCRUAL_PER_SECOND = 0.001;
 const REFERRAL_BXC = 1050;
 const REFERRAL_COPY_BXC_BONUS = 50;
 const INITIAL_BXC = 2000; 
+const DEFAULT_CLAIM_WINDOW_HOURS = 24; // Reveal/collect window between eventEndTime and the next cycle
+
+const DEFAULT_AIN_USD_PRICE = 0.137; // Seed price, and the price of reveals made before AIN amounts were stored
+
+// Reward tier table used until an admin sets one (see /api/admin/reward-tiers/*). A single roll is
+// checked against the tiers in order, so each probability is that tier's own chance of being drawn.
+const DEFAULT_REWARD_TIERS = [
+    { label: 'large', probability: 0.1, minUSD: 100, maxUSD: 899 },
+    { label: 'regular', probability: 0.5, minUSD: 10, maxUSD: 99 }
+];
+const DEFAULT_LUCKY_WINNER_SLOT_THRESHOLD = 9000; // No rewards are drawn once more slots than this are used
+const MAX_REWARD_TIERS = 20;
+
+// How a cycle's drawn USD reward is settled (see "Game Modes"). Chosen per cycle by an admin.
+const GAME_MODES = {
+    // Reveal and collect after the event ends; the reward is paid in AIN, capped by maxAinRewardPool.
+    'ain-lottery': { stakeBonusBXC: INITIAL_BXC, rewardWindow: 'after-event', rewardToken: 'AIN' },
+    // Reveal and collect while the event runs; the reward is added to the wallet's stakedUSDValue.
+    'usd-compounding': { stakeBonusBXC: 8000, rewardWindow: 'during-event', rewardToken: null }
+};
+const DEFAULT_GAME_MODE = 'ain-lottery';
+
+// Used only to bootstrap the first owner when the admins collection is empty.
+const ADMIN_WALLET_ADDRESS = process.env.ADMIN_WALLET_ADDRESS ? process.env.ADMIN_WALLET_ADDRESS.toLowerCase() : ''; 
+
+// Admin roles, lowest to highest privilege. A route requiring a role accepts that role or any above it.
+const ADMIN_ROLE_RANK = {
+    support: 1,  // Read-only access to admin data
+    operator: 2, // Day-to-day event operations (pausing, durations, slots, user resets)
+    owner: 3     // Treasury settings, funding users and managing other admins
+};
+
+// --- Wallet Authentication (Sign-In with Ethereum, EIP-4361) ---
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || 'xtrashare-bxc.vercel.app';
+const SIWE_URI = process.env.SIWE_URI || `https://${SIWE_DOMAIN}`;
+const CHAIN_ID = parseInt(process.env.CHAIN_ID || '1', 10);
+const AUTH_NONCE_TTL_MS = 10 * 60 * 1000; // Nonces must be signed within 10 minutes
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MINUTES || '60', 10) * 60 * 1000;
+const ADMIN_SESSION_TTL_MS = parseInt(process.env.ADMIN_SESSION_TTL_MINUTES || '30', 10) * 60 * 1000;
+
+const SIWE_STATEMENTS = {
+    user: 'Sign in to ExtraShare BXC.',
+    admin: 'Sign in to the ExtraShare BXC admin panel.'
+};
+
+function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
 
-const AIN_USD_PRICE = 0.137; // Still a fixed price for AIN conversion
-const REWARD_CHANCE_LARGE_WIN = 0.1; 
-const REWARD_CHANCE_REGULAR_WIN = 0.5;
+// Builds the exact EIP-4361 message the wallet is asked to sign. The message is stored with the
+// nonce so verification can require a byte-for-byte match instead of parsing client input. The
+// address is lower-cased first: getAddress() rejects mixed case with a wrong checksum, and wallets
+// are matched case-insensitively everywhere else.
+function buildSiweMessage(walletAddress, scope, nonce, issuedAt, expiresAt) {
+    return [
+        `${SIWE_DOMAIN} wants you to sign in with your Ethereum account:`,
+        getAddress(walletAddress.toLowerCase()),
+        '',
+        SIWE_STATEMENTS[scope],
+        '',
+        `URI: ${SIWE_URI}`,
+        'Version: 1',
+        `Chain ID: ${CHAIN_ID}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt.toISOString()}`,
+        `Expiration Time: ${expiresAt.toISOString()}`
+    ].join('\n');
+}
 
-const REWARD_USD_LARGE_MIN = 100;
-const REWARD_USD_LARGE_MAX = 899;
-const REWARD_USD_REGULAR_MIN = 10;
-const REWARD_USD_REGULAR_MAX = 99;
+// Looks up the unexpired session of the given scope ('user' or 'admin') for the request's bearer token.
+async function findSession(req, scope) {
+    const authHeader = req.headers.authorization || '';
+    const match = authHeader.match(/^Bearer\s+([a-f0-9]{64})$/i);
+    if (!match) {
+        return null;
+    }
 
-const LUCKY_WINNER_SLOT_THRESHOLD = 9000; // This can remain a constant if not admin-controlled
+    const db = getDb();
+    return db.collection('sessions').findOne({
+        tokenHash: hashToken(match[1].toLowerCase()),
+        scope: scope,
+        expiresAt: { $gt: new Date() }
+    });
+}
 
-const ADMIN_WALLET_ADDRESS = process.env.ADMIN_WALLET_ADDRESS ? process.env.ADMIN_WALLET_ADDRESS.toLowerCase() : ''; 
-if (!ADMIN_WALLET_ADDRESS) {
-    console.warn("WARNING: ADMIN_WALLET_ADDRESS environment variable is not set. Admin features will be inaccessible.");
+// Middleware: resolves the "Authorization: Bearer <token>" header to a wallet session.
+// Routes must use req.walletAddress and never trust a walletAddress from the request body.
+async function requireSession(req, res, next) {
+    try {
+        const session = await findSession(req, 'user');
+
+        if (!session) {
+            return sendError(res, 401, 'AUTH_REQUIRED', "Authentication required. Please sign in with your wallet.");
+        }
+
+        req.walletSession = session;
+        req.walletAddress = session.walletAddress;
+        next();
+    } catch (error) {
+        req.log.error("Error validating session", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error during authentication.");
+    }
 }
 
-function isAdmin(walletAddress) {
-    return walletAddress && walletAddress.toLowerCase() === ADMIN_WALLET_ADDRESS;
+// Middleware factory: requires an admin session whose wallet currently holds at least `minRole`.
+// The role is re-read from the admins collection on every request so removals take effect immediately.
+function requireAdmin(minRole) {
+    const middleware = async (req, res, next) => {
+        try {
+            const session = await findSession(req, 'admin');
+
+            if (!session) {
+                return sendError(res, 401, 'AUTH_REQUIRED', "Admin authentication required. Please sign in with your admin wallet.", { isAdmin: false });
+            }
+
+            const admin = await getDb().collection('admins').findOne({ walletAddress: session.walletAddress });
+
+            if (!admin) {
+                return sendError(res, 403, 'NOT_ADMIN', "Access Denied: Not an admin.", { isAdmin: false });
+            }
+            if ((ADMIN_ROLE_RANK[admin.role] || 0) < ADMIN_ROLE_RANK[minRole]) {
+                return sendError(res, 403, 'INSUFFICIENT_ROLE', `Access Denied: This action requires the '${minRole}' role.`, { isAdmin: true, requiredRole: minRole });
+            }
+
+            req.walletSession = session;
+            req.walletAddress = session.walletAddress;
+            req.admin = admin;
+            next();
+        } catch (error) {
+            req.log.error("Error validating admin session", error);
+            sendError(res, 500, 'INTERNAL_ERROR', "Internal server error during authentication.");
+        }
+    };
+    middleware.minRole = minRole; // Read by the OpenAPI generator
+    return middleware;
 }
 
 // Ensures global event state is always present and valid
@@ -87,71 +374,54 @@ async function ensureGlobalStateInitialized() {
         const now = new Date();
 
         if (!globalState) {
-            console.log("Global state not found. Initializing with default values.");
+            startupLog.info("Global state not found; initializing with default values");
             globalState = {
                 totalSlotsUsed: 0, 
+                cycleNumber: 1, // Incremented on every new event cycle; links stakes to their cycle
                 eventStartTime: now, 
                 eventEndTime: new Date(now.getTime() + 95 * 60 * 60 * 1000), // Default 95 hours event duration
                 isPaused: false,
                 pauseStartTime: null,
                 withdrawalsPaused: false,
+                withdrawalsPausedReason: null, // 'daily_outflow_ceiling' when paused automatically
+                withdrawalRules: { BXC: { ...DEFAULT_WITHDRAWAL_RULES }, AIN: { ...DEFAULT_WITHDRAWAL_RULES } },
                 lastResetTime: now,
                 // --- NEW ADMIN-CONTROLLABLE DEFAULTS ---
                 stakingRecipientAddress: '0x9FfDabC1b4e1d0a2B64045C32EBf3231F8541578', // <<<--- IMPORTANT: REPLACE THIS PLACEHOLDER WITH YOUR ACTUAL STAKING WALLET ADDRESS
+                stakingRecipientHistory: [{ address: '0x9ffdabc1b4e1d0a2b64045c32ebf3231f8541578', activeFrom: now }], // Used to verify stakes paid before an address change
                 initialStakeAmountUSD: 8, // Default initial stake amount
                 maxStakeSlots: 30000, // Default max slots
                 maxAinRewardPool: 100000, // Default total AIN pool cap (e.g., 100,000 AIN)
                 totalAinRewarded: 0, // Initial total AIN rewarded for the current event cycle
                 eventDurationHours: 95, // Default event duration in hours (for persistence)
+                claimWindowHours: DEFAULT_CLAIM_WINDOW_HOURS, // Time after eventEndTime to reveal/collect before the next cycle starts
+                rewardTiers: DEFAULT_REWARD_TIERS, // Tier table of the running cycle
+                luckyWinnerSlotThreshold: DEFAULT_LUCKY_WINNER_SLOT_THRESHOLD,
+                nextRewardTable: null, // { tiers, luckyWinnerSlotThreshold } to apply from the next cycle on
+                gameMode: DEFAULT_GAME_MODE, // Key of GAME_MODES used to settle the running cycle's rewards
+                nextGameMode: null, // Game mode to switch to from the next cycle on
+                rolloverInProgress: null,
+                referralBonusLevels: [REFERRAL_BXC], // BXC per upline level for a referee's first stake (index 0 = direct referrer)
+                referralCommissionPercent: 0, // Share of collected AIN paid to the direct referrer
+                referralAttributionWindowHours: DEFAULT_REFERRAL_ATTRIBUTION_WINDOW_HOURS, // How long a link click can be credited with a stake
+                referralShareBonusMode: 'copy', // 'copy': share bonus for copying the link; 'conversion': only when a click converts
             };
             await globalStateCollection.insertOne(globalState);
-            console.log(`[INIT] New default global event and settings initialized. Event ends: ${globalState.eventEndTime.toISOString()}`);
+            startupLog.info("Initialized default global state", { eventEndTime: globalState.eventEndTime });
         } else {
-            console.log(`[INIT] Existing global state found. Current event ends: ${globalState.eventEndTime ? globalState.eventEndTime.toISOString() : 'N/A'}`);
-            console.log(`[INIT] isPaused: ${globalState.isPaused}, withdrawalsPaused: ${globalState.withdrawalsPaused}`);
-            console.log(`[INIT] Staking Address: ${globalState.stakingRecipientAddress}, Stake Amount: ${globalState.initialStakeAmountUSD}, Max Slots: ${globalState.maxStakeSlots}`);
-            console.log(`[INIT] AIN Pool: ${globalState.maxAinRewardPool}, AIN Rewarded: ${globalState.totalAinRewarded}`);
-
-            // If event expired, start a new one
-            if (!globalState.eventStartTime || !globalState.eventEndTime || now > globalState.eventEndTime) {
-                console.log("[INIT] Existing event expired. Starting a new event cycle.");
-                // Use existing duration if available, otherwise default to 95 hours
-                const eventDurationHours = globalState.eventDurationHours || 95; // Use this to preserve admin set duration
-                const newEventStartTime = now;
-                const newEventEndTime = new Date(now.getTime() + eventDurationHours * 60 * 60 * 1000); 
-                
-                await globalStateCollection.updateOne(
-                    {},
-                    { $set: {
-                        totalSlotsUsed: 0, 
-                        eventStartTime: newEventStartTime,
-                        eventEndTime: newEventEndTime,
-                        isPaused: false, 
-                        pauseStartTime: null, 
-                        withdrawalsPaused: false, 
-                        lastResetTime: now,
-                        totalAinRewarded: 0, 
-                    }}
-                );
-                globalState = await globalStateCollection.findOne({}); // Refresh globalState after update
-                
-                // ALSO RESET USER STAKING STATUS FOR THE NEW CYCLE (FIX FOR NEGATIVE SLOTS)
-                const usersCollection = db.collection('users');
-                await usersCollection.updateMany(
-                    {}, 
-                    { $set: { 
-                        claimedEventRewardTime: null, 
-                        collectedEventRewardTime: null, 
-                        lastRevealedUSDAmount: 0,
-                        slotsStaked: 0, // ADDED: Reset slots staked for new event cycle
-                        stakedUSDValue: 0, // ADDED: Reset staked USD value for new event cycle
-                        stakeTransactions: [], // ADDED: Clear stake transactions for new event cycle
-                        lastBXCAccrualTime: now // ADDED: Reset accrual time
-                    } }
-                );
-                console.log(`[INIT] New event cycle started at: ${newEventStartTime.toISOString()}, ends at: ${newEventEndTime.toISOString()}`);
-                console.log("[INIT] All users' staking statuses reset for the new event cycle.");
-            }
+            startupLog.info("Loaded global state", {
+                cycleNumber: globalState.cycleNumber,
+                eventEndTime: globalState.eventEndTime || null,
+                isPaused: globalState.isPaused,
+                withdrawalsPaused: globalState.withdrawalsPaused,
+                stakingRecipientAddress: globalState.stakingRecipientAddress,
+                initialStakeAmountUSD: globalState.initialStakeAmountUSD,
+                maxStakeSlots: globalState.maxStakeSlots,
+                maxAinRewardPool: globalState.maxAinRewardPool,
+                totalAinRewarded: globalState.totalAinRewarded
+            });
+
+            // Expired events are rolled over by the event scheduler (scheduleEventRollover), not here.
 
             // Ensure any missing new fields are added to existing globalState document without overwriting existing
             const updateFields = {};
@@ -164,26 +434,491 @@ async function ensureGlobalStateInitialized() {
             if (globalState.pauseStartTime === undefined) updateFields.pauseStartTime = null;
             if (globalState.withdrawalsPaused === undefined) updateFields.withdrawalsPaused = false;
             if (globalState.eventDurationHours === undefined) updateFields.eventDurationHours = 95;
+            if (globalState.cycleNumber === undefined) updateFields.cycleNumber = 1;
+            if (globalState.claimWindowHours === undefined) updateFields.claimWindowHours = DEFAULT_CLAIM_WINDOW_HOURS;
+            if (globalState.rolloverInProgress === undefined) updateFields.rolloverInProgress = null;
+            if (globalState.withdrawalsPausedReason === undefined) updateFields.withdrawalsPausedReason = null;
+            if (globalState.rewardTiers === undefined) updateFields.rewardTiers = DEFAULT_REWARD_TIERS;
+            if (globalState.luckyWinnerSlotThreshold === undefined) updateFields.luckyWinnerSlotThreshold = DEFAULT_LUCKY_WINNER_SLOT_THRESHOLD;
+            if (globalState.nextRewardTable === undefined) updateFields.nextRewardTable = null;
+            if (globalState.gameMode === undefined) updateFields.gameMode = DEFAULT_GAME_MODE;
+            if (globalState.nextGameMode === undefined) updateFields.nextGameMode = null;
+            if (globalState.referralBonusLevels === undefined) updateFields.referralBonusLevels = [REFERRAL_BXC];
+            if (globalState.referralCommissionPercent === undefined) updateFields.referralCommissionPercent = 0;
+            if (globalState.referralAttributionWindowHours === undefined) updateFields.referralAttributionWindowHours = DEFAULT_REFERRAL_ATTRIBUTION_WINDOW_HOURS;
+            if (globalState.referralShareBonusMode === undefined) updateFields.referralShareBonusMode = 'copy';
+            if (globalState.withdrawalRules === undefined) updateFields.withdrawalRules = { BXC: { ...DEFAULT_WITHDRAWAL_RULES }, AIN: { ...DEFAULT_WITHDRAWAL_RULES } };
+            if (globalState.stakingRecipientHistory === undefined) {
+                updateFields.stakingRecipientHistory = [{
+                    address: (updateFields.stakingRecipientAddress || globalState.stakingRecipientAddress).toLowerCase(),
+                    activeFrom: new Date(0)
+                }];
+            }
 
             if (Object.keys(updateFields).length > 0) {
                 await globalStateCollection.updateOne({}, { $set: updateFields });
-                console.log("Existing global state updated with new default fields.");
+                startupLog.info("Added new default fields to the global state", { fields: Object.keys(updateFields) });
             }
         }
     } catch (error) {
-        console.error("ERROR IN ensureGlobalStateInitialized:", error);
+        startupLog.error("Error initializing global state", error);
+    }
+}
+
+// --- Rate Limiting ---
+// Fixed-window request counters in the 'rateLimits' collection, so all machines share one budget.
+// Each route belongs to a class ('read', 'mutation' or 'admin') with its own limit per client IP and
+// per signed-in wallet. Public routes are limited per IP only: a walletAddress in their body is not
+// proof of anything, and counting it would let anyone use up that wallet's budget. Limits are
+// stored in globalState.rateLimits, edited via /api/admin/set-rate-limits, and cached briefly.
+const DEFAULT_RATE_LIMITS = {
+    read: { windowSeconds: 60, perIp: 120, perWallet: 60 },
+    mutation: { windowSeconds: 60, perIp: 30, perWallet: 20 },
+    admin: { windowSeconds: 60, perIp: 120, perWallet: 120 }
+};
+const RATE_LIMIT_CONFIG_TTL_MS = 30 * 1000;
+
+let rateLimitConfigCache = null;
+
+// Client IP as seen by Fly.io's proxy, falling back to the socket address.
+function getClientIp(req) {
+    return req.headers['fly-client-ip'] || req.ip || '';
+}
+
+function mergeRateLimits(storedLimits) {
+    const limits = {};
+    for (const routeClass of Object.keys(DEFAULT_RATE_LIMITS)) {
+        limits[routeClass] = { ...DEFAULT_RATE_LIMITS[routeClass], ...((storedLimits || {})[routeClass] || {}) };
+    }
+    return limits;
+}
+
+async function getRateLimitConfig() {
+    if (rateLimitConfigCache && Date.now() - rateLimitConfigCache.loadedAt < RATE_LIMIT_CONFIG_TTL_MS) {
+        return rateLimitConfigCache.limits;
+    }
+    const globalState = await getDb().collection('globalState').findOne({}, { projection: { rateLimits: 1 } });
+    const limits = mergeRateLimits(globalState && globalState.rateLimits);
+    rateLimitConfigCache = { limits: limits, loadedAt: Date.now() };
+    return limits;
+}
+
+// Counts one request for `key` in the current window. Resolves to { count, resetAt }.
+async function countRateLimitHit(key, windowSeconds) {
+    const windowMs = windowSeconds * 1000;
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const update = () => getDb().collection('rateLimits').findOneAndUpdate(
+        { _id: `${key}:${windowStart}` },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowStart + windowMs) } },
+        { upsert: true, returnDocument: 'after' }
+    );
+
+    let counter;
+    try {
+        counter = await update();
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+        counter = await update(); // Lost the race to create the window's counter; it exists now
+    }
+    return { count: counter.count, resetAt: windowStart + windowMs };
+}
+
+// Middleware factory. Place after requireSession / requireAdmin so the wallet is known. If the
+// counters cannot be read the request is let through rather than failing the API.
+function rateLimit(routeClass) {
+    const middleware = async (req, res, next) => {
+        try {
+            const limits = (await getRateLimitConfig())[routeClass];
+
+            const checks = [{ key: `${routeClass}:ip:${getClientIp(req)}`, limit: limits.perIp }];
+            if (req.walletAddress) {
+                checks.push({ key: `${routeClass}:wallet:${req.walletAddress}`, limit: limits.perWallet });
+            }
+
+            for (const check of checks) {
+                const { count, resetAt } = await countRateLimitHit(check.key, limits.windowSeconds);
+                if (count > check.limit) {
+                    const retryAfterSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+                    res.set('Retry-After', String(retryAfterSeconds));
+                    return sendError(res, 429, 'RATE_LIMITED', `Too many requests. Please try again in ${retryAfterSeconds} seconds.`, { retryAfterSeconds: retryAfterSeconds });
+                }
+            }
+        } catch (error) {
+            req.log.error("Error checking rate limits, allowing request", { routeClass: routeClass, error: error });
+        }
+        next();
+    };
+    middleware.routeClass = routeClass; // Read by the OpenAPI generator
+    return middleware;
+}
+
+// Creates the indexes the API relies on. createIndex is a no-op when the index already exists.
+async function ensureIndexes() {
+    const db = getDb();
+
+    await db.collection('rateLimits').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('authNonces').createIndex({ nonce: 1 }, { unique: true });
+    await db.collection('authNonces').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('sessions').createIndex({ tokenHash: 1 }, { unique: true });
+    await db.collection('sessions').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('sessions').createIndex({ walletAddress: 1, scope: 1 });
+    await db.collection('admins').createIndex({ walletAddress: 1 }, { unique: true });
+    await db.collection('stakes').createIndex({ chainId: 1, hash: 1 }, { unique: true });
+    await db.collection('stakes').createIndex({ walletAddress: 1, cycleNumber: 1 });
+    await db.collection('stakes').createIndex({ status: 1 });
+    await db.collection('stakes').createIndex({ cycleNumber: 1, status: 1 });
+    await db.collection('users').createIndex({ referredBy: 1, referredAt: -1 });
+    await db.collection('users').createIndex({ referralPath: 1 });
+    await db.collection('users').createIndex({ referralCode: 1 }, { unique: true, partialFilterExpression: { referralCode: { $type: 'string' } } });
+    await db.collection('referralCodes').createIndex({ walletAddress: 1 });
+    await db.collection('referralClicks').createIndex({ code: 1, fingerprintHash: 1, createdAt: -1 });
+    await db.collection('referralClicks').createIndex({ fingerprintHash: 1, createdAt: -1 });
+    await db.collection('referralClicks').createIndex({ referrerWallet: 1, code: 1 });
+    await db.collection('eventCycles').createIndex({ cycleNumber: 1 }, { unique: true });
+    await db.collection('cycleResults').createIndex({ cycleNumber: 1, walletAddress: 1 }, { unique: true });
+    await db.collection('cycleResults').createIndex({ walletAddress: 1, cycleNumber: -1 });
+    await db.collection('ledger').createIndex({ walletAddress: 1, createdAt: -1 });
+    await db.collection('ledger').createIndex({ reason: 1, cycleNumber: 1 });
+    await db.collection('ainPrices').createIndex({ recordedAt: -1 });
+    await db.collection('cycleSeeds').createIndex({ cycleNumber: 1 }, { unique: true });
+    await db.collection('rewardDraws').createIndex({ cycleNumber: 1, walletAddress: 1 }, { unique: true });
+    await db.collection('withdrawals').createIndex({ walletAddress: 1, createdAt: -1 });
+    await db.collection('withdrawals').createIndex({ status: 1, createdAt: 1 });
+    await db.collection('withdrawals').createIndex({ cycleNumber: 1 });
+}
+
+// Seeds the admins collection with ADMIN_WALLET_ADDRESS as owner the first time the server starts
+// with an empty collection. Afterwards admins are managed through /api/admin/admins/*.
+async function ensureBootstrapAdmin() {
+    const adminsCollection = getDb().collection('admins');
+    const adminCount = await adminsCollection.countDocuments({});
+
+    if (adminCount > 0) {
+        return;
+    }
+    if (!ADMIN_WALLET_ADDRESS) {
+        startupLog.warn("No admins exist and ADMIN_WALLET_ADDRESS is not set. Admin features will be inaccessible.");
+        return;
+    }
+
+    await adminsCollection.insertOne({
+        walletAddress: ADMIN_WALLET_ADDRESS,
+        role: 'owner',
+        addedBy: null,
+        createdAt: new Date()
+    });
+    startupLog.info("Bootstrapped the first owner admin", { adminWalletAddress: ADMIN_WALLET_ADDRESS });
+}
+
+// Makes sure the running cycle has a committed server seed and an eventCycles document (e.g. the
+// first start after upgrading).
+async function ensureCurrentCycleRecorded() {
+    const db = getDb();
+    let globalState = await db.collection('globalState').findOne({});
+    if (!globalState) {
+        return;
+    }
+
+    const seed = await ensureCycleSeed(globalState.cycleNumber);
+    if (globalState.serverSeedHash !== seed.serverSeedHash) {
+        await db.collection('globalState').updateOne(
+            { cycleNumber: globalState.cycleNumber },
+            { $set: { serverSeedHash: seed.serverSeedHash } }
+        );
+        globalState = await db.collection('globalState').findOne({});
+        await db.collection('eventCycles').updateOne(
+            { cycleNumber: globalState.cycleNumber },
+            { $set: { serverSeedHash: seed.serverSeedHash } }
+        );
+    }
+
+    const existing = await db.collection('eventCycles').findOne({ cycleNumber: globalState.cycleNumber });
+    if (!existing) {
+        await recordCycleSnapshot(globalState, 'active');
+    }
+}
+
+// Migration: lifts stake transactions that used to be embedded in user documents into the stakes
+// collection. Legacy transactions were credited on submission, so they are imported as confirmed.
+// Safe to run on every startup; users are only touched while they still carry the legacy array.
+async function migrateEmbeddedStakeTransactions() {
+    const db = getDb();
+    const usersCollection = db.collection('users');
+    const stakesCollection = db.collection('stakes');
+    const globalState = await db.collection('globalState').findOne({});
+    let migratedCount = 0;
+
+    const legacyUsers = usersCollection.find({ 'stakeTransactions.0': { $exists: true } });
+    for await (const user of legacyUsers) {
+        for (const tx of user.stakeTransactions) {
+            if (!tx.hash) continue;
+
+            const hash = tx.hash.toLowerCase();
+            const isCurrentCycle = globalState && tx.timestamp && tx.timestamp >= globalState.eventStartTime;
+            const result = await stakesCollection.updateOne(
+                { chainId: CHAIN_ID, hash: hash },
+                { $setOnInsert: {
+                    chainId: CHAIN_ID,
+                    hash: hash,
+                    walletAddress: user.walletAddress,
+                    cycleNumber: isCurrentCycle ? globalState.cycleNumber : null, // Older cycles were never recorded
+                    amountUSD: tx.amountUSD || 0,
+                    referrerRef: tx.referrerRef || null,
+                    status: tx.status || 'confirmed',
+                    rejectionReason: tx.rejectionReason || null,
+                    createdAt: tx.timestamp || user.createdAt,
+                    verifiedAt: tx.verifiedAt || null,
+                    migratedFromUser: true
+                } },
+                { upsert: true }
+            );
+
+            if (result.upsertedCount > 0) {
+                migratedCount++;
+            } else {
+                const existing = await stakesCollection.findOne({ chainId: CHAIN_ID, hash: hash });
+                if (existing && existing.walletAddress !== user.walletAddress) {
+                    migrationLog.warn("Stake transaction claimed by two wallets; kept the first, please review", { hash: hash, keptWalletAddress: existing.walletAddress, droppedWalletAddress: user.walletAddress });
+                }
+            }
+        }
+    }
+
+    await usersCollection.updateMany({ stakeTransactions: { $exists: true } }, { $unset: { stakeTransactions: '' } });
+    if (migratedCount > 0) {
+        migrationLog.info("Moved embedded stake transactions into the stakes collection", { count: migratedCount });
+    }
+}
+
+
+// Migration: registers every user's referral code in 'referralCodes'. Codes used to be the last six
+// hex characters of the wallet, so several wallets can share one; users are processed oldest first,
+// the first holder keeps the code and later ones get a freshly generated code. Users already
+// registered carry referralCodeRegisteredAt and are skipped.
+async function migrateReferralCodes() {
+    const db = getDb();
+    const usersCollection = db.collection('users');
+    let registered = 0;
+    let reassigned = 0;
+
+    const unregisteredUsers = usersCollection.find({ referralCodeRegisteredAt: { $exists: false } }).sort({ createdAt: 1, _id: 1 });
+    for await (const user of unregisteredUsers) {
+        let code = (user.referralCode || '').toLowerCase();
+        const claimed = code ? await claimReferralCode(code, user.walletAddress, 'legacy') : false;
+        if (!claimed) {
+            code = await reserveReferralCode(user.walletAddress);
+            reassigned++;
+            migrationLog.warn("Referral code taken; assigned a new one", { walletAddress: user.walletAddress, takenCode: user.referralCode, code: code });
+        }
+
+        await usersCollection.updateOne(
+            { _id: user._id },
+            { $set: { referralCode: code, referralCodeRegisteredAt: new Date() } }
+        );
+        registered++;
+    }
+
+    if (registered > 0) {
+        migrationLog.info("Registered referral codes", { registered: registered, reassigned: reassigned });
+    }
+}
+
+// Migration: wallets that staked before referral bindings were recorded are marked as bound to no
+// referrer, so a later stake with someone's code cannot retroactively attach them to a new upline.
+async function migrateReferralBindings() {
+    const db = getDb();
+    const stakedWallets = await db.collection('stakes').distinct('walletAddress', { status: { $in: ['confirmed', 'withdrawn', 'reset'] } });
+    if (stakedWallets.length === 0) {
+        return;
+    }
+
+    const result = await db.collection('users').updateMany(
+        { walletAddress: { $in: stakedWallets }, referredBy: { $exists: false } },
+        { $set: { referredBy: null, referralPath: [], referredAt: null } }
+    );
+    if (result.modifiedCount > 0) {
+        migrationLog.info("Marked previously staked users as having no recorded referrer", { count: result.modifiedCount });
+    }
+}
+
+// --- Balance Ledger ---
+// Every change to BXC_Balance / AIN_Balance is written as an append-only entry in the 'ledger'
+// collection, in the same MongoDB transaction as the balance update, so a user's balance always
+// equals the sum of their ledger entries. (Transactions need a replica set, which Atlas provides.)
+const LEDGER_REASONS = {
+    OPENING_BALANCE: 'opening_balance',           // Balance carried over from before the ledger existed
+    BXC_ACCRUAL: 'bxc_accrual',                   // Time-based accrual while staked
+    STAKE_BONUS: 'stake_bonus',                   // Game mode's stake bonus granted for a confirmed stake
+    REFERRAL_BONUS: 'referral_bonus',             // Per-level BXC bonus granted to an upline referrer for a first stake
+    REFERRAL_COMMISSION: 'referral_commission',   // Share of the AIN a direct referee collects
+    REFERRAL_COPY_BONUS: 'referral_copy_bonus',   // REFERRAL_COPY_BXC_BONUS for sharing the link
+    REWARD_COLLECT: 'reward_collect',             // AIN collected after reveal
+    WITHDRAWAL: 'withdrawal',                     // BXC or AIN moved into the reserved balance by a withdrawal request
+    WITHDRAWAL_RELEASE: 'withdrawal_release',     // Reserved funds returned after a rejected or failed withdrawal
+    STAKE_WITHDRAWAL_FORFEIT: 'stake_withdrawal_forfeit', // Balances cleared when a stake is withdrawn
+    ADMIN_FUND: 'admin_fund'                      // Manual credit by an admin
+};
+const BALANCE_FIELDS = { BXC: 'BXC_Balance', AIN: 'AIN_Balance' };
+const BXC_MIN_ACCRUAL_ENTRY = 1; // Accrual is booked in chunks of at least 1 BXC to keep the ledger compact
+const LEDGER_DRIFT_TOLERANCE = 1e-6;
+
+// Applies `entries` ({ token, amount, reason, cycleNumber, relatedTx, relatedWallet, relatedAdmin,
+// relatedWithdrawal }) to a user's balances together with any extra `update` operators, and writes
+// the ledger entries in the same transaction. `filter` adds conditions to the user match; if nothing
+// matches, nothing is written and the result has matchedCount 0. Pass `session` to join a
+// transaction the caller already started.
+async function applyLedgerUpdate(walletAddress, entries, { filter = {}, update = {}, upsert = false, session = null } = {}) {
+    const db = getDb();
+    const now = new Date();
+    const inc = { ...(update.$inc || {}) };
+
+    for (const entry of entries) {
+        const field = BALANCE_FIELDS[entry.token];
+        inc[field] = (inc[field] || 0) + entry.amount;
+    }
+
+    const apply = async (txnSession) => {
+        const result = await db.collection('users').updateOne(
+            { walletAddress: walletAddress, ...filter },
+            { ...update, $inc: inc },
+            { session: txnSession, upsert: upsert }
+        );
+        if ((result.matchedCount === 0 && result.upsertedCount === 0) || entries.length === 0) {
+            return result;
+        }
+
+        await db.collection('ledger').insertMany(entries.map(entry => ({
+            walletAddress: walletAddress,
+            token: entry.token,
+            amount: entry.amount,
+            reason: entry.reason,
+            cycleNumber: entry.cycleNumber !== undefined ? entry.cycleNumber : null,
+            relatedTx: entry.relatedTx || null,
+            relatedWallet: entry.relatedWallet || null,
+            relatedAdmin: entry.relatedAdmin || null,
+            relatedWithdrawal: entry.relatedWithdrawal || null,
+            createdAt: now
+        })), { session: txnSession });
+        return result;
+    };
+
+    if (session) {
+        return apply(session);
+    }
+
+    let result;
+    await client.withSession(newSession => newSession.withTransaction(async () => {
+        result = await apply(newSession);
+    }));
+    return result;
+}
+
+// Migration: books each existing balance as an opening_balance entry the first time the ledger
+// sees a user. The balance filter skips users whose balance changes concurrently; they are
+// picked up on the next startup.
+async function ensureLedgerOpeningBalances() {
+    const db = getDb();
+    let migratedCount = 0;
+
+    const users = db.collection('users').find({ ledgerInitializedAt: { $exists: false } });
+    for await (const user of users) {
+        const entries = Object.keys(BALANCE_FIELDS)
+            .filter(token => (user[BALANCE_FIELDS[token]] || 0) !== 0)
+            .map(token => ({ token: token, amount: user[BALANCE_FIELDS[token]], reason: LEDGER_REASONS.OPENING_BALANCE }));
+
+        await client.withSession(session => session.withTransaction(async () => {
+            const result = await db.collection('users').updateOne(
+                { _id: user._id, BXC_Balance: user.BXC_Balance, AIN_Balance: user.AIN_Balance, ledgerInitializedAt: { $exists: false } },
+                { $set: { ledgerInitializedAt: new Date() } },
+                { session: session }
+            );
+            if (result.modifiedCount === 1 && entries.length > 0) {
+                await db.collection('ledger').insertMany(entries.map(entry => ({
+                    walletAddress: user.walletAddress,
+                    ...entry,
+                    cycleNumber: null,
+                    relatedTx: null,
+                    relatedWallet: null,
+                    relatedAdmin: null,
+                    createdAt: new Date()
+                })), { session: session });
+                migratedCount++;
+            }
+        }));
+    }
+
+    if (migratedCount > 0) {
+        migrationLog.info("Recorded opening ledger balances", { count: migratedCount });
+    }
+}
+
+// Recomputes every wallet's balances from the ledger and compares them with the stored balances.
+async function reconcileLedger() {
+    const db = getDb();
+    const startedAt = new Date();
+
+    const ledgerTotals = await db.collection('ledger').aggregate([
+        { $group: { _id: { walletAddress: '$walletAddress', token: '$token' }, total: { $sum: '$amount' } } }
+    ]).toArray();
+
+    const expected = new Map();
+    for (const row of ledgerTotals) {
+        const balances = expected.get(row._id.walletAddress) || { BXC: 0, AIN: 0 };
+        balances[row._id.token] = row.total;
+        expected.set(row._id.walletAddress, balances);
+    }
+
+    const drifts = [];
+    let usersChecked = 0;
+    const users = db.collection('users').find({}).project({ walletAddress: 1, BXC_Balance: 1, AIN_Balance: 1 });
+    for await (const user of users) {
+        usersChecked++;
+        const balances = expected.get(user.walletAddress) || { BXC: 0, AIN: 0 };
+        expected.delete(user.walletAddress);
+
+        for (const token of Object.keys(BALANCE_FIELDS)) {
+            const actual = user[BALANCE_FIELDS[token]] || 0;
+            const drift = actual - balances[token];
+            if (Math.abs(drift) > LEDGER_DRIFT_TOLERANCE) {
+                drifts.push({ walletAddress: user.walletAddress, token: token, balance: actual, ledgerBalance: balances[token], drift: drift });
+            }
+        }
+    }
+
+    // Ledger entries for wallets that no longer have a user document
+    for (const [walletAddress, balances] of expected) {
+        for (const token of Object.keys(BALANCE_FIELDS)) {
+            if (Math.abs(balances[token]) > LEDGER_DRIFT_TOLERANCE) {
+                drifts.push({ walletAddress: walletAddress, token: token, balance: 0, ledgerBalance: balances[token], drift: -balances[token] });
+            }
+        }
     }
+
+    return {
+        startedAt: startedAt,
+        finishedAt: new Date(),
+        usersChecked: usersChecked,
+        driftCount: drifts.length,
+        drifts: drifts
+    };
 }
 
 
-// Helper Function: Calculates and updates BXC balance based on time elapsed
-async function calculateAndSaveBXC(user) {
+// Helper Function: Calculates and updates BXC balance based on time elapsed. Pass the request's
+// req.log (or a component logger) as `log` so accrual lines carry its context.
+async function calculateAndSaveBXC(user, log = logger) {
     const db = getDb();
     const usersCollection = db.collection('users');
     const globalStateCollection = db.collection('globalState');
     const globalState = await globalStateCollection.findOne({});
     const now = new Date();
 
+    if (!user) {
+        return user;
+    }
+
     if (globalState && globalState.isPaused) {
         await usersCollection.updateOne(
             { walletAddress: user.walletAddress },
@@ -216,15 +951,26 @@ async function calculateAndSaveBXC(user) {
 
     const accruedBXC = timeElapsedSeconds * BXC_ACCRUAL_PER_SECOND;
 
-    if (accruedBXC > 0 && user.slotsStaked > 0 && globalState && now >= globalState.eventStartTime && (eventEndTime ? now <= eventEndTime : true)) {
-        user.BXC_Balance = (user.BXC_Balance || 0) + accruedBXC;
-        user.lastBXCAccrualTime = now;
+    const isEventRunning = globalState && now >= globalState.eventStartTime && (eventEndTime ? now <= eventEndTime : true);
 
-        await usersCollection.updateOne(
-            { walletAddress: user.walletAddress },
-            { $set: { BXC_Balance: user.BXC_Balance, lastBXCAccrualTime: user.lastBXCAccrualTime } }
+    if (accruedBXC > 0 && accruedBXC < BXC_MIN_ACCRUAL_ENTRY && user.slotsStaked > 0 && isEventRunning) {
+        // Too small to book yet; leave lastBXCAccrualTime alone so it keeps accumulating.
+        return user;
+    }
+
+    if (accruedBXC > 0 && user.slotsStaked > 0 && isEventRunning) {
+        // Matching on the previous accrual time stops concurrent requests from booking the same period twice.
+        const result = await applyLedgerUpdate(
+            user.walletAddress,
+            [{ token: 'BXC', amount: accruedBXC, reason: LEDGER_REASONS.BXC_ACCRUAL, cycleNumber: globalState.cycleNumber }],
+            { filter: { lastBXCAccrualTime: user.lastBXCAccrualTime }, update: { $set: { lastBXCAccrualTime: now } } }
         );
-        console.log(`Accrued ${accruedBXC.toFixed(4)} BXC for ${user.walletAddress}. New balance: ${user.BXC_Balance.toFixed(4)}`);
+
+        if (result.matchedCount > 0) {
+            user.BXC_Balance = (user.BXC_Balance || 0) + accruedBXC;
+            user.lastBXCAccrualTime = now;
+            log.debug("Accrued BXC", { walletAddress: user.walletAddress, accruedBXC: accruedBXC, BXC_Balance: user.BXC_Balance });
+        }
     } else {
         await usersCollection.updateOne(
             { walletAddress: user.walletAddress },
@@ -237,1279 +983,6210 @@ async function calculateAndSaveBXC(user) {
 }
 
 
-// --- API Routes ---
+// --- Distributed Leases ---
+// A lease is a document in the 'locks' collection owned by one machine until it expires, so
+// background jobs run on a single Fly machine at a time.
+const INSTANCE_ID = process.env.FLY_MACHINE_ID || `${os.hostname()}-${process.pid}`;
 
-app.get('/api/health', (req, res) => {
+// Resolves to true if this instance now holds (or already held) the lease.
+async function acquireLease(name, ttlMs) {
+    const now = new Date();
     try {
-        if (client && client.db) {
-            res.status(200).json({ status: 'ok', message: 'Backend is healthy and connected to DB.' });
-        } else {
-            res.status(500).json({ status: 'error', message: 'Backend is running but DB connection is not established.' });
-        }
+        await getDb().collection('locks').updateOne(
+            { _id: name, $or: [{ expiresAt: { $lte: now } }, { owner: INSTANCE_ID }] },
+            { $set: { owner: INSTANCE_ID, acquiredAt: now, expiresAt: new Date(now.getTime() + ttlMs) } },
+            { upsert: true }
+        );
+        return true;
     } catch (error) {
-        console.error("Error in /api/health:", error);
-        res.status(500).json({ status: 'error', message: 'Internal server error during health check.' });
+        if (error.code === 11000) {
+            return false; // Held by another instance: the upsert collided with its document
+        }
+        throw error;
     }
-});
+}
 
+async function releaseLease(name) {
+    await getDb().collection('locks').deleteOne({ _id: name, owner: INSTANCE_ID });
+}
 
-app.post('/api/status', async (req, res) => {
-    const { walletAddress } = req.body;
-    const now = new Date();
 
-    try {
-        const db = getDb();
-        const usersCollection = db.collection('users');
-        const globalStateCollection = db.collection('globalState');
+// --- Event Cycle Archive ---
+// 'eventCycles' holds one document per cycle (parameters, final totals and outcome stats) and
+// 'cycleResults' holds each participating wallet's outcome, written before users are reset.
+
+// Parameters of a cycle as configured in globalState.
+function getCycleParameters(globalState) {
+    return {
+        startTime: globalState.eventStartTime,
+        endTime: globalState.eventEndTime,
+        durationHours: globalState.eventDurationHours || 95,
+        initialStakeAmountUSD: globalState.initialStakeAmountUSD,
+        maxStakeSlots: globalState.maxStakeSlots,
+        maxAinRewardPool: globalState.maxAinRewardPool || 0,
+        stakingRecipientAddress: globalState.stakingRecipientAddress,
+        gameMode: getGameMode(globalState).name,
+        ...getRewardTable(globalState)
+    };
+}
 
-        let user = null;
-        if (walletAddress) {
-            user = await usersCollection.findOne({ walletAddress: walletAddress.toLowerCase() });
-            if (!user) {
-                user = {
-                    walletAddress: walletAddress.toLowerCase(),
-                    slotsStaked: 0,
-                    stakedUSDValue: 0,
-                    BXC_Balance: 0,
-                    AIN_Balance: 0,
-                    claimedEventRewardTime: null,
-                    collectedEventRewardTime: null,
-                    lastRevealedUSDAmount: 0,
-                    lastReferralCopyBonusGiven: null,
-                    referralCode: walletAddress.toLowerCase().slice(-6),
-                    referralCount: 0,
-                    createdAt: now,
-                    stakeTransactions: [],
-                    lastBXCAccrualTime: now
-                };
-                await usersCollection.insertOne(user);
-            } else {
-                user = await calculateAndSaveBXC(user);
-            }
-        }
+// Aggregates per-wallet outcomes. Works on both 'users' (live cycle) and 'cycleResults' (archived),
+// which share the slotsStaked / stakedUSDValue / lastRevealedUSDAmount / *EventRewardTime fields.
+async function aggregateCycleOutcomes(collection, match) {
+    const [stats] = await collection.aggregate([
+        { $match: match },
+        { $group: {
+            _id: null,
+            participants: { $sum: { $cond: [{ $gt: ['$slotsStaked', 0] }, 1, 0] } },
+            totalStakedUSD: { $sum: { $ifNull: ['$stakedUSDValue', 0] } },
+            revealed: { $sum: { $cond: [{ $ifNull: ['$claimedEventRewardTime', false] }, 1, 0] } },
+            winners: { $sum: { $cond: [{ $gt: ['$lastRevealedUSDAmount', 0] }, 1, 0] } },
+            collected: { $sum: { $cond: [{ $ifNull: ['$collectedEventRewardTime', false] }, 1, 0] } },
+            totalRevealedUSD: { $sum: { $ifNull: ['$lastRevealedUSDAmount', 0] } }
+        } }
+    ]).toArray();
+
+    const { _id, ...outcomes } = stats || { participants: 0, totalStakedUSD: 0, revealed: 0, winners: 0, collected: 0, totalRevealedUSD: 0 };
+    return outcomes;
+}
 
-        const globalState = await globalStateCollection.findOne({}); 
-        if (!globalState) {
-            console.error("[API/STATUS] Global state not found. This should be initialized on server. Please check backend logs.");
-            return res.status(500).json({ 
-                message: "Global state not initialized on server. Please check backend logs.",
-                global: { // Provide fallback structure to prevent frontend crashes
-                    totalSlotsUsed: 0,
-                    eventStartTime: now,
-                    eventEndTime: new Date(now.getTime() + 95 * 60 * 60 * 1000),
-                    isPaused: false,
-                    pauseStartTime: null,
-                    withdrawalsPaused: false,
-                    serverTime: now,
-                    stakingRecipientAddress: '0xDefaultErrorAddress', 
-                    initialStakeAmountUSD: 8,     
-                    maxStakeSlots: 30000,                     
-                    maxAinRewardPool: 0,          
-                    totalAinRewarded: 0,          
-                    totalConnectedWallets: 0,
-                    eventDurationHours: 95,
-                }
-            });
-        }
+// Records (or refreshes) the cycle document for the cycle currently in globalState.
+async function recordCycleSnapshot(globalState, status) {
+    await getDb().collection('eventCycles').updateOne(
+        { cycleNumber: globalState.cycleNumber },
+        { $set: {
+            ...getCycleParameters(globalState),
+            totalSlotsUsed: globalState.totalSlotsUsed || 0,
+            totalAinRewarded: globalState.totalAinRewarded || 0,
+            serverSeedHash: globalState.serverSeedHash || null,
+            status: status
+          },
+          $setOnInsert: { cycleNumber: globalState.cycleNumber, createdAt: new Date() } },
+        { upsert: true }
+    );
+}
 
-        const totalConnectedWallets = await usersCollection.countDocuments({});
+// Copies the outcome of every participating user that has not been reset yet into cycleResults.
+// Upserts keyed on cycle + wallet make this safe to repeat after an interrupted rollover.
+async function archiveUserOutcomes(archivedCycleNumber, newCycleNumber) {
+    const db = getDb();
+    const cycleResultsCollection = db.collection('cycleResults');
+    const ARCHIVE_BATCH_SIZE = 500;
+    let operations = [];
+    let archivedCount = 0;
+
+    const participants = db.collection('users').find({
+        lastResetCycle: { $ne: newCycleNumber },
+        $or: [{ slotsStaked: { $gt: 0 } }, { claimedEventRewardTime: { $ne: null } }]
+    });
 
-        res.json({
-            user: user ? {
+    for await (const user of participants) {
+        const revealedUSD = user.lastRevealedUSDAmount || 0;
+        operations.push({ updateOne: {
+            filter: { cycleNumber: archivedCycleNumber, walletAddress: user.walletAddress },
+            update: { $set: {
+                cycleNumber: archivedCycleNumber,
                 walletAddress: user.walletAddress,
-                slotsStaked: user.slotsStaked,
-                stakedUSDValue: user.stakedUSDValue,
-                BXC_Balance: user.BXC_Balance,
-                AIN_Balance: user.AIN_Balance,
-                claimedEventRewardTime: user.claimedEventRewardTime,
-                collectedEventRewardTime: user.collectedEventRewardTime,
-                lastRevealedUSDAmount: user.lastRevealedUSDAmount,
-                lastReferralCopyBonusGiven: user.lastReferralCopyBonusGiven,
-                referralCode: user.referralCode,
-                referralCount: user.referralCount,
-                createdAt: user.createdAt,
-                stakeTransactions: user.stakeTransactions,
-                lastBXCAccrualTime: user.lastBXCAccrualTime
-            } : null,
-            global: {
-                totalSlotsUsed: globalState.totalSlotsUsed,
-                eventStartTime: globalState.eventStartTime,
-                eventEndTime: globalState.eventEndTime,
-                isPaused: globalState.isPaused || false, 
-                pauseStartTime: globalState.pauseStartTime || null,
-                withdrawalsPaused: globalState.withdrawalsPaused || false,
-                serverTime: now,
-                // NEW: Dynamic values from globalState
-                stakingRecipientAddress: globalState.stakingRecipientAddress, 
-                initialStakeAmountUSD: globalState.initialStakeAmountUSD,     
-                maxStakeSlots: globalState.maxStakeSlots,                     
-                maxAinRewardPool: globalState.maxAinRewardPool || 0,          
-                totalAinRewarded: globalState.totalAinRewarded || 0,          
-                totalConnectedWallets: totalConnectedWallets,                 
-                eventDurationHours: globalState.eventDurationHours || 95,
-            },
-            message: "Status fetched successfully."
-        });
-
-    } catch (error) {
-        console.error("[API/STATUS] Error fetching status:", error);
-        res.status(500).json({ message: "Internal server error." });
+                slotsStaked: user.slotsStaked || 0,
+                stakedUSDValue: user.stakedUSDValue || 0,
+                lastRevealedUSDAmount: revealedUSD,
+                lastRevealedAINAmount: getRevealedAINAmount(user),
+                revealedAIN: getRevealedAINAmount(user),
+                claimedEventRewardTime: user.claimedEventRewardTime || null,
+                collectedEventRewardTime: user.collectedEventRewardTime || null,
+                BXC_Balance: user.BXC_Balance || 0,
+                AIN_Balance: user.AIN_Balance || 0,
+                archivedAt: new Date()
+            } },
+            upsert: true
+        } });
+
+        if (operations.length >= ARCHIVE_BATCH_SIZE) {
+            await cycleResultsCollection.bulkWrite(operations, { ordered: false });
+            archivedCount += operations.length;
+            operations = [];
+        }
+    }
+    if (operations.length > 0) {
+        await cycleResultsCollection.bulkWrite(operations, { ordered: false });
+        archivedCount += operations.length;
+    }
+    return archivedCount;
+}
+
+// Stores the final outcome stats of an archived cycle.
+async function finalizeCycleArchive(archivedCycleNumber) {
+    const db = getDb();
+    const stats = await aggregateCycleOutcomes(db.collection('cycleResults'), { cycleNumber: archivedCycleNumber });
+
+    await db.collection('eventCycles').updateOne(
+        { cycleNumber: archivedCycleNumber },
+        { $set: { status: 'archived', archivedAt: new Date(), stats: stats } }
+    );
+}
+
+// Shapes an eventCycles document for API responses.
+function formatCycle(cycle) {
+    const { _id, ...fields } = cycle;
+    return fields;
+}
+
+
+// --- AIN Price ---
+// The USD price of AIN comes from the latest entry in 'ainPrices', which also serves as the price
+// history. AIN_PRICE_SOURCE picks how entries are added besides admins setting one by hand:
+//   manual  Only /api/admin/ain-price/set (default).
+//   http    Polls AIN_PRICE_FEED_URL, which must answer with JSON such as { "price": 0.137 }
+//           (AIN_PRICE_FEED_FIELD names another field). Any local stub serving that shape works.
+// Reveals lock in the AIN amount at the price of that moment; collect pays exactly that amount.
+const ainPriceLog = logger.child({ component: 'ain-price' });
+const AIN_PRICE_SOURCE = process.env.AIN_PRICE_SOURCE || 'manual';
+const AIN_PRICE_FEED_URL = process.env.AIN_PRICE_FEED_URL || '';
+const AIN_PRICE_FEED_FIELD = process.env.AIN_PRICE_FEED_FIELD || 'price';
+const AIN_PRICE_REFRESH_MS = 5 * 60 * 1000;
+const AIN_PRICE_MAX_AGE_MS = 30 * 60 * 1000; // A feed price older than this is stale and reveals are refused
+const AIN_PRICE_FETCH_TIMEOUT_MS = 10 * 1000;
+
+function createManualPriceProvider() {
+    return {
+        name: 'manual',
+        async fetchPrice() {
+            return null; // Prices only change through the admin endpoint
+        }
+    };
+}
+
+function createHttpPriceProvider() {
+    return {
+        name: 'http',
+        async fetchPrice() {
+            const response = await fetch(AIN_PRICE_FEED_URL, { signal: AbortSignal.timeout(AIN_PRICE_FETCH_TIMEOUT_MS) });
+            if (!response.ok) {
+                throw new Error(`Price feed answered with HTTP ${response.status}.`);
+            }
+            const body = await response.json();
+            const price = Number(body[AIN_PRICE_FEED_FIELD]);
+            if (!Number.isFinite(price) || price <= 0) {
+                throw new Error(`Price feed returned an invalid '${AIN_PRICE_FEED_FIELD}': ${body[AIN_PRICE_FEED_FIELD]}`);
+            }
+            return price;
+        }
+    };
+}
+
+const PRICE_PROVIDERS = {
+    manual: createManualPriceProvider,
+    http: createHttpPriceProvider
+};
+
+if (!PRICE_PROVIDERS[AIN_PRICE_SOURCE]) {
+    ainPriceLog.error("Unknown AIN_PRICE_SOURCE; falling back to manual AIN pricing", { source: AIN_PRICE_SOURCE });
+} else if (AIN_PRICE_SOURCE === 'http' && !AIN_PRICE_FEED_URL) {
+    ainPriceLog.error("AIN_PRICE_SOURCE is 'http' but AIN_PRICE_FEED_URL is not set. The AIN price will go stale.");
+}
+
+const priceProvider = (PRICE_PROVIDERS[AIN_PRICE_SOURCE] || createManualPriceProvider)();
+
+async function recordAinPrice(price, source, setBy) {
+    const entry = { price: price, source: source, setBy: setBy || null, recordedAt: new Date() };
+    await getDb().collection('ainPrices').insertOne(entry);
+    return entry;
+}
+
+// Seeds the price history with DEFAULT_AIN_USD_PRICE on first start.
+async function ensureAinPriceInitialized() {
+    const existing = await getDb().collection('ainPrices').findOne({});
+    if (!existing) {
+        await recordAinPrice(DEFAULT_AIN_USD_PRICE, 'default');
+        ainPriceLog.info("Seeded the AIN price history", { price: DEFAULT_AIN_USD_PRICE });
+    }
+}
+
+// Resolves to { price, source, recordedAt, stale }. Only feed prices go stale; manual ones stand
+// until replaced.
+async function getCurrentAinPrice() {
+    const latest = await getDb().collection('ainPrices').findOne({}, { sort: { recordedAt: -1 } });
+    if (!latest) {
+        return { price: DEFAULT_AIN_USD_PRICE, source: 'default', recordedAt: null, stale: false };
+    }
+    return {
+        price: latest.price,
+        source: latest.source,
+        recordedAt: latest.recordedAt,
+        stale: latest.source === 'http' && Date.now() - latest.recordedAt.getTime() > AIN_PRICE_MAX_AGE_MS
+    };
+}
+
+// Background job: pulls a new price from the provider. The lease keeps several machines from
+// recording the same poll.
+async function refreshAinPrice() {
+    if (priceProvider.name === 'manual') {
+        return;
+    }
+
+    try {
+        if (await acquireLease('ainPriceRefresh', AIN_PRICE_REFRESH_MS / 2)) {
+            const price = await priceProvider.fetchPrice();
+            if (price !== null) {
+                await recordAinPrice(price, priceProvider.name);
+            }
+        }
+        recordJobSuccess('ainPriceRefresh'); // Also when another machine holds the lease
+    } catch (error) {
+        ainPriceLog.error("Error fetching the AIN price", { provider: priceProvider.name, error: error });
+    }
+}
+
+// AIN a user revealed this cycle. Reveals made before amounts were stored are converted at the old
+// fixed price, which is what they were shown.
+function getRevealedAINAmount(user) {
+    if (user.lastRevealedAINAmount !== undefined && user.lastRevealedAINAmount !== null) {
+        return user.lastRevealedAINAmount;
+    }
+    return (user.lastRevealedUSDAmount || 0) > 0 ? user.lastRevealedUSDAmount / DEFAULT_AIN_USD_PRICE : 0;
+}
+
+
+// --- Reward Tiers ---
+// Each cycle draws rewards from its own tier table (globalState.rewardTiers, archived with the cycle).
+// Admins stage a table for the next cycle, or replace the running one as long as nobody has revealed.
+
+function getRewardTable(globalState) {
+    return {
+        rewardTiers: globalState.rewardTiers || DEFAULT_REWARD_TIERS,
+        luckyWinnerSlotThreshold: globalState.luckyWinnerSlotThreshold !== undefined ? globalState.luckyWinnerSlotThreshold : DEFAULT_LUCKY_WINNER_SLOT_THRESHOLD
+    };
+}
+
+// Returns an error message for an invalid tier table, or null.
+function validateRewardTiers(tiers) {
+    if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > MAX_REWARD_TIERS) {
+        return `Tiers must be a list of 1-${MAX_REWARD_TIERS} entries.`;
+    }
+
+    let totalProbability = 0;
+    for (const [index, tier] of tiers.entries()) {
+        if (!tier || typeof tier.label !== 'string' || tier.label.length === 0 || tier.label.length > 32) {
+            return `Tier ${index + 1}: label must be a string of 1-32 characters.`;
+        }
+        if (typeof tier.probability !== 'number' || !(tier.probability > 0) || tier.probability > 1) {
+            return `Tier '${tier.label}': probability must be greater than 0 and at most 1.`;
+        }
+        if (!Number.isInteger(tier.minUSD) || !Number.isInteger(tier.maxUSD) || tier.minUSD < 0 || tier.maxUSD < tier.minUSD) {
+            return `Tier '${tier.label}': minUSD and maxUSD must be whole numbers with 0 <= minUSD <= maxUSD.`;
+        }
+        totalProbability += tier.probability;
+    }
+    if (totalProbability > 1 + 1e-9) {
+        return `Tier probabilities add up to ${totalProbability.toFixed(4)}; they must not exceed 1.`;
+    }
+    return null;
+}
+
+// Keeps only the known tier fields, in a fixed order.
+function normalizeRewardTiers(tiers) {
+    return tiers.map(tier => ({ label: tier.label, probability: tier.probability, minUSD: tier.minUSD, maxUSD: tier.maxUSD }));
+}
+
+// Expected payout of a tier table if `slots` wallets each reveal once. Amounts are uniform whole
+// USD values between minUSD and maxUSD, so a tier's mean is the midpoint.
+function previewRewardTable(rewardTable, slots, maxAinRewardPool, ainUsdPrice) {
+    const eligible = slots <= rewardTable.luckyWinnerSlotThreshold;
+    const tiers = rewardTable.rewardTiers.map(tier => {
+        const meanUSD = (tier.minUSD + tier.maxUSD) / 2;
+        return { ...tier, meanUSD: meanUSD, expectedUSDPerSlot: eligible ? tier.probability * meanUSD : 0 };
+    });
+
+    const winProbability = eligible ? tiers.reduce((sum, tier) => sum + tier.probability, 0) : 0;
+    const expectedUSDPerSlot = tiers.reduce((sum, tier) => sum + tier.expectedUSDPerSlot, 0);
+    const expectedTotalAIN = (expectedUSDPerSlot / ainUsdPrice) * slots;
+
+    return {
+        slots: slots,
+        eligible: eligible,
+        winProbability: winProbability,
+        expectedUSDPerSlot: expectedUSDPerSlot,
+        expectedAINPerSlot: expectedUSDPerSlot / ainUsdPrice,
+        expectedTotalUSD: expectedUSDPerSlot * slots,
+        expectedTotalAIN: expectedTotalAIN,
+        maxAinRewardPool: maxAinRewardPool,
+        poolUsage: maxAinRewardPool > 0 ? expectedTotalAIN / maxAinRewardPool : null, // null = uncapped
+        exceedsPool: maxAinRewardPool > 0 && expectedTotalAIN > maxAinRewardPool,
+        tiers: tiers
+    };
+}
+
+
+// --- Provably Fair Reward Draws ---
+// Each cycle commits to a random server seed by publishing its SHA-256 hash (globalState.serverSeedHash)
+// when the cycle starts. A reveal is decided by HMAC-SHA256(serverSeed, "cycle:wallet:clientSeed"),
+// where the client seed is chosen by the user. The seed itself is only published once the cycle is
+// settled, after which anyone can recompute every draw through /api/fairness/verify.
+const CLIENT_SEED_MAX_LENGTH = 64;
+
+function hashServerSeed(serverSeed) {
+    return createHash('sha256').update(serverSeed).digest('hex');
+}
+
+// Returns the cycle's seed document, creating it on first use. Upsert keeps it stable under races.
+async function ensureCycleSeed(cycleNumber) {
+    const serverSeed = randomBytes(32).toString('hex');
+    return getDb().collection('cycleSeeds').findOneAndUpdate(
+        { cycleNumber: cycleNumber },
+        { $setOnInsert: {
+            cycleNumber: cycleNumber,
+            serverSeed: serverSeed,
+            serverSeedHash: hashServerSeed(serverSeed),
+            createdAt: new Date(),
+            revealedAt: null
+        } },
+        { upsert: true, returnDocument: 'after' }
+    );
+}
+
+// Publishes a settled cycle's server seed on its eventCycles document.
+async function revealCycleSeed(cycleNumber) {
+    const db = getDb();
+    const seed = await db.collection('cycleSeeds').findOne({ cycleNumber: cycleNumber });
+    if (!seed) {
+        return;
+    }
+
+    const revealedAt = seed.revealedAt || new Date();
+    await db.collection('cycleSeeds').updateOne({ _id: seed._id }, { $set: { revealedAt: revealedAt } });
+    await db.collection('eventCycles').updateOne(
+        { cycleNumber: cycleNumber },
+        { $set: { serverSeed: seed.serverSeed, serverSeedRevealedAt: revealedAt } }
+    );
+}
+
+// Derives the two uniform rolls in [0, 1) for a draw: one picks the tier, the other the amount.
+function computeRewardRolls(serverSeed, cycleNumber, walletAddress, clientSeed) {
+    const digest = createHmac('sha256', serverSeed).update(`${cycleNumber}:${walletAddress}:${clientSeed}`).digest('hex');
+    return {
+        digest: digest,
+        tierRoll: parseInt(digest.slice(0, 13), 16) / 2 ** 52,
+        amountRoll: parseInt(digest.slice(13, 26), 16) / 2 ** 52
+    };
+}
+
+// Maps rolls to { tier, amountUSD } using a cycle's tier table, before the AIN pool cap is applied.
+// tier is null when no tier was drawn.
+function drawRewardUSD(rolls, totalSlotsUsed, rewardTable) {
+    if (totalSlotsUsed > rewardTable.luckyWinnerSlotThreshold) {
+        return { tier: null, amountUSD: 0 };
+    }
+
+    let cumulativeProbability = 0;
+    for (const tier of rewardTable.rewardTiers) {
+        cumulativeProbability += tier.probability;
+        if (rolls.tierRoll < cumulativeProbability) {
+            return { tier: tier.label, amountUSD: tier.minUSD + Math.floor(rolls.amountRoll * (tier.maxUSD - tier.minUSD + 1)) };
+        }
+    }
+    return { tier: null, amountUSD: 0 };
+}
+
+// The tier table a stored draw was made with. Draws from before tier tables existed used the defaults.
+function getDrawRewardTable(draw) {
+    return {
+        rewardTiers: draw.rewardTiers || DEFAULT_REWARD_TIERS,
+        luckyWinnerSlotThreshold: draw.luckyWinnerSlotThreshold !== undefined ? draw.luckyWinnerSlotThreshold : DEFAULT_LUCKY_WINNER_SLOT_THRESHOLD
+    };
+}
+
+// The inputs a user needs to check their draw once the seed is revealed.
+function formatRewardDraw(draw) {
+    return {
+        cycleNumber: draw.cycleNumber,
+        walletAddress: draw.walletAddress,
+        clientSeed: draw.clientSeed,
+        serverSeedHash: draw.serverSeedHash,
+        totalSlotsUsed: draw.totalSlotsUsed,
+        ...getDrawRewardTable(draw),
+        tier: draw.tier !== undefined ? draw.tier : null,
+        digest: draw.digest,
+        tierRoll: draw.tierRoll,
+        amountRoll: draw.amountRoll,
+        drawnUSD: draw.drawnUSD,
+        rewardAmountUSD: draw.rewardAmountUSD,
+        poolCapped: draw.poolCapped,
+        ainUsdPrice: draw.ainUsdPrice !== undefined ? draw.ainUsdPrice : DEFAULT_AIN_USD_PRICE,
+        AIN_Amount: draw.AIN_Amount !== undefined ? draw.AIN_Amount : null,
+        gameMode: draw.gameMode || DEFAULT_GAME_MODE,
+        revealedAt: draw.createdAt
+    };
+}
+
+
+// --- Game Modes ---
+// Every cycle draws its rewards the same provably fair way; the game mode (globalState.gameMode,
+// archived with the cycle) decides when they can be revealed and collected and what collecting pays.
+// Admins stage a mode for the next cycle, or switch the running one as long as nobody has revealed.
+
+function getGameMode(globalState) {
+    const name = globalState && GAME_MODES[globalState.gameMode] ? globalState.gameMode : DEFAULT_GAME_MODE;
+    return { name: name, ...GAME_MODES[name] };
+}
+
+// Returns { code, message } when the game mode does not allow `action` (e.g. "Reward reveal") at
+// `now`, or null.
+function getRewardWindowError(gameMode, globalState, now, action) {
+    if (gameMode.rewardWindow === 'during-event') {
+        if (!globalState || !globalState.eventStartTime || now < globalState.eventStartTime) {
+            return { code: 'EVENT_NOT_STARTED', message: `${action} is only available while the event is running.` };
+        }
+        if (now > globalState.eventEndTime) {
+            return { code: 'EVENT_ENDED', message: `${action} is only available while the event is running.` };
+        }
+        return null;
+    }
+    if (!globalState || !globalState.eventEndTime || now < globalState.eventEndTime) {
+        return { code: 'EVENT_NOT_ENDED', message: `${action} is only available after the event ends.` };
+    }
+    return null;
+}
+
+// What a drawn USD reward pays in the game mode, given the AIN already rewarded this cycle. AIN
+// rewards are cut to what is left of maxAinRewardPool (0 = uncapped). Returns { rewardAmountUSD,
+// ainAmount }; rewardAmountUSD is below drawnUSD when the pool cut the reward.
+function settleRewardDraw(gameMode, drawnUSD, ainUsdPrice, maxAinRewardPool, totalAinRewarded) {
+    if (gameMode.rewardToken !== 'AIN') {
+        return { rewardAmountUSD: drawnUSD, ainAmount: 0 };
+    }
+    const ainAmount = drawnUSD / ainUsdPrice;
+    if (maxAinRewardPool > 0 && (totalAinRewarded + ainAmount) > maxAinRewardPool) {
+        const remainingAin = Math.max(0, maxAinRewardPool - totalAinRewarded);
+        return { rewardAmountUSD: remainingAin * ainUsdPrice, ainAmount: remainingAin };
+    }
+    return { rewardAmountUSD: drawnUSD, ainAmount: ainAmount };
+}
+
+
+// --- Event Cycle Rollover ---
+// The only place a new event cycle is started. Called by the scheduler when the claim window after
+// eventEndTime has passed, and by /api/admin/set-event-duration.
+const rolloverLog = logger.child({ component: 'rollover' });
+const ROLLOVER_LEASE_TTL_MS = 5 * 60 * 1000;
+const ROLLOVER_RECHECK_MS = 60 * 1000; // Re-read globalState at least this often (admins may move eventEndTime)
+
+// Time at which the current cycle is rolled over: eventEndTime plus the reveal/collect window.
+function getRolloverTime(globalState) {
+    const claimWindowHours = globalState.claimWindowHours !== undefined ? globalState.claimWindowHours : DEFAULT_CLAIM_WINDOW_HOURS;
+    return new Date(globalState.eventEndTime.getTime() + claimWindowHours * 60 * 60 * 1000);
+}
+
+// Switches globalState to the next cycle, then resets users. The cycleNumber guard makes the switch
+// happen at most once per cycle; resolves to false if another caller already rolled this cycle over.
+async function startNewEventCycle(fromCycleNumber, durationHours, trigger) {
+    const db = getDb();
+    const now = new Date();
+    const newCycleNumber = fromCycleNumber + 1;
+    const newEventEndTime = new Date(now.getTime() + durationHours * 60 * 60 * 1000);
+
+    // Snapshot the ending cycle's parameters and totals before globalState is overwritten.
+    const endingGlobalState = await db.collection('globalState').findOne({ cycleNumber: fromCycleNumber, rolloverInProgress: null });
+    if (!endingGlobalState) {
+        return false;
+    }
+    await recordCycleSnapshot(endingGlobalState, 'archiving');
+    const newSeed = await ensureCycleSeed(newCycleNumber);
+
+    const result = await db.collection('globalState').updateOne(
+        { cycleNumber: fromCycleNumber, rolloverInProgress: null },
+        { $set: {
+            totalSlotsUsed: 0, 
+            eventStartTime: now,
+            eventEndTime: newEventEndTime,
+            isPaused: false, 
+            pauseStartTime: null, 
+            withdrawalsPaused: false, 
+            lastResetTime: now,
+            totalAinRewarded: 0, 
+            eventDurationHours: durationHours,
+            serverSeedHash: newSeed.serverSeedHash,
+            ...(endingGlobalState.nextRewardTable ? {
+                rewardTiers: endingGlobalState.nextRewardTable.tiers,
+                luckyWinnerSlotThreshold: endingGlobalState.nextRewardTable.luckyWinnerSlotThreshold
+            } : {}),
+            nextRewardTable: null,
+            ...(endingGlobalState.nextGameMode ? { gameMode: endingGlobalState.nextGameMode } : {}),
+            nextGameMode: null,
+            rolloverInProgress: { cycleNumber: newCycleNumber, startedAt: now, trigger: trigger }
+          },
+          $inc: { cycleNumber: 1 } }
+    );
+    if (result.modifiedCount === 0) {
+        return false;
+    }
+
+    rolloverLog.info("Cycle started", { cycleNumber: newCycleNumber, trigger: trigger, eventEndTime: newEventEndTime });
+    await recordCycleSnapshot(await db.collection('globalState').findOne({}), 'active');
+    await completeEventRollover(newCycleNumber, now);
+    return true;
+}
+
+// Archives the previous cycle's user outcomes, then resets every user's per-cycle state. Users are
+// tagged with the cycle they were reset for, so re-running after a crash only touches the users that
+// were not reached yet.
+async function completeEventRollover(cycleNumber, startedAt) {
+    const db = getDb();
+    const archivedCycleNumber = cycleNumber - 1;
+
+    const archivedCount = await archiveUserOutcomes(archivedCycleNumber, cycleNumber);
+    await finalizeCycleArchive(archivedCycleNumber);
+    await revealCycleSeed(archivedCycleNumber);
+    rolloverLog.info("Cycle archived", { cycleNumber: archivedCycleNumber, participantResults: archivedCount });
+
+    const result = await db.collection('users').updateMany(
+        { lastResetCycle: { $ne: cycleNumber } },
+        { $set: { 
+            claimedEventRewardTime: null, 
+            collectedEventRewardTime: null, 
+            lastRevealedUSDAmount: 0,
+            lastRevealedAINAmount: 0,
+            slotsStaked: 0,
+            stakedUSDValue: 0,
+            lastBXCAccrualTime: startedAt,
+            lastResetCycle: cycleNumber
+        } }
+    );
+
+    await db.collection('globalState').updateOne(
+        { 'rolloverInProgress.cycleNumber': cycleNumber },
+        { $set: { rolloverInProgress: null } }
+    );
+    rolloverLog.info("Users reset for the new cycle", { cycleNumber: cycleNumber, count: result.modifiedCount });
+}
+
+let rolloverLeaseInUse = false;
+
+// Runs `task` while holding the rollover lease. The lease keeps other machines out; the flag keeps
+// this one's scheduler and admin requests apart, since acquireLease lets the owner re-enter.
+// Resolves to the task's result, or to null if the lease is taken.
+async function withRolloverLease(task) {
+    if (rolloverLeaseInUse) {
+        return null;
+    }
+    rolloverLeaseInUse = true;
+    try {
+        if (!(await acquireLease('eventRollover', ROLLOVER_LEASE_TTL_MS))) {
+            return null;
+        }
+        try {
+            return await task();
+        } finally {
+            await releaseLease('eventRollover');
+        }
+    } finally {
+        rolloverLeaseInUse = false;
+    }
+}
+
+// Performs a due rollover (or resumes an interrupted one) while holding the rollover lease.
+async function runEventRollover(globalState) {
+    await withRolloverLease(async () => {
+        if (globalState.rolloverInProgress) {
+            rolloverLog.warn("Resuming interrupted rollover", { cycleNumber: globalState.rolloverInProgress.cycleNumber });
+            await completeEventRollover(globalState.rolloverInProgress.cycleNumber, globalState.rolloverInProgress.startedAt);
+        } else {
+            await startNewEventCycle(globalState.cycleNumber, globalState.eventDurationHours || 95, 'scheduler');
+        }
+    });
+}
+
+// Starts the next cycle for /api/admin/set-event-duration through the same lease as the scheduler.
+// Run it through runBackgroundJob so shutdown waits for it. Resolves to 'started', 'busy' (another
+// rollover holds the lease) or 'changed' (the cycle moved on first).
+async function runAdminRollover(fromCycleNumber, durationHours, trigger) {
+    const started = await withRolloverLease(() => startNewEventCycle(fromCycleNumber, durationHours, trigger));
+    if (started === null) {
+        return 'busy';
+    }
+    return started ? 'started' : 'changed';
+}
+
+let rolloverTimer = null;
+let rolloverCheckRunning = false;
+let rolloverRecheckRequested = false;
+
+// In-process scheduler: sleeps until the rollover time (re-checking at least every
+// ROLLOVER_RECHECK_MS) and runs the rollover. Every machine runs it; the lease picks one.
+// Run it through runBackgroundJob so shutdown waits for it. A call made while a check is in flight
+// (e.g. an admin moving eventEndTime) only makes that check run again right after, so there is
+// never more than one timer chain.
+async function scheduleEventRollover() {
+    if (rolloverCheckRunning) {
+        rolloverRecheckRequested = true;
+        return;
+    }
+    rolloverCheckRunning = true;
+    clearTimeout(rolloverTimer);
+    let delayMs = ROLLOVER_RECHECK_MS;
+
+    try {
+        const globalState = await getDb().collection('globalState').findOne({});
+
+        if (globalState && globalState.rolloverInProgress) {
+            await runEventRollover(globalState);
+            delayMs = 1000;
+        } else if (globalState && globalState.eventEndTime && !globalState.isPaused) {
+            const msUntilRollover = getRolloverTime(globalState).getTime() - Date.now();
+            if (msUntilRollover <= 0) {
+                await runEventRollover(globalState);
+                delayMs = 1000;
+            } else {
+                delayMs = Math.min(msUntilRollover, ROLLOVER_RECHECK_MS);
+            }
+        }
+        recordJobSuccess('eventRollover');
+    } catch (error) {
+        rolloverLog.error("Error in event scheduler", error);
+    }
+
+    rolloverCheckRunning = false;
+    if (rolloverRecheckRequested) {
+        rolloverRecheckRequested = false;
+        delayMs = 0;
+    }
+    rolloverTimer = setTimeout(() => runBackgroundJob(scheduleEventRollover), delayMs);
+}
+
+
+// --- Stakes ---
+// Each stake is a document in the 'stakes' collection, unique per chain + transaction hash, linked
+// to the wallet and the globalState.cycleNumber it was made in.
+const ACTIVE_STAKE_STATUSES = ['pending', 'confirmed']; // 'rejected', 'withdrawn', 'reset', 'refund_due' and 'refunded' free the user to stake again
+
+// Returns a wallet's stakes for one event cycle, shaped like the former embedded stakeTransactions.
+async function getCycleStakeTransactions(walletAddress, cycleNumber) {
+    const stakes = await getDb().collection('stakes')
+        .find({ walletAddress: walletAddress, cycleNumber: cycleNumber })
+        .sort({ createdAt: 1 })
+        .toArray();
+
+    return stakes.map(stake => ({
+        hash: stake.hash,
+        timestamp: stake.createdAt,
+        amountUSD: stake.amountUSD,
+        status: stake.status,
+        rejectionReason: stake.rejectionReason || null
+    }));
+}
+
+// A stake confirmed after its cycle rolled over is left 'refund_due' (see confirmStake). An admin
+// returns the payment on-chain and records the refund transaction, which makes it 'refunded'.
+const STAKE_REFUND_STATUSES = ['refund_due', 'refunded'];
+
+function formatStakeRefund(stake) {
+    return {
+        stakeId: stake._id.toString(),
+        walletAddress: stake.walletAddress,
+        hash: stake.hash,
+        cycleNumber: stake.cycleNumber,
+        amountUSD: stake.amountUSD,
+        paidUSD: stake.paidUSD !== undefined ? stake.paidUSD : null,
+        status: stake.status,
+        refundTxHash: stake.refundTxHash || null,
+        refundedBy: stake.refundedBy || null,
+        refundNote: stake.refundNote || null,
+        createdAt: stake.createdAt,
+        verifiedAt: stake.verifiedAt,
+        refundedAt: stake.refundedAt || null
+    };
+}
+
+// Shared query for the admin refund lists, oldest first. status 'all' lists both refund statuses.
+async function findStakeRefunds({ walletAddress, status, limit = 100 }) {
+    const query = { status: STAKE_REFUND_STATUSES.includes(status) ? status : { $in: STAKE_REFUND_STATUSES } };
+    if (walletAddress) {
+        query.walletAddress = walletAddress;
+    }
+
+    const stakes = await getDb().collection('stakes').find(query)
+                                    .sort({ verifiedAt: 1 })
+                                    .limit(Math.min(Math.max(parseInt(limit) || 100, 1), 500))
+                                    .toArray();
+    return stakes.map(formatStakeRefund);
+}
+
+// --- Referrals ---
+// A wallet is bound to its referrer once, when its first stake is confirmed: users.referredBy holds
+// the direct referrer (null = none) and users.referralPath the upline, nearest first. A user without
+// a referredBy field has never been bound. Bonuses are paid only when the binding is made, so a
+// referee credits its upline once, not every cycle.
+const referralLog = logger.child({ component: 'referrals' });
+const REFERRAL_MAX_LEVELS = 10;
+
+// Referral codes are lower-case and unique across 'referralCodes' (keyed by the code), which keeps
+// every code ever issued, so links with a replaced code still resolve to the same wallet.
+// users.referralCode is the wallet's current code.
+const REFERRAL_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // No 0/o, 1/i/l look-alikes
+const REFERRAL_CODE_LENGTH = 8;
+const VANITY_CODE_PATTERN = /^[a-z0-9][a-z0-9_-]{2,18}[a-z0-9]$/;
+const MAX_VANITY_CODES_PER_WALLET = 3;
+const RESERVED_REFERRAL_CODES = ['admin', 'administrator', 'api', 'bxc', 'ain', 'extrashare', 'xtrashare', 'official', 'support', 'help', 'team', 'staff', 'moderator', 'mod', 'system', 'root', 'owner', 'operator', 'null', 'undefined', 'test', 'referral', 'ref', 'airdrop', 'giveaway'];
+const BLOCKED_REFERRAL_CODE_WORDS = ['fuck', 'shit', 'cunt', 'bitch', 'nigg', 'fag', 'whore', 'slut', 'rape', 'nazi', 'porn', 'dick', 'cock', 'pussy', 'asshole', 'scam'];
+
+function generateReferralCode() {
+    let code = '';
+    for (let i = 0; i < REFERRAL_CODE_LENGTH; i++) {
+        code += REFERRAL_CODE_ALPHABET[randomInt(REFERRAL_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+// Registers `code` for a wallet. Resolves to false if another wallet already holds it.
+async function claimReferralCode(code, walletAddress, kind) {
+    try {
+        await getDb().collection('referralCodes').insertOne({ _id: code, walletAddress: walletAddress, kind: kind, createdAt: new Date() });
+        return true;
+    } catch (error) {
+        if (error.code === 11000) {
+            const holder = await getDb().collection('referralCodes').findOne({ _id: code });
+            return !!holder && holder.walletAddress === walletAddress;
+        }
+        throw error;
+    }
+}
+
+// Generates and registers a new code for a wallet, retrying on the (rare) collision.
+async function reserveReferralCode(walletAddress) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const code = generateReferralCode();
+        if (await claimReferralCode(code, walletAddress, 'generated')) {
+            return code;
+        }
+    }
+    throw new Error("Could not generate a unique referral code.");
+}
+
+// Returns an error message if `code` cannot be used as a vanity code, otherwise null.
+function validateVanityCode(code) {
+    if (!VANITY_CODE_PATTERN.test(code)) {
+        return "Codes must be 4-20 characters of letters, digits, '-' or '_', starting and ending with a letter or digit.";
+    }
+    if (RESERVED_REFERRAL_CODES.includes(code)) {
+        return "This code is reserved.";
+    }
+    const compact = code.replace(/[-_]/g, '');
+    if (BLOCKED_REFERRAL_CODE_WORDS.some(word => compact.includes(word))) {
+        return "This code contains a word that is not allowed.";
+    }
+    return null;
+}
+
+// Resolves a referral code (current or replaced) to the wallet that owns it, or null.
+async function resolveReferralCode(code) {
+    if (typeof code !== 'string' || code.length === 0) {
+        return null;
+    }
+    const entry = await getDb().collection('referralCodes').findOne({ _id: code.toLowerCase() });
+    return entry ? entry.walletAddress : null;
+}
+
+function getReferralSettings(globalState) {
+    return {
+        bonusLevels: (globalState && globalState.referralBonusLevels) || [REFERRAL_BXC],
+        commissionPercent: (globalState && globalState.referralCommissionPercent) || 0,
+        attributionWindowHours: globalState && globalState.referralAttributionWindowHours !== undefined ? globalState.referralAttributionWindowHours : DEFAULT_REFERRAL_ATTRIBUTION_WINDOW_HOURS,
+        shareBonusMode: (globalState && globalState.referralShareBonusMode) || 'copy'
+    };
+}
+
+// Binds a wallet to the owner of `referrerRef` if it has never been bound. Resolves to the new
+// referral path when this call bound the wallet to a referrer, otherwise null (already bound, no or
+// unknown code, own code, or a code that would make the wallet its own upline).
+async function bindReferrer(walletAddress, referrerRef) {
+    const usersCollection = getDb().collection('users');
+    const user = await usersCollection.findOne({ walletAddress: walletAddress }, { projection: { referredBy: 1 } });
+    if (!user || user.referredBy !== undefined) {
+        return null;
+    }
+
+    const referrerAddress = await resolveReferralCode(referrerRef);
+    let referrer = referrerAddress ? await usersCollection.findOne({ walletAddress: referrerAddress }) : null;
+    if (referrer && (referrer.walletAddress === walletAddress || (referrer.referralPath || []).includes(walletAddress))) {
+        referrer = null;
+    }
+    const referralPath = referrer ? [referrer.walletAddress, ...(referrer.referralPath || [])].slice(0, REFERRAL_MAX_LEVELS) : [];
+
+    const result = await usersCollection.updateOne(
+        { walletAddress: walletAddress, referredBy: { $exists: false } },
+        { $set: {
+            referredBy: referrer ? referrer.walletAddress : null,
+            referralPath: referralPath,
+            referredAt: referrer ? new Date() : null
+        } }
+    );
+    return result.modifiedCount > 0 && referrer ? referralPath : null;
+}
+
+// Credits each upline level its configured BXC bonus for a referee's first stake. The direct
+// referrer's referralCount is raised even if its level pays nothing. All levels are credited in one
+// transaction, so a failure part-way pays none of them instead of some.
+async function payReferralBonuses(walletAddress, referralPath, stake, settings) {
+    const usersCollection = getDb().collection('users');
+    const levels = Math.min(referralPath.length, settings.bonusLevels.length);
+
+    const payouts = [];
+    for (let level = 0; level < levels; level++) {
+        const referrer = await usersCollection.findOne({ walletAddress: referralPath[level] });
+        if (!referrer) {
+            continue;
+        }
+        await calculateAndSaveBXC(referrer, referralLog);
+        payouts.push({ level: level, referrerWalletAddress: referrer.walletAddress, bonus: settings.bonusLevels[level] || 0 });
+    }
+
+    await client.withSession(session => session.withTransaction(async () => {
+        for (const payout of payouts) {
+            await applyLedgerUpdate(
+                payout.referrerWalletAddress,
+                payout.bonus > 0 ? [{ token: 'BXC', amount: payout.bonus, reason: LEDGER_REASONS.REFERRAL_BONUS, cycleNumber: stake.cycleNumber, relatedTx: stake.hash, relatedWallet: walletAddress }] : [],
+                { update: payout.level === 0 ? { $inc: { referralCount: 1 } } : {}, session: session }
+            );
+        }
+    }));
+
+    for (const payout of payouts) {
+        if (payout.bonus > 0) {
+            referralLog.info("Referral bonus paid", { level: payout.level + 1, bonusBXC: payout.bonus, referrerWalletAddress: payout.referrerWalletAddress, walletAddress: walletAddress });
+        }
+    }
+}
+
+// Pays the direct referrer its commission on AIN collected by a referee. Commissions come on top of
+// the reward pool and are not counted in totalAinRewarded. Resolves to the AIN paid.
+async function payReferralCommission(user, collectedAIN, cycleNumber, settings) {
+    if (!user.referredBy || settings.commissionPercent <= 0 || collectedAIN <= 0) {
+        return 0;
+    }
+
+    const commission = collectedAIN * settings.commissionPercent / 100;
+    const result = await applyLedgerUpdate(
+        user.referredBy,
+        [{ token: 'AIN', amount: commission, reason: LEDGER_REASONS.REFERRAL_COMMISSION, cycleNumber: cycleNumber, relatedWallet: user.walletAddress }]
+    );
+    return result.matchedCount > 0 ? commission : 0;
+}
+
+// --- Referral Link Clicks ---
+// Visits to a referral link are recorded in 'referralClicks' with a salted hash of the visitor's IP,
+// user agent and optional client-side visitor id. A click is attributed to the first wallet that
+// stakes from the same visitor (or presents the clickId) within the attribution window, and marked
+// converted once that wallet's stake is confirmed. Attribution only happens on the signed-in
+// /api/stake, so nobody can pin a click on another wallet.
+const DEFAULT_REFERRAL_ATTRIBUTION_WINDOW_HOURS = 72;
+const REFERRAL_CLICK_DEDUP_MS = 30 * 60 * 1000; // Repeat visits from one visitor within this time count once
+
+// Secret salt of the visitor hashes: FINGERPRINT_SALT if set, otherwise a random salt generated on the
+// first start and kept in 'serverSecrets', so all machines and restarts hash a visitor the same way.
+let fingerprintSalt = process.env.FINGERPRINT_SALT || null;
+
+async function ensureFingerprintSalt() {
+    if (fingerprintSalt) {
+        return;
+    }
+    const loadSalt = () => getDb().collection('serverSecrets').findOneAndUpdate(
+        { _id: 'fingerprintSalt' },
+        { $setOnInsert: { value: randomBytes(32).toString('hex'), createdAt: new Date() } },
+        { upsert: true, returnDocument: 'after' }
+    );
+
+    let secret;
+    try {
+        secret = await loadSalt();
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+        secret = await loadSalt(); // Another machine created it first
+    }
+    fingerprintSalt = secret.value;
+}
+
+function getVisitorFingerprint(req, visitorId) {
+    if (!fingerprintSalt) {
+        throw new Error("Visitor fingerprint salt is not loaded.");
+    }
+    return createHash('sha256')
+        .update([fingerprintSalt, getClientIp(req), req.headers['user-agent'] || '', visitorId || ''].join('|'))
+        .digest('hex');
+}
+
+// Attributes the most recent unattributed click within the window to a wallet, matched by clickId or
+// by visitor fingerprint. When `referrerWallet` is given, only that referrer's clicks qualify. A wallet
+// is only ever attributed once. Resolves to the click or null.
+async function attributeReferralClick(walletAddress, { clickId, fingerprintHash, referrerWallet }, settings) {
+    const db = getDb();
+    const user = await db.collection('users').findOne({ walletAddress: walletAddress }, { projection: { referralClickId: 1, referredBy: 1 } });
+    if (user && (user.referralClickId || user.referredBy !== undefined)) {
+        return null; // Already attributed, or already bound to a referrer by an earlier stake
+    }
+
+    const visitorMatch = [{ fingerprintHash: fingerprintHash }];
+    if (typeof clickId === 'string' && ObjectId.isValid(clickId)) {
+        visitorMatch.push({ _id: new ObjectId(clickId) });
+    }
+    const click = await db.collection('referralClicks').findOneAndUpdate(
+        {
+            $or: visitorMatch,
+            walletAddress: null,
+            referrerWallet: referrerWallet !== undefined ? { $eq: referrerWallet, $ne: walletAddress } : { $ne: walletAddress },
+            createdAt: { $gte: new Date(Date.now() - settings.attributionWindowHours * 60 * 60 * 1000) }
+        },
+        { $set: { walletAddress: walletAddress, connectedAt: new Date() } },
+        { sort: { createdAt: -1 }, returnDocument: 'after' }
+    );
+    if (click) {
+        await db.collection('users').updateOne({ walletAddress: walletAddress }, { $set: { referralClickId: click._id } });
+    }
+    return click;
+}
+
+// Marks the click behind a confirmed stake as converted. In 'conversion' share-bonus mode this is what
+// pays the referrer's REFERRAL_COPY_BXC_BONUS, at most once per cycle.
+async function recordReferralConversion(stake, globalState) {
+    const db = getDb();
+    const click = await db.collection('referralClicks').findOneAndUpdate(
+        { _id: stake.referralClickId, convertedAt: null },
+        { $set: { convertedAt: new Date(), stakeHash: stake.hash } },
+        { returnDocument: 'after' }
+    );
+    if (!click || getReferralSettings(globalState).shareBonusMode !== 'conversion') {
+        return;
+    }
+
+    const result = await applyLedgerUpdate(
+        click.referrerWallet,
+        [{ token: 'BXC', amount: REFERRAL_COPY_BXC_BONUS, reason: LEDGER_REASONS.REFERRAL_COPY_BONUS, cycleNumber: stake.cycleNumber, relatedTx: stake.hash, relatedWallet: stake.walletAddress }],
+        {
+            filter: { $or: [{ lastReferralCopyBonusGiven: null }, { lastReferralCopyBonusGiven: { $lt: globalState.eventStartTime } }] },
+            update: { $set: { lastReferralCopyBonusGiven: new Date() } }
+        }
+    );
+    if (result.matchedCount > 0) {
+        referralLog.info("Share bonus paid for a conversion", { bonusBXC: REFERRAL_COPY_BXC_BONUS, referrerWalletAddress: click.referrerWallet, walletAddress: stake.walletAddress });
+    }
+}
+
+// Funnel per referral code: clicks -> unique visitors -> connected wallets -> confirmed stakes.
+async function getReferralFunnel(match) {
+    const rows = await getDb().collection('referralClicks').aggregate([
+        { $match: match },
+        { $group: {
+            _id: '$code',
+            referrerWallet: { $first: '$referrerWallet' },
+            clicks: { $sum: 1 },
+            visitors: { $addToSet: '$fingerprintHash' },
+            connectedWallets: { $sum: { $cond: [{ $ifNull: ['$walletAddress', false] }, 1, 0] } },
+            stakes: { $sum: { $cond: [{ $ifNull: ['$convertedAt', false] }, 1, 0] } },
+            lastClickAt: { $max: '$createdAt' }
+        } },
+        { $sort: { clicks: -1 } }
+    ]).toArray();
+
+    return rows.map(row => ({
+        code: row._id,
+        referrerWallet: row.referrerWallet,
+        clicks: row.clicks,
+        uniqueVisitors: row.visitors.length,
+        connectedWallets: row.connectedWallets,
+        stakes: row.stakes,
+        conversionRate: row.clicks > 0 ? row.stakes / row.clicks : 0,
+        lastClickAt: row.lastClickAt
+    }));
+}
+
+// Admin view of getReferralFunnel, optionally for one referrer wallet or one code.
+async function findReferralFunnel({ walletAddress, code, limit = 100 }) {
+    const match = {};
+    if (walletAddress) {
+        match.referrerWallet = walletAddress.toLowerCase();
+    }
+    if (typeof code === 'string' && code.length > 0) {
+        match.code = code.toLowerCase();
+    }
+
+    const funnel = await getReferralFunnel(match);
+    return funnel.slice(0, Math.min(Math.max(parseInt(limit) || 100, 1), 500));
+}
+
+// --- On-chain Stake Verification ---
+// Stakes are recorded as 'pending' and only count once the transaction is confirmed on-chain.
+// RPC_URL can point at any EVM JSON-RPC endpoint, including a local anvil/hardhat node for testing.
+const stakeVerifyLog = logger.child({ component: 'stake-verify' });
+const RPC_URL = process.env.RPC_URL || '';
+const STAKE_TOKEN_ADDRESS = (process.env.STAKE_TOKEN_ADDRESS || '').toLowerCase(); // Empty = native coin transfer
+const STAKE_TOKEN_DECIMALS = parseInt(process.env.STAKE_TOKEN_DECIMALS || '18', 10);
+const STAKE_TOKEN_USD_PRICE = parseFloat(process.env.STAKE_TOKEN_USD_PRICE || '1'); // 1 for USD stablecoins
+const STAKE_MIN_CONFIRMATIONS = parseInt(process.env.STAKE_MIN_CONFIRMATIONS || '3', 10);
+const STAKE_VERIFY_INTERVAL_MS = 30 * 1000;
+const STAKE_PENDING_TIMEOUT_MS = 60 * 60 * 1000; // Reject stakes whose tx never gets mined within an hour
+const ERC20_TRANSFER_TOPIC = id('Transfer(address,address,uint256)');
+
+if (!RPC_URL) {
+    stakeVerifyLog.warn("RPC_URL is not set. Stakes cannot be verified on-chain and will be refused.");
+}
+
+let chainProvider = null;
+
+function getChainProvider() {
+    if (!chainProvider) {
+        chainProvider = new JsonRpcProvider(RPC_URL, CHAIN_ID, { staticNetwork: true });
+    }
+    return chainProvider;
+}
+
+// Returns the staking recipient that was configured at the given time, so changing the address
+// does not invalidate stakes that were paid to the previous one.
+function getStakingRecipientAt(globalState, at) {
+    const activeEntries = (globalState.stakingRecipientHistory || [])
+        .filter(entry => entry.activeFrom <= at)
+        .sort((a, b) => b.activeFrom - a.activeFrom);
+    const address = activeEntries.length > 0 ? activeEntries[0].address : globalState.stakingRecipientAddress;
+    return (address || '').toLowerCase();
+}
+
+function topicToAddress(topic) {
+    return `0x${topic.slice(-40)}`.toLowerCase();
+}
+
+// Checks a stake transaction against the chain. Resolves to { status, reason, ... } where status is
+// 'confirmed', 'pending' (not mined or not enough confirmations yet) or 'rejected' (final).
+async function verifyStakeTransaction(transactionHash, walletAddress, requiredUSD, globalState) {
+    const provider = getChainProvider();
+
+    const receipt = await provider.getTransactionReceipt(transactionHash);
+    if (!receipt) {
+        return { status: 'pending', reason: "Transaction has not been mined yet." };
+    }
+    if (receipt.status !== 1) {
+        return { status: 'rejected', reason: "Transaction failed (reverted) on-chain." };
+    }
+
+    const confirmations = await receipt.confirmations();
+    if (confirmations < STAKE_MIN_CONFIRMATIONS) {
+        return { status: 'pending', reason: `Waiting for confirmations (${confirmations}/${STAKE_MIN_CONFIRMATIONS}).` };
+    }
+
+    const tx = await provider.getTransaction(transactionHash);
+    if (!tx || tx.from.toLowerCase() !== walletAddress) {
+        return { status: 'rejected', reason: "Transaction was not sent from your wallet." };
+    }
+
+    const block = await provider.getBlock(receipt.blockNumber);
+    const recipient = getStakingRecipientAt(globalState, new Date(block.timestamp * 1000));
+
+    let amountRaw = 0n;
+    if (STAKE_TOKEN_ADDRESS) {
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() === STAKE_TOKEN_ADDRESS &&
+                log.topics.length === 3 &&
+                log.topics[0] === ERC20_TRANSFER_TOPIC &&
+                topicToAddress(log.topics[1]) === walletAddress &&
+                topicToAddress(log.topics[2]) === recipient) {
+                amountRaw += BigInt(log.data);
+            }
+        }
+    } else if (tx.to && tx.to.toLowerCase() === recipient) {
+        amountRaw = tx.value;
+    }
+
+    if (amountRaw === 0n) {
+        return { status: 'rejected', reason: `Transaction did not transfer the stake token to the staking address ${recipient}.` };
+    }
+
+    const amountUSD = parseFloat(formatUnits(amountRaw, STAKE_TOKEN_DECIMALS)) * STAKE_TOKEN_USD_PRICE;
+    if (amountUSD + 1e-9 < requiredUSD) {
+        return { status: 'rejected', reason: `Transaction transferred $${amountUSD.toFixed(2)} but the stake requires $${requiredUSD.toFixed(2)}.` };
+    }
+
+    return { status: 'confirmed', amountUSD: amountUSD, blockNumber: receipt.blockNumber, recipient: recipient };
+}
+
+// Credits a verified stake: the user's slot, the BXC bonus of the game mode it was made in and, on a
+// first stake, the upline's referral bonuses. Only matches a still-pending record, so it is safe if
+// several machines verify the same stake concurrently.
+// A stake whose cycle rolled over while it was pending is not credited: its slot and the user's
+// per-cycle state were already reset. It is marked 'refund_due' and listed for admins to refund.
+// The status change and the credit share one transaction, which also writes globalState guarded
+// on the stake's cycleNumber; a rollover switching the cycle conflicts with it, so the slot can
+// never land on a user after their per-cycle state was reset.
+async function confirmStake(stake, verification) {
+    const db = getDb();
+    const walletAddress = stake.walletAddress;
+    const now = new Date();
+
+    let status = null;
+    await client.withSession(session => session.withTransaction(async () => {
+        status = null;
+        const cycleResult = await db.collection('globalState').updateOne(
+            { cycleNumber: stake.cycleNumber },
+            { $set: { lastStakeConfirmedAt: now } },
+            { session: session }
+        );
+        const isCurrentCycle = cycleResult.matchedCount > 0;
+
+        const result = await db.collection('stakes').updateOne(
+            { _id: stake._id, status: 'pending' },
+            { $set: {
+                status: isCurrentCycle ? 'confirmed' : 'refund_due',
+                verifiedAt: now,
+                blockNumber: verification.blockNumber,
+                paidUSD: verification.amountUSD
+            } },
+            { session: session }
+        );
+        if (result.modifiedCount === 0) {
+            return;
+        }
+        if (isCurrentCycle) {
+            await applyLedgerUpdate(
+                walletAddress,
+                [{ token: 'BXC', amount: stake.stakeBonusBXC !== undefined ? stake.stakeBonusBXC : INITIAL_BXC, reason: LEDGER_REASONS.STAKE_BONUS, cycleNumber: stake.cycleNumber, relatedTx: stake.hash }],
+                { update: {
+                    $inc: { slotsStaked: 1 },
+                    $set: { stakedUSDValue: stake.amountUSD, lastBXCAccrualTime: now }
+                }, session: session }
+            );
+        }
+        status = isCurrentCycle ? 'confirmed' : 'refund_due';
+    }));
+
+    if (status === 'refund_due') {
+        stakeVerifyLog.warn("Stake confirmed after its cycle ended; marked for refund", { hash: stake.hash, walletAddress: walletAddress, cycleNumber: stake.cycleNumber });
+    }
+    if (status !== 'confirmed') {
+        return false;
+    }
+
+    stakeVerifyLog.info("Stake confirmed", { hash: stake.hash, walletAddress: walletAddress });
+
+    const globalState = await db.collection('globalState').findOne({});
+    const referralPath = await bindReferrer(walletAddress, stake.referrerRef);
+    if (referralPath) {
+        await payReferralBonuses(walletAddress, referralPath, stake, getReferralSettings(globalState));
+    }
+    if (stake.referralClickId) {
+        await recordReferralConversion(stake, globalState);
+    }
+    return true;
+}
+
+// Marks a pending stake as rejected and releases the slot it reserved, if its cycle is still running.
+async function rejectStake(stake, reason) {
+    const db = getDb();
+    const now = new Date();
+
+    const result = await db.collection('stakes').updateOne(
+        { _id: stake._id, status: 'pending' },
+        { $set: { status: 'rejected', rejectionReason: reason, verifiedAt: now } }
+    );
+    if (result.modifiedCount === 0) {
+        return false;
+    }
+
+    await db.collection('globalState').updateOne(
+        { cycleNumber: stake.cycleNumber, totalSlotsUsed: { $gt: 0 } },
+        { $inc: { totalSlotsUsed: -1 } }
+    );
+    stakeVerifyLog.warn("Stake rejected", { hash: stake.hash, walletAddress: stake.walletAddress, reason: reason });
+    return true;
+}
+
+// Runs verification for one pending stake and applies the outcome. Returns the verification result.
+async function settlePendingStake(stake, globalState) {
+    const verification = await verifyStakeTransaction(stake.hash, stake.walletAddress, stake.amountUSD, globalState);
+
+    if (verification.status === 'pending' && !verification.reason.startsWith('Waiting') &&
+        Date.now() - stake.createdAt.getTime() > STAKE_PENDING_TIMEOUT_MS) {
+        verification.status = 'rejected';
+        verification.reason = "Transaction was not found on-chain in time.";
+    }
+
+    if (verification.status === 'confirmed') {
+        await confirmStake(stake, verification);
+    } else if (verification.status === 'rejected') {
+        await rejectStake(stake, verification.reason);
+    }
+    return verification;
+}
+
+// Background job: re-checks every pending stake until it is confirmed or rejected.
+async function processPendingStakes() {
+    if (!RPC_URL) {
+        return;
+    }
+
+    try {
+        const db = getDb();
+        const globalState = await db.collection('globalState').findOne({});
+        const pendingStakes = await db.collection('stakes').find({ status: 'pending' }).toArray();
+
+        for (const stake of pendingStakes) {
+            try {
+                await settlePendingStake(stake, globalState);
+            } catch (error) {
+                stakeVerifyLog.error("Error verifying stake", { hash: stake.hash, error: error });
+            }
+        }
+        recordJobSuccess('stakeVerify');
+    } catch (error) {
+        stakeVerifyLog.error("Error processing pending stakes", error);
+    }
+}
+
+
+// --- Withdrawals ---
+// A withdrawal request moves the amount from the user's balance into BXC_Reserved / AIN_Reserved and
+// waits for an admin. Lifecycle: requested -> approved -> broadcast -> confirmed, or rejected / failed,
+// in which case the reserved amount is released back to the balance. Every status change is guarded
+// on the previous status, so concurrent admins or machines cannot move a request twice.
+const withdrawalLog = logger.child({ component: 'withdrawals' });
+const RESERVED_FIELDS = { BXC: 'BXC_Reserved', AIN: 'AIN_Reserved' };
+const WITHDRAWAL_STATUSES = ['requested', 'approved', 'broadcast', 'confirmed', 'rejected', 'failed'];
+const WITHDRAWAL_POLL_INTERVAL_MS = 30 * 1000;
+const WITHDRAWAL_COUNTED_STATUSES = ['requested', 'approved', 'broadcast', 'confirmed']; // Rejected/failed requests do not count towards limits
+const WITHDRAWAL_RULE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const PAYOUT_ADAPTER = process.env.PAYOUT_ADAPTER || 'mock';
+
+// Payout adapters send the actual transfer. Interface:
+//   name
+//   sendPayout({ withdrawalId, token, toAddress, amount }) -> { txHash }
+//       Must only throw if nothing was broadcast; the request is then marked failed and released.
+//   getPayoutStatus(txHash) -> 'pending' | 'confirmed' | 'failed'
+// The mock adapter signs a real transaction with a local key but never broadcasts it, which is enough
+// to exercise the whole pipeline without funds. PAYOUT_MOCK_PRIVATE_KEY keeps the signer stable.
+function createMockPayoutAdapter() {
+    const signer = process.env.PAYOUT_MOCK_PRIVATE_KEY ? new Wallet(process.env.PAYOUT_MOCK_PRIVATE_KEY) : Wallet.createRandom();
+
+    return {
+        name: 'mock',
+        async sendPayout({ withdrawalId, toAddress, amount }) {
+            const signedTx = await signer.signTransaction({
+                to: toAddress,
+                value: parseUnits(amount.toFixed(8), 18),
+                data: `0x${withdrawalId.toString()}`, // Makes the hash unique per withdrawal
+                nonce: 0,
+                gasLimit: 50000,
+                gasPrice: 0,
+                chainId: CHAIN_ID
+            });
+            return { txHash: keccak256(signedTx) };
+        },
+        async getPayoutStatus() {
+            return 'confirmed';
+        }
+    };
+}
+
+const PAYOUT_ADAPTERS = {
+    mock: createMockPayoutAdapter
+};
+
+if (!PAYOUT_ADAPTERS[PAYOUT_ADAPTER]) {
+    withdrawalLog.error("Unknown PAYOUT_ADAPTER. Withdrawals cannot be paid out.", { adapter: PAYOUT_ADAPTER });
+} else if (PAYOUT_ADAPTER === 'mock') {
+    withdrawalLog.warn("PAYOUT_ADAPTER is 'mock'. Approved withdrawals are signed locally and never broadcast.");
+}
+
+let payoutAdapter = null;
+
+function getPayoutAdapter() {
+    if (!payoutAdapter) {
+        if (!PAYOUT_ADAPTERS[PAYOUT_ADAPTER]) {
+            throw new Error(`Unknown payout adapter '${PAYOUT_ADAPTER}'.`);
+        }
+        payoutAdapter = PAYOUT_ADAPTERS[PAYOUT_ADAPTER]();
+    }
+    return payoutAdapter;
+}
+
+// Per-token limits, stored in globalState.withdrawalRules and edited via /api/admin/set-withdrawal-rules.
+// A null limit is not enforced.
+const DEFAULT_WITHDRAWAL_RULES = {
+    minAmount: 0,          // Smallest amount per request
+    maxPerRequest: null,   // Largest amount per request
+    walletDailyCap: null,  // Total one wallet may request in any rolling 24 hours
+    cooldownMinutes: 0,    // Minimum time between two requests from the same wallet
+    globalDailyCap: null   // Total outflow across all wallets in 24 hours; reaching it pauses withdrawals
+};
+
+function getWithdrawalRules(globalState, token) {
+    return { ...DEFAULT_WITHDRAWAL_RULES, ...((globalState.withdrawalRules || {})[token] || {}) };
+}
+
+async function sumRecentWithdrawals(match, since, session) {
+    const [row] = await getDb().collection('withdrawals').aggregate([
+        { $match: { ...match, status: { $in: WITHDRAWAL_COUNTED_STATUSES }, createdAt: { $gte: since } } },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+    ], { session: session }).toArray();
+    return row ? row.total : 0;
+}
+
+// Checks a request against the token's per-request and per-wallet rules. Resolves to null, or to
+// { status, code, message, details? } for the first rule broken.
+async function checkWithdrawalRules(walletAddress, token, amount, rules, session) {
+    const now = Date.now();
+    const windowStart = new Date(now - WITHDRAWAL_RULE_WINDOW_MS);
+
+    if (amount < rules.minAmount) {
+        return { status: 400, code: 'WITHDRAWAL_BELOW_MINIMUM', message: `The minimum ${token} withdrawal is ${rules.minAmount}.` };
+    }
+    if (rules.maxPerRequest !== null && amount > rules.maxPerRequest) {
+        return { status: 400, code: 'WITHDRAWAL_ABOVE_MAXIMUM', message: `The maximum ${token} withdrawal per request is ${rules.maxPerRequest}.` };
+    }
+
+    if (rules.cooldownMinutes > 0) {
+        const lastWithdrawal = await getDb().collection('withdrawals').findOne(
+            { walletAddress: walletAddress, token: token, status: { $in: WITHDRAWAL_COUNTED_STATUSES } },
+            { sort: { createdAt: -1 }, session: session }
+        );
+        const nextAllowedAt = lastWithdrawal ? new Date(lastWithdrawal.createdAt.getTime() + rules.cooldownMinutes * 60 * 1000) : null;
+        if (nextAllowedAt && nextAllowedAt.getTime() > now) {
+            return { status: 429, code: 'WITHDRAWAL_COOLDOWN', message: `Please wait until ${nextAllowedAt.toISOString()} before requesting another ${token} withdrawal.`, details: { retryAt: nextAllowedAt } };
+        }
+    }
+
+    if (rules.walletDailyCap !== null) {
+        const walletTotal = await sumRecentWithdrawals({ walletAddress: walletAddress, token: token }, windowStart, session);
+        if (walletTotal + amount > rules.walletDailyCap) {
+            const remaining = Math.max(rules.walletDailyCap - walletTotal, 0);
+            return { status: 429, code: 'WALLET_DAILY_CAP_EXCEEDED', message: `This would exceed your 24h ${token} withdrawal limit of ${rules.walletDailyCap}. Remaining: ${remaining.toFixed(4)}.`, details: { remaining: remaining } };
+        }
+    }
+
+    return null;
+}
+
+// Checks the global 24h outflow cap for a request that passed every other check. It first writes
+// the token's 'withdrawalOutflow' document, which holds nothing but lastCheckedAt: it is only a
+// conflict token. Requests from different wallets write different user documents, so without it
+// concurrent transactions would not conflict and could pass the cap together. Now they conflict,
+// and the retried one counts the other's withdrawal. Resolves to { violation, ceilingReached };
+// ceilingReached says this request uses up the cap.
+async function checkGlobalOutflow(token, amount, rules, session) {
+    await getDb().collection('withdrawalOutflow').updateOne(
+        { _id: token },
+        { $set: { lastCheckedAt: new Date() } },
+        { session: session }
+    );
+    if (rules.globalDailyCap === null) {
+        return { violation: null, ceilingReached: false };
+    }
+
+    const globalTotal = await sumRecentWithdrawals({ token: token }, new Date(Date.now() - WITHDRAWAL_RULE_WINDOW_MS), session);
+    if (globalTotal + amount > rules.globalDailyCap) {
+        const remaining = Math.max(rules.globalDailyCap - globalTotal, 0);
+        return {
+            violation: { status: 503, code: 'GLOBAL_DAILY_CAP_REACHED', message: `This would exceed the daily ${token} withdrawal limit. Remaining: ${remaining.toFixed(4)}.`, details: { remaining: remaining } },
+            ceilingReached: false
+        };
+    }
+    return { violation: null, ceilingReached: globalTotal + amount >= rules.globalDailyCap };
+}
+
+// Pauses all withdrawals after the global daily outflow ceiling is hit. An admin resumes them with
+// /api/admin/toggle-withdrawals-pause.
+async function engageWithdrawalCeilingPause(token) {
+    const result = await getDb().collection('globalState').updateOne(
+        { withdrawalsPaused: { $ne: true } },
+        { $set: { withdrawalsPaused: true, withdrawalsPausedReason: 'daily_outflow_ceiling', withdrawalsPausedAt: new Date() } }
+    );
+    if (result.modifiedCount > 0) {
+        withdrawalLog.warn("Daily outflow ceiling reached; all withdrawals paused", { token: token });
+    }
+}
+
+function formatWithdrawal(withdrawal) {
+    const { _id, ...rest } = withdrawal;
+    return { withdrawalId: _id.toString(), ...rest };
+}
+
+// Checks the withdrawal rules and the balance, holds `amount` from the user's balance and records the
+// request, in one transaction. Two requests from the same wallet both write the user document, and
+// any two requests for a token write its outflow counter, so they conflict and the retried one sees
+// the other's withdrawal when re-checking the limits. Withdrawals are paused only once an accepted
+// request uses up the global cap. Resolves to { withdrawal, violation }: exactly one of them is set.
+async function createWithdrawalRequest(walletAddress, token, amount, cycleNumber, rules) {
+    const db = getDb();
+    const now = new Date();
+    const withdrawal = {
+        _id: new ObjectId(),
+        walletAddress: walletAddress,
+        token: token,
+        amount: amount,
+        status: 'requested',
+        cycleNumber: cycleNumber,
+        txHash: null,
+        payoutAdapter: null,
+        approvedBy: null,
+        rejectionReason: null,
+        failureReason: null,
+        history: [{ status: 'requested', at: now, by: walletAddress, note: null }],
+        createdAt: now,
+        updatedAt: now
+    };
+
+    // The conflict token is created outside the transaction; inside it, it is only updated.
+    await db.collection('withdrawalOutflow').updateOne(
+        { _id: token },
+        { $setOnInsert: { lastCheckedAt: null } },
+        { upsert: true }
+    );
+
+    let created = false;
+    let violation = null;
+    let ceilingReached = false;
+    await client.withSession(session => session.withTransaction(async () => {
+        created = false;
+        ceilingReached = false;
+        violation = await checkWithdrawalRules(walletAddress, token, amount, rules, session);
+        if (violation) {
+            return;
+        }
+
+        const user = await db.collection('users').findOne({ walletAddress: walletAddress }, { projection: { [BALANCE_FIELDS[token]]: 1 }, session: session });
+        if (!user || (user[BALANCE_FIELDS[token]] || 0) < amount) {
+            violation = { status: 400, code: 'INSUFFICIENT_BALANCE', message: `Insufficient ${token} balance.` };
+            return;
+        }
+
+        ({ violation, ceilingReached } = await checkGlobalOutflow(token, amount, rules, session));
+        if (violation) {
+            return;
+        }
+
+        const result = await applyLedgerUpdate(
+            walletAddress,
+            [{ token: token, amount: -amount, reason: LEDGER_REASONS.WITHDRAWAL, cycleNumber: cycleNumber, relatedWithdrawal: withdrawal._id }],
+            {
+                filter: { [BALANCE_FIELDS[token]]: { $gte: amount } },
+                update: { $inc: { [RESERVED_FIELDS[token]]: amount } },
+                session: session
+            }
+        );
+        if (result.matchedCount === 0) {
+            violation = { status: 400, code: 'INSUFFICIENT_BALANCE', message: `Insufficient ${token} balance.` };
+            return;
+        }
+        await db.collection('withdrawals').insertOne(withdrawal, { session: session });
+        created = true;
+    }));
+
+    if (created && ceilingReached) {
+        await engageWithdrawalCeilingPause(token);
+    }
+    return created ? { withdrawal: withdrawal, violation: null } : { withdrawal: null, violation: violation };
+}
+
+// Moves a withdrawal from `fromStatus` to `toStatus` and appends to its history. Resolves to the
+// updated document, or null if the withdrawal was not in `fromStatus`.
+async function transitionWithdrawal(withdrawalId, fromStatus, toStatus, { by = null, note = null, set = {}, session = null } = {}) {
+    const now = new Date();
+    return getDb().collection('withdrawals').findOneAndUpdate(
+        { _id: withdrawalId, status: fromStatus },
+        {
+            $set: { ...set, status: toStatus, updatedAt: now },
+            $push: { history: { status: toStatus, at: now, by: by, note: note } }
+        },
+        { returnDocument: 'after', session: session }
+    );
+}
+
+// Ends a withdrawal as 'rejected' or 'failed' and returns the reserved amount to the user's balance.
+async function releaseWithdrawal(withdrawal, fromStatus, toStatus, { by = null, note = null, set = {} } = {}) {
+    let released = null;
+    await client.withSession(session => session.withTransaction(async () => {
+        released = await transitionWithdrawal(withdrawal._id, fromStatus, toStatus, { by: by, note: note, set: set, session: session });
+        if (!released) {
+            return;
+        }
+        await applyLedgerUpdate(
+            withdrawal.walletAddress,
+            [{ token: withdrawal.token, amount: withdrawal.amount, reason: LEDGER_REASONS.WITHDRAWAL_RELEASE, cycleNumber: withdrawal.cycleNumber, relatedAdmin: by, relatedWithdrawal: withdrawal._id }],
+            { update: { $inc: { [RESERVED_FIELDS[withdrawal.token]]: -withdrawal.amount } }, session: session }
+        );
+    }));
+    return released;
+}
+
+// Marks a broadcast withdrawal as paid and drops the amount from the reserved balance.
+async function confirmWithdrawal(withdrawal) {
+    let confirmed = null;
+    await client.withSession(session => session.withTransaction(async () => {
+        confirmed = await transitionWithdrawal(withdrawal._id, 'broadcast', 'confirmed', { set: { confirmedAt: new Date() }, session: session });
+        if (!confirmed) {
+            return;
+        }
+        await getDb().collection('users').updateOne(
+            { walletAddress: withdrawal.walletAddress },
+            { $inc: { [RESERVED_FIELDS[withdrawal.token]]: -withdrawal.amount } },
+            { session: session }
+        );
+    }));
+    return confirmed;
+}
+
+// Hands an approved withdrawal to the payout adapter. If the adapter throws, nothing was sent and the
+// request fails with its funds released. Should the process die between sending and recording the
+// hash, the request stays 'approved' and has to be checked by hand before it is touched again.
+async function broadcastWithdrawal(withdrawal, adminWalletAddress) {
+    const adapter = getPayoutAdapter();
+
+    let payout;
+    try {
+        payout = await adapter.sendPayout({
+            withdrawalId: withdrawal._id,
+            token: withdrawal.token,
+            toAddress: withdrawal.walletAddress,
+            amount: withdrawal.amount
+        });
+    } catch (error) {
+        withdrawalLog.error("Payout failed", { withdrawalId: withdrawal._id, error: error });
+        return releaseWithdrawal(withdrawal, 'approved', 'failed', { by: adminWalletAddress, note: error.message, set: { failureReason: error.message } });
+    }
+
+    withdrawalLog.info("Withdrawal broadcast", { withdrawalId: withdrawal._id, adapter: adapter.name, txHash: payout.txHash });
+    return transitionWithdrawal(withdrawal._id, 'approved', 'broadcast', {
+        by: adminWalletAddress,
+        set: { txHash: payout.txHash, payoutAdapter: adapter.name, broadcastAt: new Date() }
+    });
+}
+
+// Background job: follows broadcast payouts until they are confirmed or fail.
+async function processBroadcastWithdrawals() {
+    try {
+        const adapter = getPayoutAdapter();
+        const broadcastWithdrawals = await getDb().collection('withdrawals').find({ status: 'broadcast' }).toArray();
+
+        for (const withdrawal of broadcastWithdrawals) {
+            try {
+                const payoutStatus = await adapter.getPayoutStatus(withdrawal.txHash);
+                if (payoutStatus === 'confirmed') {
+                    await confirmWithdrawal(withdrawal);
+                    withdrawalLog.info("Withdrawal confirmed", { withdrawalId: withdrawal._id, txHash: withdrawal.txHash });
+                } else if (payoutStatus === 'failed') {
+                    await releaseWithdrawal(withdrawal, 'broadcast', 'failed', { note: "Payout transaction failed.", set: { failureReason: "Payout transaction failed." } });
+                    withdrawalLog.warn("Withdrawal failed on-chain; funds released", { withdrawalId: withdrawal._id, txHash: withdrawal.txHash });
+                }
+            } catch (error) {
+                withdrawalLog.error("Error checking withdrawal", { withdrawalId: withdrawal._id, error: error });
+            }
+        }
+        recordJobSuccess('withdrawalPoll');
+    } catch (error) {
+        withdrawalLog.error("Error processing broadcast withdrawals", error);
+    }
+}
+
+
+// --- Event Simulation ---
+// Dry-runs a whole cycle in memory with synthetic wallets, so admins can see how the slot limit,
+// reward table, lucky-winner threshold and AIN pool play out before launching a cycle with them.
+// Draws, pool capping and bonuses follow the same functions and rules as live cycles; nothing is
+// written to the database. The clock and the random generator are injected, so a run is
+// reproducible from its seed.
+const SIMULATION_MAX_WALLETS = 50000;
+const SIMULATION_YIELD_EVERY = 5000; // Timeline steps between yields to the event loop
+const SIMULATION_DEFAULT_RATES = { referralRate: 0.5, revealRate: 1, collectRate: 1 };
+
+// Clock that starts at `startTime` and only moves when the simulation advances it.
+function createSimulationClock(startTime) {
+    let current = new Date(startTime);
+    return {
+        now: () => current,
+        advanceTo: (time) => {
+            if (time > current) {
+                current = new Date(time);
+            }
+        }
+    };
+}
+
+// Uniform numbers in [0, 1) from HMAC-SHA256(seed, call number).
+function createSeededRandom(seed) {
+    let calls = 0;
+    return () => {
+        const digest = createHmac('sha256', seed).update(String(calls++)).digest('hex');
+        return parseInt(digest.slice(0, 13), 16) / 2 ** 52;
+    };
+}
+
+function getSimulationWalletAddress(index) {
+    return '0x' + index.toString(16).padStart(40, '0');
+}
+
+// Count, mean and nearest-rank percentiles of a list of amounts.
+function summarizeAmounts(amounts) {
+    if (amounts.length === 0) {
+        return { count: 0, total: 0, mean: 0, min: 0, median: 0, p90: 0, max: 0 };
+    }
+    const sorted = [...amounts].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, amount) => sum + amount, 0);
+    const percentile = (p) => sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+    return {
+        count: sorted.length,
+        total: total,
+        mean: total / sorted.length,
+        min: sorted[0],
+        median: percentile(0.5),
+        p90: percentile(0.9),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+// Runs one cycle for `config.wallets` synthetic wallets. Each wallet tries to stake once at a random
+// time during the event, and a `referralRate` share of them joins through the link of a wallet that
+// staked earlier. Stakers reveal (`revealRate`) and then collect (`collectRate`) at random times in
+// the game mode's reward window. `clock` supplies the start time and is advanced along the timeline;
+// `random` returns numbers in [0, 1). Resolves to the report.
+async function simulateEventCycle(config, { clock, random }) {
+    const gameMode = getGameMode({ gameMode: config.gameMode });
+    const { rewardTable, maxStakeSlots, maxAinRewardPool, ainUsdPrice, referralSettings } = config;
+    const startTime = clock.now();
+    const eventEndTime = new Date(startTime.getTime() + config.eventDurationHours * 60 * 60 * 1000);
+    const rolloverTime = getRolloverTime({ eventEndTime: eventEndTime, claimWindowHours: config.claimWindowHours });
+    const serverSeed = Array.from({ length: 32 }, () => Math.floor(random() * 256).toString(16).padStart(2, '0')).join('');
+
+    // Every wallet's stake, reveal and collect times are drawn up front and replayed in time order.
+    const timeline = [];
+    for (let index = 0; index < config.wallets; index++) {
+        const stakeAt = startTime.getTime() + random() * (eventEndTime.getTime() - startTime.getTime());
+        timeline.push({ at: stakeAt, type: 'stake', index: index });
+        if (random() >= config.revealRate) {
+            continue;
+        }
+
+        const windowStart = gameMode.rewardWindow === 'during-event' ? stakeAt : eventEndTime.getTime();
+        const windowEnd = gameMode.rewardWindow === 'during-event' ? eventEndTime.getTime() : rolloverTime.getTime();
+        const revealAt = windowStart + random() * (windowEnd - windowStart);
+        timeline.push({ at: revealAt, type: 'reveal', index: index });
+        if (random() < config.collectRate) {
+            timeline.push({ at: revealAt + random() * (windowEnd - revealAt), type: 'collect', index: index });
+        }
+    }
+    timeline.sort((a, b) => a.at - b.at);
+
+    const stakers = [];
+    const stakersByIndex = new Map();
+    const earningReferrers = new Set();
+    const tierStats = new Map(rewardTable.rewardTiers.map(tier => [tier.label, { label: tier.label, draws: 0, drawnUSD: 0, paidUSD: 0, ainAmount: 0 }]));
+    const paidUSD = [];
+    const bonusBXCByLevel = referralSettings.bonusLevels.map(() => 0);
+    let totalSlotsUsed = 0;
+    let totalAinRewarded = 0;
+    let poolExhaustion = null;
+    const counts = { rejectedSlotsFull: 0, referred: 0, revealed: 0, collected: 0, noTierDrawn: 0, zeroFromSlotThreshold: 0, zeroFromPool: 0, reducedByPool: 0 };
+    const totals = { stakedUSD: 0, stakeBonusBXC: 0, accruedBXC: 0, drawnUSD: 0, collectedAIN: 0, commissionAIN: 0, compoundedUSD: 0 };
+
+    for (const [step, entry] of timeline.entries()) {
+        clock.advanceTo(new Date(entry.at));
+
+        if (entry.type === 'stake') {
+            if (totalSlotsUsed >= maxStakeSlots) {
+                counts.rejectedSlotsFull++;
+                continue;
+            }
+            totalSlotsUsed++;
+
+            const wallet = { address: getSimulationWalletAddress(entry.index), referralPath: [], reward: null };
+            if (stakers.length > 0 && random() < config.referralRate) {
+                const referrer = stakers[Math.floor(random() * stakers.length)];
+                wallet.referralPath = [referrer.address, ...referrer.referralPath].slice(0, REFERRAL_MAX_LEVELS);
+                counts.referred++;
+            }
+            const levels = Math.min(wallet.referralPath.length, referralSettings.bonusLevels.length);
+            for (let level = 0; level < levels; level++) {
+                const bonus = referralSettings.bonusLevels[level] || 0;
+                bonusBXCByLevel[level] += bonus;
+                if (bonus > 0) {
+                    earningReferrers.add(wallet.referralPath[level]);
+                }
+            }
+
+            // Accrual runs from the stake to the end of the event, as calculateAndSaveBXC books it.
+            totals.stakedUSD += config.initialStakeAmountUSD;
+            totals.stakeBonusBXC += gameMode.stakeBonusBXC;
+            totals.accruedBXC += (eventEndTime.getTime() - entry.at) / 1000 * BXC_ACCRUAL_PER_SECOND;
+            stakers.push(wallet);
+            stakersByIndex.set(entry.index, wallet);
+        } else if (entry.type === 'reveal') {
+            const wallet = stakersByIndex.get(entry.index);
+            if (!wallet) {
+                continue; // The stake was rejected
+            }
+
+            const rolls = computeRewardRolls(serverSeed, config.cycleNumber, wallet.address, wallet.address);
+            const drawn = drawRewardUSD(rolls, totalSlotsUsed, rewardTable);
+            const settled = settleRewardDraw(gameMode, drawn.amountUSD, ainUsdPrice, maxAinRewardPool, totalAinRewarded);
+            totalAinRewarded += settled.ainAmount;
+            totals.drawnUSD += drawn.amountUSD;
+            wallet.reward = settled;
+            counts.revealed++;
+
+            if (drawn.tier === null) {
+                if (totalSlotsUsed > rewardTable.luckyWinnerSlotThreshold) {
+                    counts.zeroFromSlotThreshold++;
+                } else {
+                    counts.noTierDrawn++;
+                }
+                continue;
+            }
+
+            const stats = tierStats.get(drawn.tier);
+            stats.draws++;
+            stats.drawnUSD += drawn.amountUSD;
+            stats.paidUSD += settled.rewardAmountUSD;
+            stats.ainAmount += settled.ainAmount;
+
+            if (settled.rewardAmountUSD < drawn.amountUSD) {
+                if (!poolExhaustion) {
+                    poolExhaustion = { revealNumber: counts.revealed, at: clock.now(), slotsUsed: totalSlotsUsed };
+                }
+                if (settled.rewardAmountUSD === 0) {
+                    counts.zeroFromPool++;
+                    continue;
+                }
+                counts.reducedByPool++;
+            }
+            paidUSD.push(settled.rewardAmountUSD);
+        } else {
+            const wallet = stakersByIndex.get(entry.index);
+            if (!wallet || !wallet.reward || wallet.reward.rewardAmountUSD === 0) {
+                continue; // Collect refuses with NO_REWARD
+            }
+
+            counts.collected++;
+            if (gameMode.rewardToken === 'AIN') {
+                totals.collectedAIN += wallet.reward.ainAmount;
+                if (wallet.referralPath.length > 0 && referralSettings.commissionPercent > 0) {
+                    totals.commissionAIN += wallet.reward.ainAmount * referralSettings.commissionPercent / 100;
+                    earningReferrers.add(wallet.referralPath[0]);
+                }
+            } else {
+                totals.compoundedUSD += wallet.reward.rewardAmountUSD;
+            }
+        }
+
+        if ((step + 1) % SIMULATION_YIELD_EVERY === 0) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+    clock.advanceTo(rolloverTime);
+
+    const referralBonusBXC = bonusBXCByLevel.reduce((sum, bonus) => sum + bonus, 0);
+    return {
+        gameMode: gameMode.name,
+        cycleNumber: config.cycleNumber,
+        startTime: startTime,
+        eventEndTime: eventEndTime,
+        rolloverTime: rolloverTime,
+        wallets: {
+            simulated: config.wallets,
+            staked: stakers.length,
+            rejectedSlotsFull: counts.rejectedSlotsFull,
+            referred: counts.referred,
+            revealed: counts.revealed,
+            collected: counts.collected
+        },
+        stakedUSD: totals.stakedUSD,
+        bxc: {
+            stakeBonus: totals.stakeBonusBXC,
+            accrued: totals.accruedBXC,
+            referralBonus: referralBonusBXC,
+            total: totals.stakeBonusBXC + totals.accruedBXC + referralBonusBXC
+        },
+        rewards: {
+            drawnUSD: totals.drawnUSD,
+            paidUSD: summarizeAmounts(paidUSD),
+            noTierDrawn: counts.noTierDrawn,
+            zeroFromSlotThreshold: counts.zeroFromSlotThreshold,
+            zeroFromPool: counts.zeroFromPool,
+            reducedByPool: counts.reducedByPool,
+            byTier: [...tierStats.values()],
+            compoundedUSD: totals.compoundedUSD
+        },
+        ain: {
+            ainUsdPrice: gameMode.rewardToken === 'AIN' ? ainUsdPrice : null,
+            maxAinRewardPool: maxAinRewardPool,
+            distributed: totalAinRewarded,
+            collected: totals.collectedAIN,
+            poolRemaining: gameMode.rewardToken === 'AIN' && maxAinRewardPool > 0 ? Math.max(0, maxAinRewardPool - totalAinRewarded) : null, // null = uncapped or unused
+            poolExhaustion: poolExhaustion // First reveal cut by the pool, null if none was
+        },
+        referrals: {
+            referredWallets: counts.referred,
+            bonusBXC: referralBonusBXC,
+            bonusBXCByLevel: bonusBXCByLevel,
+            commissionAIN: totals.commissionAIN,
+            earningReferrers: earningReferrers.size
+        }
+    };
+}
+
+
+// --- Metrics ---
+// Prometheus metrics in the text exposition format, served on METRICS_PORT rather than the public
+// port so only Fly's internal scraper (see [metrics] in fly.toml) can read them. Request and MongoDB
+// command timings are recorded as they happen; the runtime and business gauges are read on each scrape.
+const metricsLog = logger.child({ component: 'metrics' });
+const METRICS_PORT = parseInt(process.env.METRICS_PORT, 10) || 9091;
+const METRICS_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // Seconds
+
+function createMetric(type, name, help) {
+    return { type: type, name: name, help: help, series: new Map() };
+}
+
+const httpRequestsTotal = createMetric('counter', 'http_requests_total', 'HTTP requests by route, method and status code.');
+const httpRequestDuration = createMetric('histogram', 'http_request_duration_seconds', 'HTTP response time by route, method and status code. Event streams are not timed.');
+const mongoCommandDuration = createMetric('histogram', 'mongodb_command_duration_seconds', 'MongoDB command round-trip time by command and outcome.');
+const eventLoopDelay = monitorEventLoopDelay();
+eventLoopDelay.enable();
+
+function formatMetricLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) =>
+        `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function getMetricSeries(metric, labels, create) {
+    const key = formatMetricLabels(labels);
+    if (!metric.series.has(key)) {
+        metric.series.set(key, { labels: labels, ...create() });
+    }
+    return metric.series.get(key);
+}
+
+function incrementCounter(metric, labels, amount = 1) {
+    getMetricSeries(metric, labels, () => ({ value: 0 })).value += amount;
+}
+
+function observeHistogram(metric, labels, seconds) {
+    const series = getMetricSeries(metric, labels, () => ({ buckets: METRICS_DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 }));
+    METRICS_DURATION_BUCKETS.forEach((bound, index) => {
+        if (seconds <= bound) {
+            series.buckets[index]++;
+        }
+    });
+    series.sum += seconds;
+    series.count++;
+}
+
+// Renders a counter or histogram, or a gauge given as [{ labels, value }] samples.
+function renderMetric(metric, samples = null) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+    if (samples) {
+        for (const sample of samples) {
+            lines.push(`${metric.name}${formatMetricLabels(sample.labels || {})} ${Number(sample.value) || 0}`);
+        }
+        return lines;
+    }
+    for (const series of metric.series.values()) {
+        if (metric.type === 'counter') {
+            lines.push(`${metric.name}${formatMetricLabels(series.labels)} ${series.value}`);
+            continue;
+        }
+        METRICS_DURATION_BUCKETS.forEach((bound, index) => {
+            lines.push(`${metric.name}_bucket${formatMetricLabels({ ...series.labels, le: bound })} ${series.buckets[index]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatMetricLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${metric.name}_sum${formatMetricLabels(series.labels)} ${series.sum}`);
+        lines.push(`${metric.name}_count${formatMetricLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+}
+
+const gauge = (name, help, samples) => renderMetric(createMetric('gauge', name, help), Array.isArray(samples) ? samples : [{ value: samples }]);
+
+// Middleware. Labels requests with the route pattern (not the URL, which would create a series per
+// wallet address); requests that match no route share the 'unmatched' label.
+function recordRequestMetrics(req, res, next) {
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        const labels = {
+            method: req.method,
+            route: req.route ? req.route.path : 'unmatched',
+            status: res.statusCode
+        };
+        incrementCounter(httpRequestsTotal, labels);
+        if (!String(res.get('Content-Type') || '').startsWith('text/event-stream')) {
+            observeHistogram(httpRequestDuration, labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        }
+    });
+    next();
+}
+
+// Needs the client to be created with monitorCommands: true.
+function recordMongoCommandMetrics(mongoClient) {
+    mongoClient.on('commandSucceeded', event => {
+        observeHistogram(mongoCommandDuration, { command: event.commandName, outcome: 'success' }, event.duration / 1000);
+    });
+    mongoClient.on('commandFailed', event => {
+        observeHistogram(mongoCommandDuration, { command: event.commandName, outcome: 'failure' }, event.duration / 1000);
+    });
+}
+
+function collectRuntimeMetrics() {
+    const memory = process.memoryUsage();
+    const cpu = process.cpuUsage();
+    return [
+        ...renderMetric(createMetric('counter', 'process_cpu_seconds_total', 'User and system CPU time spent.'), [{ value: (cpu.user + cpu.system) / 1e6 }]),
+        ...gauge('process_uptime_seconds', 'Seconds since the process started.', process.uptime()),
+        ...gauge('process_resident_memory_bytes', 'Resident memory size.', memory.rss),
+        ...gauge('nodejs_heap_used_bytes', 'V8 heap in use.', memory.heapUsed),
+        ...gauge('nodejs_heap_total_bytes', 'V8 heap allocated.', memory.heapTotal),
+        ...gauge('nodejs_eventloop_delay_p99_seconds', '99th percentile event loop delay since the last scrape.', eventLoopDelay.percentile(99) / 1e9),
+        ...gauge('bxc_stream_clients', 'Open GET /api/v2/stream connections on this machine.', streamClients.size)
+    ];
+}
+
+// Event state and per-cycle activity, read from the database. Every machine reports the same values,
+// so aggregate them with max() rather than sum().
+async function collectBusinessMetrics() {
+    const db = getDb();
+    const globalState = await db.collection('globalState').findOne({});
+    if (!globalState) {
+        return [];
+    }
+    const cycleNumber = globalState.cycleNumber;
+    const now = Date.now();
+
+    const [balances, stakes, reveals, collects, withdrawals, users] = await Promise.all([
+        db.collection('users').aggregate([
+            {
+                $group: {
+                    _id: null,
+                    BXC_Balance: { $sum: '$BXC_Balance' },
+                    AIN_Balance: { $sum: '$AIN_Balance' },
+                    BXC_Reserved: { $sum: '$BXC_Reserved' },
+                    AIN_Reserved: { $sum: '$AIN_Reserved' }
+                }
+            }
+        ]).toArray(),
+        db.collection('stakes').aggregate([
+            { $match: { cycleNumber: cycleNumber } },
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]).toArray(),
+        db.collection('rewardDraws').countDocuments({ cycleNumber: cycleNumber }),
+        db.collection('users').countDocuments({ collectedEventRewardTime: { $gte: globalState.eventStartTime } }),
+        db.collection('withdrawals').aggregate([
+            { $match: { cycleNumber: cycleNumber } },
+            { $group: { _id: { token: '$token', status: '$status' }, count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+        ]).toArray(),
+        db.collection('users').countDocuments({})
+    ]);
+    const totals = balances[0] || {};
+    const liabilities = Object.keys(BALANCE_FIELDS).flatMap(token => [
+        { labels: { token: token, kind: 'balance' }, value: totals[`${token}_Balance`] },
+        { labels: { token: token, kind: 'reserved' }, value: totals[`${token}_Reserved`] }
+    ]);
+    const eventEndTime = globalState.eventEndTime ? new Date(globalState.eventEndTime).getTime() : null;
+
+    return [
+        ...gauge('bxc_event_cycle_number', 'Current event cycle.', cycleNumber),
+        ...gauge('bxc_stake_slots_used', 'Stake slots taken in the current cycle.', globalState.totalSlotsUsed),
+        ...gauge('bxc_stake_slots_max', 'Stake slots available in the current cycle.', globalState.maxStakeSlots),
+        ...gauge('bxc_ain_rewarded', 'AIN rewarded from the pool so far.', globalState.totalAinRewarded),
+        ...gauge('bxc_ain_reward_pool', 'Total AIN reward pool.', globalState.maxAinRewardPool),
+        ...gauge('bxc_event_paused', '1 while the event is paused.', globalState.isPaused ? 1 : 0),
+        ...gauge('bxc_withdrawals_paused', '1 while withdrawals are paused.', globalState.withdrawalsPaused ? 1 : 0),
+        ...gauge('bxc_event_seconds_remaining', 'Seconds until the current event ends; 0 once ended or before it starts.', eventEndTime ? Math.max(eventEndTime - now, 0) / 1000 : 0),
+        ...gauge('bxc_event_seconds_until_rollover', 'Seconds until the next cycle starts.', eventEndTime ? Math.max(getRolloverTime(globalState).getTime() - now, 0) / 1000 : 0),
+        ...gauge('bxc_users', 'Connected wallets.', users),
+        ...gauge('bxc_user_liabilities', 'Sum of user balances (available, and reserved by pending withdrawals) owed by the platform.', liabilities),
+        ...gauge('bxc_cycle_stakes', 'Stakes in the current cycle by status.', stakes.map(row => ({ labels: { status: row._id }, value: row.count }))),
+        ...gauge('bxc_cycle_reveals', 'Rewards revealed in the current cycle.', reveals),
+        ...gauge('bxc_cycle_collects', 'Rewards collected in the current cycle.', collects),
+        ...gauge('bxc_cycle_withdrawals', 'Withdrawal requests in the current cycle by token and status.', withdrawals.map(row => ({ labels: row._id, value: row.count }))),
+        ...gauge('bxc_cycle_withdrawal_amount', 'Amount requested for withdrawal in the current cycle by token and status.', withdrawals.map(row => ({ labels: row._id, value: row.amount })))
+    ];
+}
+
+function startMetricsServer() {
+    const metricsApp = express();
+    metricsApp.get('/metrics', async (req, res) => {
+        try {
+            const lines = [
+                ...renderMetric(httpRequestsTotal),
+                ...renderMetric(httpRequestDuration),
+                ...renderMetric(mongoCommandDuration),
+                ...collectRuntimeMetrics(),
+                ...(isDatabaseAvailable() ? await collectBusinessMetrics() : [])
+            ];
+            eventLoopDelay.reset();
+            res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+            res.status(200).send(lines.join('\n') + '\n');
+        } catch (error) {
+            metricsLog.error("Error collecting metrics", error);
+            res.status(500).type('text/plain').send('Error collecting metrics.\n');
+        }
+    });
+    return metricsApp.listen(METRICS_PORT, () => {
+        metricsLog.info("Metrics server listening", { port: METRICS_PORT });
+    });
+}
+
+app.use(recordRequestMetrics);
+
+// --- Request Validation & Error Responses ---
+// Every error response uses the envelope { code, message, details }. `code` is a stable,
+// machine-readable identifier (e.g. 'EVENT_PAUSED', 'SLOTS_FULL'); clients should branch on it
+// rather than on `message`, which is meant for people and may change. `details` is null unless the
+// error carries extra data, such as the failing fields of a VALIDATION_FAILED response.
+function sendError(res, status, code, message, details = null) {
+    return res.status(status).json({ code: code, message: message, details: details });
+}
+
+const REQUEST_FIELD_PATTERNS = {
+    address: { pattern: /^0x[a-fA-F0-9]{40}$/, description: 'a 0x-prefixed wallet address' },
+    txHash: { pattern: /^0x[a-fA-F0-9]{64}$/, description: 'a 0x-prefixed transaction hash' },
+    objectId: { pattern: /^[a-fA-F0-9]{24}$/, description: 'a 24-character hex id' }
+};
+
+// Checks one value against a field rule. Rules have a `type` ('string', 'number', 'integer',
+// 'boolean', 'date', 'array', 'object', or a REQUEST_FIELD_PATTERNS key) and optional constraints:
+// enum, nullable, min, max, exclusiveMin, minLength, maxLength, minItems, maxItems and items.
+// Returns an error message, or null when the value is acceptable.
+function checkRequestField(name, value, rule) {
+    if (value === null) {
+        return rule.nullable ? null : `${name} must not be null.`;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `${name} must be one of: ${rule.enum.join(', ')}.`;
+    }
+
+    if (REQUEST_FIELD_PATTERNS[rule.type]) {
+        const { pattern, description } = REQUEST_FIELD_PATTERNS[rule.type];
+        return typeof value === 'string' && pattern.test(value) ? null : `${name} must be ${description}.`;
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                return `${name} must be a string.`;
+            }
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                return `${name} must be at least ${rule.minLength} characters long.`;
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return `${name} must be at most ${rule.maxLength} characters long.`;
+            }
+            return null;
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+                return `${name} must be ${rule.type === 'integer' ? 'an integer' : 'a number'}.`;
+            }
+            if (rule.exclusiveMin !== undefined && value <= rule.exclusiveMin) {
+                return `${name} must be greater than ${rule.exclusiveMin}.`;
+            }
+            if (rule.min !== undefined && value < rule.min) {
+                return `${name} must be at least ${rule.min}.`;
+            }
+            if (rule.max !== undefined && value > rule.max) {
+                return `${name} must be at most ${rule.max}.`;
+            }
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${name} must be true or false.`;
+        case 'date':
+            return (typeof value === 'string' || typeof value === 'number') && !Number.isNaN(new Date(value).getTime())
+                ? null
+                : `${name} must be an ISO date string or a timestamp in milliseconds.`;
+        case 'array':
+            if (!Array.isArray(value)) {
+                return `${name} must be a list.`;
+            }
+            if (rule.minItems !== undefined && value.length < rule.minItems) {
+                return `${name} must contain at least ${rule.minItems} items.`;
+            }
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                return `${name} must contain at most ${rule.maxItems} items.`;
+            }
+            if (rule.items) {
+                for (let i = 0; i < value.length; i++) {
+                    const itemError = checkRequestField(`${name}[${i}]`, value[i], rule.items);
+                    if (itemError) {
+                        return itemError;
+                    }
+                }
+            }
+            return null;
+        case 'object':
+            return typeof value === 'object' && !Array.isArray(value) ? null : `${name} must be an object.`;
+        default:
+            return null; // Enum-only rules
+    }
+}
+
+// Validates a request body against a schema of { field: rule }; fields not in the schema are ignored.
+// Returns a list of { field, message } problems, empty when the body is valid.
+function validateRequestBody(body, schema) {
+    if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+        return [{ field: null, message: 'Request body must be a JSON object.' }];
+    }
+    const errors = [];
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = body[field];
+        if (value === undefined) {
+            if (rule.required) {
+                errors.push({ field: field, message: `${field} is required.` });
+            }
+            continue;
+        }
+        const message = checkRequestField(field, value, rule);
+        if (message) {
+            errors.push({ field: field, message: message });
+        }
+    }
+    return errors;
+}
+
+const PAGE_LIMIT = (max) => ({ type: 'integer', min: 1, max: max });
+const OPTIONAL_ADDRESS = { type: 'address' };
+const REQUIRED_ADDRESS = { type: 'address', required: true };
+const REFERRAL_VISITOR_FIELDS = {
+    referralClickId: { type: 'objectId' },
+    visitorId: { type: 'string', minLength: 1, maxLength: 128 }
+};
+
+// Request body schemas, keyed by route path. validateBody rejects bodies that do not match with
+// a 400 VALIDATION_FAILED before the route handler runs. Routes that take no input
+// have an empty schema so the table doubles as the list of API routes.
+const REQUEST_SCHEMAS = {
+    '/api/auth/nonce': { walletAddress: REQUIRED_ADDRESS, scope: { enum: Object.keys(SIWE_STATEMENTS) } },
+    '/api/auth/verify': { message: { type: 'string', required: true, minLength: 1, maxLength: 2000 }, signature: { type: 'string', required: true, minLength: 1, maxLength: 200 } },
+    '/api/auth/logout': {},
+    '/api/status': { walletAddress: { type: 'address', nullable: true } },
+    '/api/stake': { transactionHash: { type: 'txHash', required: true }, referrerRef: { type: 'string', minLength: 1, maxLength: 42 }, ...REFERRAL_VISITOR_FIELDS },
+    '/api/withdraw-stake': {},
+    '/api/reveal-reward': { clientSeed: { type: 'string', minLength: 1, maxLength: CLIENT_SEED_MAX_LENGTH } },
+    '/api/collect-reward': {},
+    '/api/withdraw': { token: { enum: ['BXC'], required: true }, amount: { type: 'number', required: true, exclusiveMin: 0 } },
+    '/api/withdrawAIN': { amount: { type: 'number', required: true, exclusiveMin: 0 } },
+    '/api/withdrawals': { status: { enum: WITHDRAWAL_STATUSES }, limit: PAGE_LIMIT(200) },
+    '/api/referral-copied': {},
+    '/api/referral-click': { code: { type: 'string', required: true, minLength: 1, maxLength: 20 }, visitorId: REFERRAL_VISITOR_FIELDS.visitorId },
+    '/api/referral-stats': {},
+    '/api/referral-code/claim': { code: { type: 'string', required: true, minLength: 1, maxLength: 40 } },
+    '/api/referrals': { limit: PAGE_LIMIT(200), before: { type: 'date' } },
+    '/api/cycles': { limit: PAGE_LIMIT(100), beforeCycle: { type: 'integer', min: 1 } },
+    '/api/cycles/stats': { cycleNumber: { type: 'integer', required: true, min: 1 } },
+    '/api/cycles/wallet-results': { walletAddress: REQUIRED_ADDRESS },
+    '/api/fairness/verify': { walletAddress: REQUIRED_ADDRESS, cycleNumber: { type: 'integer', required: true, min: 1 } },
+    '/api/ledger': { token: { enum: Object.keys(BALANCE_FIELDS) }, limit: PAGE_LIMIT(200), before: { type: 'date' } },
+
+    '/api/admin/status': {},
+    '/api/admin/toggle-event-pause': {},
+    '/api/admin/set-event-duration': { durationHours: { type: 'number', required: true, exclusiveMin: 0 } },
+    '/api/admin/set-claim-window': { claimWindowHours: { type: 'number', required: true, min: 0 } },
+    '/api/admin/toggle-withdrawals-pause': {},
+    '/api/admin/set-withdrawal-rules': {
+        token: { enum: Object.keys(BALANCE_FIELDS), required: true },
+        minAmount: { type: 'number', min: 0 },
+        maxPerRequest: { type: 'number', min: 0, nullable: true },
+        walletDailyCap: { type: 'number', min: 0, nullable: true },
+        cooldownMinutes: { type: 'number', min: 0 },
+        globalDailyCap: { type: 'number', min: 0, nullable: true }
+    },
+    '/api/admin/set-rate-limits': {
+        routeClass: { enum: Object.keys(DEFAULT_RATE_LIMITS), required: true },
+        windowSeconds: { type: 'integer', min: 1 },
+        perIp: { type: 'integer', min: 1 },
+        perWallet: { type: 'integer', min: 1 }
+    },
+    '/api/admin/users-leaderboard': { sortBy: { enum: ['referralCount', 'BXC_Balance', 'AIN_Balance', 'stakedUSDValue', 'createdAt'] }, limit: PAGE_LIMIT(500) },
+    '/api/admin/set-staking-wallet': { newStakingAddress: REQUIRED_ADDRESS },
+    '/api/admin/set-stake-amount': { newStakeAmount: { type: 'number', required: true, exclusiveMin: 0 } },
+    '/api/admin/set-max-slots': { newMaxSlots: { type: 'integer', required: true, min: 1 } },
+    '/api/admin/set-ain-reward-pool': { newMaxAinRewardPool: { type: 'number', required: true, min: 0 } },
+    '/api/admin/reward-tiers/set': {
+        tiers: { type: 'array', required: true, minItems: 1, maxItems: MAX_REWARD_TIERS, items: { type: 'object' } },
+        luckyWinnerSlotThreshold: { type: 'integer', min: 0 },
+        applyTo: { enum: ['next', 'current'] }
+    },
+    '/api/admin/game-mode/set': {
+        gameMode: { enum: Object.keys(GAME_MODES), required: true },
+        applyTo: { enum: ['next', 'current'] }
+    },
+    '/api/admin/reward-tiers/preview': {
+        tiers: { type: 'array', minItems: 1, maxItems: MAX_REWARD_TIERS, items: { type: 'object' } },
+        luckyWinnerSlotThreshold: { type: 'integer', min: 0 }
+    },
+    '/api/admin/simulate-event': {
+        wallets: { type: 'integer', required: true, min: 1, max: SIMULATION_MAX_WALLETS },
+        seed: { type: 'string', minLength: 1, maxLength: 64 },
+        startTime: { type: 'date' },
+        gameMode: { enum: Object.keys(GAME_MODES) },
+        maxStakeSlots: { type: 'integer', min: 1 },
+        maxAinRewardPool: { type: 'number', min: 0 },
+        rewardTiers: { type: 'array', minItems: 1, maxItems: MAX_REWARD_TIERS, items: { type: 'object' } },
+        luckyWinnerSlotThreshold: { type: 'integer', min: 0 },
+        eventDurationHours: { type: 'number', exclusiveMin: 0 },
+        claimWindowHours: { type: 'number', min: 0 },
+        initialStakeAmountUSD: { type: 'number', exclusiveMin: 0 },
+        ainUsdPrice: { type: 'number', exclusiveMin: 0 },
+        referralBonusLevels: { type: 'array', minItems: 1, maxItems: REFERRAL_MAX_LEVELS, items: { type: 'number', min: 0 } },
+        referralCommissionPercent: { type: 'number', min: 0, max: 100 },
+        referralRate: { type: 'number', min: 0, max: 1 },
+        revealRate: { type: 'number', min: 0, max: 1 },
+        collectRate: { type: 'number', min: 0, max: 1 }
+    },
+    '/api/admin/referral-funnel': { targetWalletAddress: OPTIONAL_ADDRESS, code: { type: 'string', minLength: 1, maxLength: 20 }, limit: PAGE_LIMIT(500) },
+    '/api/admin/set-referral-rewards': {
+        bonusLevels: { type: 'array', minItems: 1, maxItems: REFERRAL_MAX_LEVELS, items: { type: 'number', min: 0 } },
+        commissionPercent: { type: 'number', min: 0, max: 100 },
+        attributionWindowHours: { type: 'number', exclusiveMin: 0 },
+        shareBonusMode: { enum: ['copy', 'conversion'] }
+    },
+    '/api/admin/ain-price/set': { price: { type: 'number', required: true, exclusiveMin: 0 } },
+    '/api/admin/ain-price/history': { limit: PAGE_LIMIT(500), before: { type: 'date' } },
+    '/api/admin/fund-user': {
+        targetWalletAddress: REQUIRED_ADDRESS,
+        tokenType: { enum: Object.keys(BALANCE_FIELDS), required: true },
+        amount: { type: 'number', required: true, exclusiveMin: 0 }
+    },
+    '/api/admin/reset-user-profile': { targetWalletAddress: REQUIRED_ADDRESS },
+    '/api/admin/reset-all-user-stakes': {},
+    '/api/admin/user-ledger': { targetWalletAddress: REQUIRED_ADDRESS, token: { enum: Object.keys(BALANCE_FIELDS) }, limit: PAGE_LIMIT(200), before: { type: 'date' } },
+    '/api/admin/ledger/reconcile': {},
+    '/api/admin/ledger/reconciliations': { limit: PAGE_LIMIT(50) },
+    '/api/admin/withdrawals/list': { status: { enum: ['all', ...WITHDRAWAL_STATUSES] }, targetWalletAddress: OPTIONAL_ADDRESS, limit: PAGE_LIMIT(500) },
+    '/api/admin/withdrawals/approve': { withdrawalId: { type: 'objectId', required: true } },
+    '/api/admin/withdrawals/reject': { withdrawalId: { type: 'objectId', required: true }, reason: { type: 'string', required: true, minLength: 1, maxLength: 500 } },
+    '/api/admin/stake-refunds/list': { status: { enum: ['all', ...STAKE_REFUND_STATUSES] }, targetWalletAddress: OPTIONAL_ADDRESS, limit: PAGE_LIMIT(500) },
+    '/api/admin/stake-refunds/resolve': {
+        stakeId: { type: 'objectId', required: true },
+        refundTxHash: { type: 'txHash', required: true },
+        note: { type: 'string', minLength: 1, maxLength: 500 }
+    },
+    '/api/admin/admins/list': {},
+    '/api/admin/admins/add': { targetWalletAddress: REQUIRED_ADDRESS, role: { enum: Object.keys(ADMIN_ROLE_RANK), required: true } },
+    '/api/admin/admins/remove': { targetWalletAddress: REQUIRED_ADDRESS }
+};
+
+// Route middleware for POST routes: validates req.body against the route's entry in REQUEST_SCHEMAS.
+// The schema is looked up by the matched route, not the request path, because Express also routes
+// paths that differ in case or by a trailing slash.
+function validateBody(req, res, next) {
+    const errors = validateRequestBody(req.body, REQUEST_SCHEMAS[req.route.path] || {});
+    if (errors.length > 0) {
+        return sendError(res, 400, 'VALIDATION_FAILED', errors[0].message, { errors: errors });
+    }
+    next();
+}
+
+// Path parameters and query string values arrive as strings; convert them to the type the rule asks
+// for so GET routes can reuse the body rules. Values that don't parse are left as-is and fail validation.
+function coerceQueryValue(value, rule) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if ((rule.type === 'integer' || rule.type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    if (rule.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+// Route middleware for GET routes: validates req.params and req.query against the route's entry in
+// API_V2_SCHEMAS and exposes the converted values as req.input.
+function validateQuery(req, res, next) {
+    const schema = API_V2_SCHEMAS[req.route.path] || {};
+    const input = {};
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = req.params[field] !== undefined ? req.params[field] : req.query[field];
+        if (value !== undefined) {
+            input[field] = coerceQueryValue(value, rule);
+        }
+    }
+    const errors = validateRequestBody(input, schema);
+    if (errors.length > 0) {
+        return sendError(res, 400, 'VALIDATION_FAILED', errors[0].message, { errors: errors });
+    }
+    req.input = input;
+    next();
+}
+
+// --- Health Checks ---
+// Liveness (GET /api/health/live) only says the process is serving requests. Readiness
+// (GET /api/health/ready) checks what the API needs and returns a per-check breakdown; fly.toml
+// routes traffic on it. Checks report 'pass', 'warn' or 'fail'. Only MongoDB and globalState can
+// fail readiness: a stuck rollover or background job shows up on every machine at once, and taking
+// them all out of rotation would turn it into an outage, so those checks only warn.
+const HEALTH_CHECK_TIMEOUT_MS = 2000;
+const ROLLOVER_OVERDUE_MS = ROLLOVER_RECHECK_MS + ROLLOVER_LEASE_TTL_MS; // Enough for the scheduler to run even after a lease holder died
+const JOB_STALE_INTERVALS = 3; // A background job is stale after missing this many runs
+
+// Background jobs call recordJobSuccess() after each run that completes without an error.
+const jobLastSuccessAt = new Map();
+
+function recordJobSuccess(name) {
+    jobLastSuccessAt.set(name, new Date());
+}
+
+// The background jobs this machine runs, with how often each should succeed.
+function getBackgroundJobs() {
+    const jobs = [
+        { name: 'eventRollover', intervalMs: ROLLOVER_RECHECK_MS },
+        { name: 'withdrawalPoll', intervalMs: WITHDRAWAL_POLL_INTERVAL_MS }
+    ];
+    if (RPC_URL) {
+        jobs.push({ name: 'stakeVerify', intervalMs: STAKE_VERIFY_INTERVAL_MS });
+    }
+    if (priceProvider.name !== 'manual') {
+        jobs.push({ name: 'ainPriceRefresh', intervalMs: AIN_PRICE_REFRESH_MS });
+    }
+    return jobs;
+}
+
+function withTimeout(promise, timeoutMs, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkMongo() {
+    if (!databaseReady) {
+        return { status: 'fail', message: "Connecting to MongoDB and running startup tasks." };
+    }
+    const startedAt = Date.now();
+    try {
+        await withTimeout(getDb().command({ ping: 1 }), HEALTH_CHECK_TIMEOUT_MS, `MongoDB did not answer a ping within ${HEALTH_CHECK_TIMEOUT_MS} ms.`);
+        return { status: 'pass', latencyMs: Date.now() - startedAt };
+    } catch (error) {
+        return { status: 'fail', message: error.message };
+    }
+}
+
+// Warns when the cycle should have rolled over by now, or a rollover has been in progress for
+// longer than its lease (the machine running it died and no other has resumed it).
+async function checkRollover(globalState, now) {
+    if (globalState.rolloverInProgress) {
+        const lease = await getDb().collection('locks').findOne({ _id: 'eventRollover' });
+        const runningMs = now.getTime() - new Date(globalState.rolloverInProgress.startedAt).getTime();
+        if (runningMs > ROLLOVER_LEASE_TTL_MS) {
+            return {
+                status: 'warn',
+                message: `Rollover to cycle ${globalState.rolloverInProgress.cycleNumber} has been in progress for ${Math.round(runningMs / 1000)} seconds.`,
+                lease: lease ? { owner: lease.owner, expiresAt: lease.expiresAt } : null
+            };
+        }
+        return { status: 'pass', message: `Rollover to cycle ${globalState.rolloverInProgress.cycleNumber} in progress.` };
+    }
+    if (!globalState.eventEndTime || globalState.isPaused) {
+        return { status: 'pass', message: globalState.isPaused ? "Event is paused." : "No event end time set." };
+    }
+
+    const rolloverTime = getRolloverTime(globalState);
+    const overdueMs = now.getTime() - rolloverTime.getTime();
+    if (overdueMs > ROLLOVER_OVERDUE_MS) {
+        return { status: 'warn', message: `Cycle ${globalState.cycleNumber} should have rolled over ${Math.round(overdueMs / 1000)} seconds ago.`, rolloverTime: rolloverTime };
+    }
+    return { status: 'pass', rolloverTime: rolloverTime };
+}
+
+function checkBackgroundJobs(now) {
+    const jobs = {};
+    let status = 'pass';
+    for (const job of getBackgroundJobs()) {
+        const lastSuccessAt = jobLastSuccessAt.get(job.name) || null;
+        const staleAfterMs = job.intervalMs * JOB_STALE_INTERVALS;
+        // Jobs that have not had the chance to run yet since startup are not stale
+        const sinceMs = now.getTime() - (lastSuccessAt ? lastSuccessAt.getTime() : now.getTime() - process.uptime() * 1000);
+        const jobStatus = sinceMs > staleAfterMs ? 'warn' : 'pass';
+        if (jobStatus === 'warn') {
+            status = 'warn';
+        }
+        jobs[job.name] = { status: jobStatus, lastSuccessAt: lastSuccessAt, intervalMs: job.intervalMs };
+    }
+    return { status: status, jobs: jobs };
+}
+
+// Runs every check. Resolves to { status, checks }, where status is the worst check status.
+async function runReadinessChecks() {
+    const now = new Date();
+    const checks = { mongo: await checkMongo() };
+
+    if (checks.mongo.status === 'fail') {
+        checks.globalState = { status: 'fail', message: "Skipped: MongoDB is unreachable." };
+    } else {
+        try {
+            const globalState = await withTimeout(getDb().collection('globalState').findOne({}), HEALTH_CHECK_TIMEOUT_MS, "Reading globalState timed out.");
+            if (!globalState) {
+                checks.globalState = { status: 'fail', message: "Global state not found. Event not initialized." };
+            } else {
+                checks.globalState = { status: 'pass', cycleNumber: globalState.cycleNumber };
+                checks.rollover = await checkRollover(globalState, now);
+            }
+        } catch (error) {
+            checks.globalState = { status: 'fail', message: error.message };
+        }
+    }
+    checks.backgroundJobs = checkBackgroundJobs(now);
+    if (shuttingDown) {
+        checks.shutdown = { status: 'fail', message: "Shutting down." };
+    }
+
+    const statuses = Object.values(checks).map(check => check.status);
+    const status = statuses.includes('fail') ? 'fail' : (statuses.includes('warn') ? 'warn' : 'pass');
+    return { status: status, checks: checks };
+}
+
+// Middleware: answers 503 while MongoDB is unavailable (still connecting at startup, or no writable
+// server) instead of letting every route fail with a 500. The health checks report it themselves.
+function requireDatabase(req, res, next) {
+    if (shuttingDown) {
+        res.set('Connection', 'close'); // Move keep-alive clients off this machine
+    }
+    if (isDatabaseAvailable() || req.path.startsWith('/api/health')) {
+        return next();
+    }
+    res.set('Retry-After', String(MONGO_RETRY_MAX_MS / 1000));
+    sendError(res, 503, 'DATABASE_UNAVAILABLE', "The database is temporarily unavailable. Please try again shortly.");
+}
+
+app.use(requireDatabase);
+
+// --- API Routes ---
+
+// ENDPOINT: GET /api/health
+// Kept for existing monitors: the readiness verdict in the original { status, message } shape.
+app.get('/api/health', async (req, res) => {
+    const readiness = await runReadinessChecks();
+    if (readiness.status === 'fail') {
+        return res.status(503).json({ status: 'error', message: 'Backend is running but not ready. See /api/health/ready.' });
+    }
+    res.status(200).json({ status: 'ok', message: 'Backend is healthy and connected to DB.' });
+});
+
+// ENDPOINT: GET /api/health/live
+app.get('/api/health/live', (req, res) => {
+    res.status(200).json({ status: 'pass', instanceId: INSTANCE_ID, uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// ENDPOINT: GET /api/health/ready
+// 200 while the status is 'pass' or 'warn', 503 on 'fail'.
+app.get('/api/health/ready', async (req, res) => {
+    const readiness = await runReadinessChecks();
+    if (readiness.status === 'fail') {
+        req.log.warn("Readiness check failed", { checks: readiness.checks });
+    }
+    res.set('Cache-Control', 'no-store');
+    res.status(readiness.status === 'fail' ? 503 : 200).json({
+        status: readiness.status,
+        instanceId: INSTANCE_ID,
+        serverTime: new Date(),
+        checks: readiness.checks
+    });
+});
+
+
+// AUTH ENDPOINT: POST /api/auth/nonce
+// Issues a single-use nonce and the SIWE message the wallet must sign with it.
+// Pass scope: 'admin' to sign in to the admin panel instead of the DApp.
+app.post('/api/auth/nonce', rateLimit('mutation'), validateBody, async (req, res) => {
+    const { walletAddress, scope = 'user' } = req.body;
+    const now = new Date();
+
+    try {
+        const db = getDb();
+        const nonce = randomBytes(16).toString('hex');
+        const expiresAt = new Date(now.getTime() + AUTH_NONCE_TTL_MS);
+        const message = buildSiweMessage(walletAddress, scope, nonce, now, expiresAt);
+
+        await db.collection('authNonces').insertOne({
+            nonce: nonce,
+            walletAddress: walletAddress.toLowerCase(),
+            scope: scope,
+            message: message,
+            createdAt: now,
+            expiresAt: expiresAt
+        });
+
+        res.status(200).json({
+            nonce: nonce,
+            message: message,
+            expiresAt: expiresAt
+        });
+
+    } catch (error) {
+        req.log.error("Error issuing nonce", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error issuing sign-in nonce.");
+    }
+});
+
+// AUTH ENDPOINT: POST /api/auth/verify
+// Verifies the EIP-191 signature over a previously issued SIWE message and returns a session token.
+app.post('/api/auth/verify', rateLimit('mutation'), validateBody, async (req, res) => {
+    const { message, signature } = req.body;
+    const now = new Date();
+
+    const nonceMatch = message.match(/^Nonce: ([a-f0-9]{32})$/m);
+    if (!nonceMatch) {
+        return sendError(res, 400, 'INVALID_SIGN_IN_MESSAGE', "Sign-in message does not contain a valid nonce.");
+    }
+
+    try {
+        const db = getDb();
+
+        // Consume the nonce atomically so a signature can never be replayed, even concurrently.
+        const nonceDoc = await db.collection('authNonces').findOneAndDelete({
+            nonce: nonceMatch[1],
+            expiresAt: { $gt: now }
+        });
+
+        if (!nonceDoc || nonceDoc.message !== message) {
+            return sendError(res, 401, 'NONCE_INVALID', "Sign-in nonce is invalid, expired or already used. Please request a new one.");
+        }
+
+        let recoveredAddress;
+        try {
+            recoveredAddress = verifyMessage(message, signature).toLowerCase();
+        } catch (err) {
+            return sendError(res, 401, 'INVALID_SIGNATURE', "Invalid signature.");
+        }
+
+        if (recoveredAddress !== nonceDoc.walletAddress) {
+            return sendError(res, 401, 'SIGNATURE_MISMATCH', "Signature does not match the wallet address.");
+        }
+
+        const scope = nonceDoc.scope || 'user';
+        let admin = null;
+        if (scope === 'admin') {
+            admin = await db.collection('admins').findOne({ walletAddress: recoveredAddress });
+            if (!admin) {
+                return sendError(res, 403, 'NOT_ADMIN', "Access Denied: Not an admin.", { isAdmin: false });
+            }
+        }
+
+        const token = randomBytes(32).toString('hex');
+        const expiresAt = new Date(now.getTime() + (scope === 'admin' ? ADMIN_SESSION_TTL_MS : SESSION_TTL_MS));
+
+        await db.collection('sessions').insertOne({
+            tokenHash: hashToken(token),
+            walletAddress: recoveredAddress,
+            scope: scope,
+            createdAt: now,
+            expiresAt: expiresAt
+        });
+
+        req.log.info("Session created", { scope: scope, walletAddress: recoveredAddress, expiresAt: expiresAt });
+        res.status(200).json({
+            message: "Signed in successfully.",
+            token: token,
+            walletAddress: recoveredAddress,
+            scope: scope,
+            role: admin ? admin.role : undefined,
+            expiresAt: expiresAt
+        });
+
+    } catch (error) {
+        req.log.error("Error verifying signature", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error verifying signature.");
+    }
+});
+
+// AUTH ENDPOINT: POST /api/auth/logout
+// Ends the session identified by the bearer token, whether it is a user or an admin session.
+app.post('/api/auth/logout', rateLimit('mutation'), validateBody, async (req, res) => {
+    try {
+        const session = (await findSession(req, 'user')) || (await findSession(req, 'admin'));
+        if (!session) {
+            return sendError(res, 401, 'SESSION_INVALID', "Session expired or invalid.");
+        }
+
+        const db = getDb();
+        await db.collection('sessions').deleteOne({ _id: session._id });
+        res.status(200).json({ message: "Signed out successfully." });
+    } catch (error) {
+        req.log.error("Error signing out", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error during sign out.");
+    }
+});
+
+
+// Public view of a user document, with the wallet's stakes in the current cycle.
+async function buildUserStatus(user, globalState) {
+    const stakeTransactions = await getCycleStakeTransactions(user.walletAddress, globalState.cycleNumber);
+    return {
+        walletAddress: user.walletAddress,
+        slotsStaked: user.slotsStaked,
+        stakedUSDValue: user.stakedUSDValue,
+        BXC_Balance: user.BXC_Balance,
+        AIN_Balance: user.AIN_Balance,
+        BXC_Reserved: user.BXC_Reserved || 0,
+        AIN_Reserved: user.AIN_Reserved || 0,
+        claimedEventRewardTime: user.claimedEventRewardTime,
+        collectedEventRewardTime: user.collectedEventRewardTime,
+        lastRevealedUSDAmount: user.lastRevealedUSDAmount,
+        lastRevealedAINAmount: user.lastRevealedAINAmount || 0,
+        lastReferralCopyBonusGiven: user.lastReferralCopyBonusGiven,
+        referralCode: user.referralCode,
+        referralCount: user.referralCount,
+        referredBy: user.referredBy || null,
+        createdAt: user.createdAt,
+        stakeTransactions: stakeTransactions,
+        lastBXCAccrualTime: user.lastBXCAccrualTime
+    };
+}
+
+// Public view of the running event: timing, pause flags, economics and the current reward table.
+async function buildEventStatus(globalState, now) {
+    const totalConnectedWallets = await getDb().collection('users').countDocuments({});
+    const ainPrice = await getCurrentAinPrice();
+    const referralSettings = getReferralSettings(globalState);
+
+    return {
+        totalSlotsUsed: globalState.totalSlotsUsed,
+        eventStartTime: globalState.eventStartTime,
+        eventEndTime: globalState.eventEndTime,
+        isPaused: globalState.isPaused || false, 
+        pauseStartTime: globalState.pauseStartTime || null,
+        withdrawalsPaused: globalState.withdrawalsPaused || false,
+        withdrawalsPausedReason: globalState.withdrawalsPausedReason || null,
+        withdrawalRules: { BXC: getWithdrawalRules(globalState, 'BXC'), AIN: getWithdrawalRules(globalState, 'AIN') },
+        serverTime: now,
+        // NEW: Dynamic values from globalState
+        stakingRecipientAddress: globalState.stakingRecipientAddress, 
+        initialStakeAmountUSD: globalState.initialStakeAmountUSD,     
+        maxStakeSlots: globalState.maxStakeSlots,                     
+        maxAinRewardPool: globalState.maxAinRewardPool || 0,          
+        totalAinRewarded: globalState.totalAinRewarded || 0,          
+        totalConnectedWallets: totalConnectedWallets,                 
+        eventDurationHours: globalState.eventDurationHours || 95,
+        claimWindowHours: globalState.claimWindowHours,
+        cycleNumber: globalState.cycleNumber,
+        serverSeedHash: globalState.serverSeedHash || null,
+        gameMode: getGameMode(globalState).name,
+        nextGameMode: globalState.nextGameMode || null,
+        ...getRewardTable(globalState),
+        ainUsdPrice: ainPrice.price,
+        ainPriceUpdatedAt: ainPrice.recordedAt,
+        referralBonusLevels: referralSettings.bonusLevels,
+        referralCommissionPercent: referralSettings.commissionPercent,
+        referralShareBonusMode: referralSettings.shareBonusMode,
+        rolloverTime: globalState.eventEndTime ? getRolloverTime(globalState) : null,
+    };
+}
+
+// ENDPOINT: POST /api/status
+// Returns the event state and, when walletAddress is given, that wallet's user (created on first visit).
+// Read-only equivalents: GET /api/v2/event/current and GET /api/v2/users/:walletAddress.
+// GET /api/v2/stream pushes the same state as it changes, so clients need not poll this.
+app.post('/api/status', rateLimit('read'), validateBody, async (req, res) => {
+    const { walletAddress } = req.body;
+    const now = new Date();
+
+    try {
+        const db = getDb();
+        const usersCollection = db.collection('users');
+        const globalStateCollection = db.collection('globalState');
+
+        let user = null;
+        if (walletAddress) {
+            user = await usersCollection.findOne({ walletAddress: walletAddress.toLowerCase() });
+            if (!user) {
+                user = {
+                    walletAddress: walletAddress.toLowerCase(),
+                    slotsStaked: 0,
+                    stakedUSDValue: 0,
+                    BXC_Balance: 0,
+                    AIN_Balance: 0,
+                    BXC_Reserved: 0,
+                    AIN_Reserved: 0,
+                    claimedEventRewardTime: null,
+                    collectedEventRewardTime: null,
+                    lastRevealedUSDAmount: 0,
+                    lastRevealedAINAmount: 0,
+                    lastReferralCopyBonusGiven: null,
+                    referralCode: await reserveReferralCode(walletAddress.toLowerCase()),
+                    referralCodeRegisteredAt: now,
+                    referralCount: 0,
+                    createdAt: now,
+                    lastBXCAccrualTime: now,
+                    ledgerInitializedAt: now
+                };
+                await usersCollection.insertOne(user);
+            } else {
+                user = await calculateAndSaveBXC(user, req.log);
+            }
+        }
+
+        const globalState = await globalStateCollection.findOne({}); 
+        if (!globalState) {
+            req.log.error("Global state not found; it should have been initialized at startup");
+            return res.status(500).json({
+                code: 'EVENT_NOT_INITIALIZED',
+                message: "Global state not initialized on server. Please check backend logs.",
+                details: null,
+                global: { // Provide fallback structure to prevent frontend crashes
+                    totalSlotsUsed: 0,
+                    eventStartTime: now,
+                    eventEndTime: new Date(now.getTime() + 95 * 60 * 60 * 1000),
+                    isPaused: false,
+                    pauseStartTime: null,
+                    withdrawalsPaused: false,
+                    serverTime: now,
+                    stakingRecipientAddress: '0xDefaultErrorAddress', 
+                    initialStakeAmountUSD: 8,     
+                    maxStakeSlots: 30000,                     
+                    maxAinRewardPool: 0,          
+                    totalAinRewarded: 0,          
+                    totalConnectedWallets: 0,
+                    eventDurationHours: 95,
+                }
+            });
+        }
+
+        res.json({
+            user: user ? await buildUserStatus(user, globalState) : null,
+            global: await buildEventStatus(globalState, now),
+            message: "Status fetched successfully."
+        });
+
+    } catch (error) {
+        req.log.error("Error fetching status", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
+
+
+app.post('/api/stake', requireSession, rateLimit('mutation'), validateBody, async (req, res) => {
+    const { referrerRef, transactionHash } = req.body;
+    const now = new Date();
+
+    if (!RPC_URL) {
+        return sendError(res, 503, 'STAKING_UNAVAILABLE', "Staking is temporarily unavailable: on-chain verification is not configured.");
+    }
+
+    const userWalletAddress = req.walletAddress;
+    const stakeHash = transactionHash.toLowerCase();
+
+    try {
+        const db = getDb();
+        const usersCollection = db.collection('users');
+        const globalStateCollection = db.collection('globalState');
+
+        let user = await usersCollection.findOne({ walletAddress: userWalletAddress });
+        let globalState = await globalStateCollection.findOne({});
+
+        if (!globalState) {
+            throw new Error("Global state not found during stake. Server startup issue.");
+        }
+        if (globalState.isPaused) { 
+            return sendError(res, 400, 'EVENT_PAUSED', "Staking is currently paused by admin.");
+        }
+
+        const currentMaxStakeSlots = globalState.maxStakeSlots || 30000;
+
+        // New cycles are started by the event scheduler only; a stake never triggers a rollover.
+        if (globalState.rolloverInProgress) {
+            return sendError(res, 503, 'ROLLOVER_IN_PROGRESS', "A new event cycle is starting. Please try again in a moment.");
+        }
+        if (now > globalState.eventEndTime) {
+            return sendError(res, 400, 'EVENT_ENDED', "The current event cycle has ended. Staking reopens when the next cycle starts.");
+        }
+
+        if (globalState.totalSlotsUsed >= currentMaxStakeSlots) { 
+            return sendError(res, 400, 'SLOTS_FULL', "All staking slots are currently filled for this event cycle.");
+        }
+
+        const stakesCollection = db.collection('stakes');
+
+        // Rejected, withdrawn or reset stakes do not count, so the user can stake again.
+        const hasStakedInCurrentCycle = await stakesCollection.findOne({
+            walletAddress: userWalletAddress,
+            cycleNumber: globalState.cycleNumber,
+            status: { $in: ACTIVE_STAKE_STATUSES }
+        });
+
+        if (hasStakedInCurrentCycle) {
+            return sendError(res, 400, 'ALREADY_STAKED', "You have already completed the one-time stake for this event cycle.");
+        }
+
+        if (!user) {
+            user = {
+                walletAddress: userWalletAddress,
+                slotsStaked: 0,
+                stakedUSDValue: 0,
+                BXC_Balance: 0,
+                AIN_Balance: 0,
+                BXC_Reserved: 0,
+                AIN_Reserved: 0,
+                claimedEventRewardTime: null,
+                collectedEventRewardTime: null,
+                lastRevealedUSDAmount: 0,
+                lastRevealedAINAmount: 0,
+                lastReferralCopyBonusGiven: null,
+                referralCode: await reserveReferralCode(userWalletAddress),
+                referralCodeRegisteredAt: now,
+                referralCount: 0,
+                createdAt: now,
+                lastBXCAccrualTime: now,
+                ledgerInitializedAt: now
+            };
+            await usersCollection.insertOne(user);
+        } else {
+             user = await calculateAndSaveBXC(user, req.log); 
+        }
+
+        const currentInitialStakeAmount = globalState.initialStakeAmountUSD || 8;
+
+        // A link click from this visitor can stand in for a missing referral code. With a code, only a
+        // click on that referrer's link counts, and none if the code is unknown.
+        const namedReferrer = referrerRef ? await resolveReferralCode(referrerRef) : undefined;
+        const referralClick = namedReferrer === null ? null : await attributeReferralClick(
+            userWalletAddress,
+            { clickId: req.body.referralClickId, fingerprintHash: getVisitorFingerprint(req, req.body.visitorId), referrerWallet: namedReferrer },
+            getReferralSettings(globalState)
+        );
+        const referralClickId = referralClick ? referralClick._id : (referrerRef ? null : (user.referralClickId || null));
+
+        // The unique chainId + hash index guarantees a transaction is only ever used for one stake,
+        // across all wallets and all cycles.
+        const stake = {
+            chainId: CHAIN_ID,
+            hash: stakeHash,
+            walletAddress: userWalletAddress,
+            cycleNumber: globalState.cycleNumber,
+            amountUSD: currentInitialStakeAmount,
+            stakeBonusBXC: getGameMode(globalState).stakeBonusBXC, // Fixed when staking, so a later mode switch does not change it
+            referrerRef: referrerRef || (referralClick ? referralClick.code : null),
+            referralClickId: referralClickId,
+            status: 'pending',
+            rejectionReason: null,
+            createdAt: now,
+            verifiedAt: null
+        };
+        try {
+            const insertResult = await stakesCollection.insertOne(stake);
+            stake._id = insertResult.insertedId;
+        } catch (error) {
+            if (error.code === 11000) {
+                return sendError(res, 400, 'STAKE_TX_ALREADY_USED', "This transaction hash has already been used for a stake.");
+            }
+            throw error;
+        }
+
+        // Reserve a slot while the transaction is verified; rejectStake() releases it again.
+        const slotReservation = await globalStateCollection.updateOne(
+            { cycleNumber: globalState.cycleNumber, totalSlotsUsed: { $lt: currentMaxStakeSlots } },
+            { $inc: { totalSlotsUsed: 1 } }
+        );
+        if (slotReservation.modifiedCount === 0) {
+            await stakesCollection.deleteOne({ _id: stake._id });
+            return sendError(res, 400, 'SLOTS_FULL', "All staking slots are currently filled for this event cycle.");
+        }
+
+        let verification;
+        try {
+            verification = await settlePendingStake(stake, globalState);
+        } catch (error) {
+            // RPC hiccups leave the stake pending; processPendingStakes() will retry it.
+            req.log.error("Error verifying stake, leaving it pending", { hash: stakeHash, error: error });
+            verification = { status: 'pending', reason: "On-chain verification is temporarily unavailable. It will be retried automatically." };
+        }
+
+        if (verification.status === 'rejected') {
+            return sendError(res, 400, 'STAKE_REJECTED', `Stake rejected: ${verification.reason}`, {
+                transactionHash: stakeHash,
+                stakeStatus: 'rejected',
+                reason: verification.reason
+            });
+        }
+
+        const updatedUser = await usersCollection.findOne({ walletAddress: userWalletAddress });
+        const updatedGlobalState = await globalStateCollection.findOne({});
+        const stakeTransactions = await getCycleStakeTransactions(userWalletAddress, updatedGlobalState.cycleNumber);
+
+        const isConfirmed = verification.status === 'confirmed';
+
+        res.status(isConfirmed ? 200 : 202).json({
+            message: isConfirmed
+                ? `Stake successful! Welcome to ExtraShare BXC! You staked $${currentInitialStakeAmount}.`
+                : `Stake submitted and awaiting on-chain confirmation. ${verification.reason}`,
+            transactionHash: stakeHash,
+            stakeStatus: verification.status,
+            user: {
+                walletAddress: updatedUser.walletAddress,
+                slotsStaked: updatedUser.slotsStaked,
+                stakedUSDValue: updatedUser.stakedUSDValue,
+                BXC_Balance: updatedUser.BXC_Balance,
+                AIN_Balance: updatedUser.AIN_Balance,
+                claimedEventRewardTime: updatedUser.claimedEventRewardTime,
+                collectedEventRewardTime: updatedUser.collectedEventRewardTime,
+                lastRevealedUSDAmount: updatedUser.lastRevealedUSDAmount,
+                lastRevealedAINAmount: updatedUser.lastRevealedAINAmount || 0,
+                lastReferralCopyBonusGiven: updatedUser.lastReferralCopyBonusGiven,
+                referralCode: updatedUser.referralCode,
+                referralCount: updatedUser.referralCount,
+                stakeTransactions: stakeTransactions,
+                lastBXCAccrualTime: updatedUser.lastBXCAccrualTime
+            },
+            global: {
+                totalSlotsUsed: updatedGlobalState.totalSlotsUsed,
+                eventStartTime: updatedGlobalState.eventStartTime,
+                eventEndTime: updatedGlobalState.eventEndTime,
+                isPaused: updatedGlobalState.isPaused || false,
+                pauseStartTime: updatedGlobalState.pauseStartTime || null,
+                withdrawalsPaused: updatedGlobalState.withdrawalsPaused || false,
+                maxStakeSlots: updatedGlobalState.maxStakeSlots, 
+                initialStakeAmountUSD: updatedGlobalState.initialStakeAmountUSD, 
+                stakingRecipientAddress: updatedGlobalState.stakingRecipientAddress,
+                maxAinRewardPool: updatedGlobalState.maxAinRewardPool,
+                totalAinRewarded: updatedGlobalState.totalAinRewarded,
+            }
+        });
+
+    } catch (error) {
+        req.log.error("Error during stake", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error during stake processing.");
+    }
+});
+
+
+app.post('/api/withdraw-stake', requireSession, rateLimit('mutation'), validateBody, async (req, res) => {
+    const now = new Date();
+    const userWalletAddress = req.walletAddress;
+
+    try {
+        const db = getDb();
+        const usersCollection = db.collection('users');
+        const globalStateCollection = db.collection('globalState');
+
+        let user = await usersCollection.findOne({ walletAddress: userWalletAddress });
+        user = await calculateAndSaveBXC(user, req.log);
+        const globalState = await globalStateCollection.findOne({});
+
+        if (!user || user.stakedUSDValue < (globalState.initialStakeAmountUSD || 8) || user.slotsStaked === 0) { 
+            return sendError(res, 400, 'NO_ACTIVE_STAKE', "You have no active stake to withdraw.");
+        }
+        if (globalState && globalState.isPaused) { 
+            return sendError(res, 400, 'EVENT_PAUSED', "Stake withdrawal is paused by admin.");
+        }
+        if (globalState && globalState.withdrawalsPaused) { 
+            return sendError(res, 400, 'WITHDRAWALS_PAUSED', "All withdrawals are currently paused by admin.");
+        }
+
+        if (globalState && globalState.eventStartTime && now > globalState.eventStartTime) {
+             return sendError(res, 400, 'EVENT_STARTED', "Stake withdrawal is not allowed once the event has started.");
+        }
+
+        // Withdrawing the stake forfeits both balances. The balance filter makes the ledger entries
+        // match exactly what is cleared, even if the balance changed since it was read.
+        const forfeitEntries = Object.keys(BALANCE_FIELDS)
+            .filter(token => (user[BALANCE_FIELDS[token]] || 0) !== 0)
+            .map(token => ({ token: token, amount: -user[BALANCE_FIELDS[token]], reason: LEDGER_REASONS.STAKE_WITHDRAWAL_FORFEIT, cycleNumber: globalState.cycleNumber }));
+
+        const forfeitResult = await applyLedgerUpdate(userWalletAddress, forfeitEntries, {
+            filter: { BXC_Balance: user.BXC_Balance, AIN_Balance: user.AIN_Balance },
+            update: { $set: {
+                slotsStaked: 0,
+                stakedUSDValue: 0,
+                lastBXCAccrualTime: now,
+                claimedEventRewardTime: null,
+                collectedEventRewardTime: null,
+                lastRevealedUSDAmount: 0,
+                lastRevealedAINAmount: 0
+            } }
+        });
+        if (forfeitResult.matchedCount === 0) {
+            return sendError(res, 409, 'CONCURRENT_UPDATE', "Your balance changed while processing the request. Please try again.");
+        }
+
+        await db.collection('stakes').updateMany(
+            { walletAddress: userWalletAddress, cycleNumber: globalState.cycleNumber, status: 'confirmed' },
+            { $set: { status: 'withdrawn', withdrawnAt: now } }
+        );
+
+        await globalStateCollection.updateOne(
+            {},
+            { $inc: { totalSlotsUsed: -1 } }
+        );
+
+        res.status(200).json({ message: `Your $${(globalState.initialStakeAmountUSD || 8).toFixed(2)} stake has been successfully withdrawn (simulated).` }); 
+
+    } catch (error) {
+        req.log.error("Error during stake withdrawal", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error during stake withdrawal.");
+    }
+});
+
+
+app.post('/api/reveal-reward', requireSession, rateLimit('mutation'), validateBody, async (req, res) => {
+    const now = new Date();
+    const userWalletAddress = req.walletAddress;
+    const clientSeed = req.body.clientSeed === undefined ? userWalletAddress : req.body.clientSeed;
+
+    try {
+        const db = getDb();
+        const usersCollection = db.collection('users');
+        const globalStateCollection = db.collection('globalState');
+
+        const user = await usersCollection.findOne({ walletAddress: userWalletAddress });
+        const globalState = await globalStateCollection.findOne({});
+
+        if (!user || user.slotsStaked === 0) {
+            return sendError(res, 400, 'NOT_STAKED', "You must stake first to reveal rewards.");
+        }
+        if (globalState && globalState.isPaused) { 
+            return sendError(res, 400, 'EVENT_PAUSED', "Reward reveal is paused by admin.");
+        }
+
+        const gameMode = getGameMode(globalState);
+        const windowError = getRewardWindowError(gameMode, globalState, now, "Reward reveal");
+        if (windowError) {
+            return sendError(res, 400, windowError.code, windowError.message);
+        }
+        
+        if (user.claimedEventRewardTime && user.claimedEventRewardTime >= globalState.eventStartTime) {
+            const revealedAIN = getRevealedAINAmount(user);
+            const revealedUSD = user.lastRevealedUSDAmount || 0;
+            const revealedLabel = gameMode.rewardToken === 'AIN' ? `${revealedAIN.toFixed(4)} AIN` : `$${revealedUSD.toFixed(2)}`;
+            const message = revealedUSD === 0
+                ? `You revealed ${gameMode.rewardToken === 'AIN' ? '0 AIN' : '$0'}. Better luck next time!`
+                : `You already revealed ${revealedLabel}!`;
+            const existingDraw = await db.collection('rewardDraws').findOne({ cycleNumber: globalState.cycleNumber, walletAddress: userWalletAddress });
+            
+            return res.status(200).json({
+                message: message,
+                gameMode: gameMode.name,
+                USD_Amount: revealedUSD,
+                AIN_Amount: revealedAIN,
+                isLuckyWinner: revealedUSD > 0,
+                fairness: existingDraw ? formatRewardDraw(existingDraw) : null,
+                user: {
+                    stakedUSDValue: user.stakedUSDValue,
+                    BXC_Balance: user.BXC_Balance,
+                    AIN_Balance: user.AIN_Balance,
+                    claimedEventRewardTime: user.claimedEventRewardTime,
+                    collectedEventRewardTime: user.collectedEventRewardTime
+                }
+            });
+        }
+
+        const totalSlotsCurrentlyUsed = globalState.totalSlotsUsed;
+
+        const seed = await ensureCycleSeed(globalState.cycleNumber);
+        const rewardTable = getRewardTable(globalState);
+        const rolls = computeRewardRolls(seed.serverSeed, globalState.cycleNumber, userWalletAddress, clientSeed);
+        const drawn = drawRewardUSD(rolls, totalSlotsCurrentlyUsed, rewardTable);
+        const drawnUSD = drawn.amountUSD;
+
+        let ainUsdPrice = null;
+        if (gameMode.rewardToken === 'AIN') {
+            const ainPrice = await getCurrentAinPrice();
+            if (ainPrice.stale) {
+                return sendError(res, 503, 'AIN_PRICE_UNAVAILABLE', "The AIN price is temporarily unavailable. Please try again shortly.");
+            }
+            ainUsdPrice = ainPrice.price;
+        }
+
+        // Feature 3: Enforce MAX_AIN_REWARD_POOL
+        // The draw is settled against the pool, charged to it and recorded in one transaction. The pool
+        // charge only matches while totalAinRewarded is still at most what the draw was settled
+        // against, so concurrent reveals cannot push it past maxAinRewardPool: one of them re-settles.
+        let draw = null;
+        let cycleEnded = false;
+        try {
+            for (let attempt = 0; attempt < 3 && !draw && !cycleEnded; attempt++) {
+                await client.withSession(session => session.withTransaction(async () => {
+                    draw = null;
+                    const poolState = await globalStateCollection.findOne(
+                        { cycleNumber: globalState.cycleNumber },
+                        { projection: { maxAinRewardPool: 1, totalAinRewarded: 1 }, session: session }
+                    );
+                    cycleEnded = !poolState;
+                    if (cycleEnded) {
+                        return;
+                    }
+
+                    const maxAinRewardPool = poolState.maxAinRewardPool || 0;
+                    const totalAinRewarded = poolState.totalAinRewarded || 0;
+                    const settled = settleRewardDraw(gameMode, drawnUSD, ainUsdPrice, maxAinRewardPool, totalAinRewarded);
+                    if (settled.ainAmount > 0) {
+                        const charged = await globalStateCollection.updateOne(
+                            {
+                                cycleNumber: globalState.cycleNumber,
+                                ...(maxAinRewardPool > 0 ? { totalAinRewarded: { $not: { $gt: totalAinRewarded } } } : {})
+                            },
+                            { $inc: { totalAinRewarded: settled.ainAmount } },
+                            { session: session }
+                        );
+                        if (charged.matchedCount === 0) {
+                            return;
+                        }
+                    }
+
+                    // The unique (cycleNumber, walletAddress) index makes this the point where a reveal is final.
+                    const newDraw = {
+                        cycleNumber: globalState.cycleNumber,
+                        walletAddress: userWalletAddress,
+                        clientSeed: clientSeed,
+                        serverSeedHash: seed.serverSeedHash,
+                        totalSlotsUsed: totalSlotsCurrentlyUsed,
+                        rewardTiers: rewardTable.rewardTiers,
+                        luckyWinnerSlotThreshold: rewardTable.luckyWinnerSlotThreshold,
+                        tier: drawn.tier,
+                        digest: rolls.digest,
+                        tierRoll: rolls.tierRoll,
+                        amountRoll: rolls.amountRoll,
+                        drawnUSD: drawnUSD,
+                        rewardAmountUSD: settled.rewardAmountUSD,
+                        poolCapped: settled.rewardAmountUSD < drawnUSD,
+                        gameMode: gameMode.name,
+                        ainUsdPrice: ainUsdPrice,
+                        AIN_Amount: settled.ainAmount,
+                        createdAt: now
+                    };
+                    await db.collection('rewardDraws').insertOne(newDraw, { session: session });
+
+                    await usersCollection.updateOne(
+                        { walletAddress: userWalletAddress },
+                        {
+                            $set: {
+                                claimedEventRewardTime: now,
+                                lastRevealedUSDAmount: settled.rewardAmountUSD,
+                                lastRevealedAINAmount: settled.ainAmount, // Locked in here; collect pays exactly this
+                                lastRevealedAINPrice: ainUsdPrice,
+                            }
+                        },
+                        { session: session }
+                    );
+                    draw = newDraw;
+                }));
+            }
+        } catch (error) {
+            if (error.code === 11000) {
+                return sendError(res, 409, 'ALREADY_REVEALED', "Your reward for this event has already been revealed.");
+            }
+            throw error;
+        }
+        if (cycleEnded) {
+            return sendError(res, 400, 'EVENT_ENDED', "This event cycle has ended.");
+        }
+        if (!draw) {
+            return sendError(res, 503, 'REWARD_POOL_BUSY', "Many rewards are being revealed right now. Please try again.");
+        }
+
+        const rewardAmountUSD = draw.rewardAmountUSD;
+        const calculatedAinAmount = draw.AIN_Amount;
+        if (draw.poolCapped) {
+            req.log.warn("AIN reward reduced to the remaining pool", { ainAmount: calculatedAinAmount });
+        }
+
+        const updatedUser = await usersCollection.findOne({ walletAddress: userWalletAddress });
+
+        let message;
+        if (gameMode.rewardToken === 'AIN') {
+            message = calculatedAinAmount > 0 ? `You revealed ${calculatedAinAmount.toFixed(4)} AIN!` : "Better luck next time! (0 AIN)";
+        } else {
+            message = rewardAmountUSD > 0 ? `You revealed $${rewardAmountUSD.toFixed(2)}!` : "Better luck next time! ($0)";
+        }
+
+        res.status(200).json({
+            message: message,
+            gameMode: gameMode.name,
+            USD_Amount: rewardAmountUSD,
+            AIN_Amount: calculatedAinAmount,
+            isLuckyWinner: rewardAmountUSD > 0,
+            fairness: formatRewardDraw(draw),
+            user: {
+                stakedUSDValue: updatedUser.stakedUSDValue,
+                BXC_Balance: updatedUser.BXC_Balance,
+                AIN_Balance: updatedUser.AIN_Balance,
+                claimedEventRewardTime: updatedUser.claimedEventRewardTime,
+                collectedEventRewardTime: updatedUser.collectedEventRewardTime
+            }
+        });
+
+    } catch (error) {
+        req.log.error("Error revealing reward", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
+
+
+app.post('/api/collect-reward', requireSession, rateLimit('mutation'), validateBody, async (req, res) => {
+    const now = new Date();
+    const userWalletAddress = req.walletAddress;
+
+    try {
+        const db = getDb();
+        const usersCollection = db.collection('users');
+        const globalStateCollection = db.collection('globalState');
+
+        const user = await usersCollection.findOne({ walletAddress: userWalletAddress });
+        const globalState = await globalStateCollection.findOne({});
+
+        if (!user || user.slotsStaked === 0) {
+            return sendError(res, 400, 'NOT_STAKED', "You must stake first to collect rewards.");
+        }
+        if (globalState && globalState.isPaused) { 
+            return sendError(res, 400, 'EVENT_PAUSED', "Reward collection is paused by admin.");
+        }
+
+        const gameMode = getGameMode(globalState);
+        const windowError = getRewardWindowError(gameMode, globalState, now, "Reward collection");
+        if (windowError) {
+            return sendError(res, 400, windowError.code, windowError.message);
+        }
+
+        if (!user.claimedEventRewardTime || user.claimedEventRewardTime < globalState.eventStartTime) {
+            return sendError(res, 400, 'REWARD_NOT_REVEALED', "You must reveal your reward first!");
+        }
+
+        if (user.collectedEventRewardTime && user.collectedEventRewardTime >= globalState.eventStartTime) {
+            return sendError(res, 400, 'ALREADY_COLLECTED', "You have already collected this event's reward.");
+        }
+
+        // USD rewards compound into the stake instead of being credited to a token balance.
+        if (!gameMode.rewardToken) {
+            const usdAmountToCollect = user.lastRevealedUSDAmount || 0;
+            if (usdAmountToCollect === 0) {
+                return sendError(res, 400, 'NO_REWARD', "No USD reward available to collect.");
+            }
+
+            const compoundResult = await usersCollection.updateOne(
+                { walletAddress: userWalletAddress, collectedEventRewardTime: user.collectedEventRewardTime || null },
+                { $set: { collectedEventRewardTime: now }, $inc: { stakedUSDValue: usdAmountToCollect } }
+            );
+            if (compoundResult.matchedCount === 0) {
+                return sendError(res, 400, 'ALREADY_COLLECTED', "You have already collected this event's reward.");
+            }
+
+            const updatedUser = await usersCollection.findOne({ walletAddress: userWalletAddress });
+            return res.status(200).json({
+                message: `Successfully added $${usdAmountToCollect.toFixed(2)} to your stake!`,
+                gameMode: gameMode.name,
+                collectedUSDAmount: usdAmountToCollect,
+                collectedAINAmount: 0,
+                user: {
+                    stakedUSDValue: updatedUser.stakedUSDValue,
+                    BXC_Balance: updatedUser.BXC_Balance,
+                    AIN_Balance: updatedUser.AIN_Balance,
+                    claimedEventRewardTime: updatedUser.claimedEventRewardTime,
+                    collectedEventRewardTime: updatedUser.collectedEventRewardTime
+                }
+            });
+        }
+        
+        const ainAmountToCollect = getRevealedAINAmount(user);
+
+        if (ainAmountToCollect === 0) {
+            return sendError(res, 400, 'NO_REWARD', "No AIN reward available to collect.");
+        }
+
+        const collectResult = await applyLedgerUpdate(
+            userWalletAddress,
+            [{ token: 'AIN', amount: ainAmountToCollect, reason: LEDGER_REASONS.REWARD_COLLECT, cycleNumber: globalState.cycleNumber }],
+            {
+                filter: { collectedEventRewardTime: user.collectedEventRewardTime || null },
+                update: { $set: { collectedEventRewardTime: now } }
+            }
+        );
+        if (collectResult.matchedCount === 0) {
+            return sendError(res, 400, 'ALREADY_COLLECTED', "You have already collected this event's reward.");
+        }
+
+        const commission = await payReferralCommission(user, ainAmountToCollect, globalState.cycleNumber, getReferralSettings(globalState));
+        if (commission > 0) {
+            req.log.info("Referral commission paid", { commissionAIN: commission, referrerWalletAddress: user.referredBy });
+        }
+
+        const updatedUser = await usersCollection.findOne({ walletAddress: userWalletAddress });
+
+        res.status(200).json({
+            message: `Successfully collected ${ainAmountToCollect.toFixed(4)} AIN!`,
+            gameMode: gameMode.name,
+            collectedUSDAmount: user.lastRevealedUSDAmount || 0,
+            collectedAINAmount: ainAmountToCollect,
+            user: {
+                stakedUSDValue: updatedUser.stakedUSDValue,
+                BXC_Balance: updatedUser.BXC_Balance,
+                AIN_Balance: updatedUser.AIN_Balance,
+                claimedEventRewardTime: updatedUser.claimedEventRewardTime,
+                collectedEventRewardTime: updatedUser.collectedEventRewardTime
+            }
+        });
+
+    } catch (error) {
+        req.log.error("Error collecting reward", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
+
+
+app.post('/api/withdraw', requireSession, rateLimit('mutation'), validateBody, async (req, res) => {
+    const { token, amount } = req.body;
+    const now = new Date();
+
+    const userWalletAddress = req.walletAddress;
+
+    try {
+        const db = getDb();
+        const usersCollection = db.collection('users');
+        const globalStateCollection = db.collection('globalState');
+
+        let user = await usersCollection.findOne({ walletAddress: userWalletAddress });
+        user = await calculateAndSaveBXC(user, req.log);
+        const globalState = await globalStateCollection.findOne({});
+
+        if (!user || user.BXC_Balance <= 0) {
+            return sendError(res, 400, 'INSUFFICIENT_BALANCE', "No BXC balance to withdraw.");
+        }
+        if (globalState && globalState.isPaused) { 
+            return sendError(res, 400, 'EVENT_PAUSED', "BXC withdrawal is paused by admin.");
+        }
+        if (globalState && globalState.withdrawalsPaused) { 
+            return sendError(res, 400, 'WITHDRAWALS_PAUSED', "All withdrawals are currently paused by admin.");
+        }
+
+        const { withdrawal, violation } = await createWithdrawalRequest(userWalletAddress, 'BXC', amount, globalState.cycleNumber, getWithdrawalRules(globalState, 'BXC'));
+        if (violation) {
+            return sendError(res, violation.status, violation.code, violation.message, violation.details || null);
+        }
+
+        const updatedUser = await usersCollection.findOne({ walletAddress: userWalletAddress });
+        req.log.info("Withdrawal requested", { token: 'BXC', amount: amount, withdrawalId: withdrawal._id });
+
+        res.status(202).json({
+            message: `Withdrawal request for ${amount.toFixed(4)} BXC submitted. It will be paid out once approved by an admin.`,
+            withdrawnAmount: amount,
+            withdrawal: formatWithdrawal(withdrawal),
+            user: {
+                BXC_Balance: updatedUser.BXC_Balance,
+                BXC_Reserved: updatedUser.BXC_Reserved
+            }
+        });
+
+    } catch (error) {
+        req.log.error("Error during BXC withdrawal", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
+
+
+app.post('/api/withdrawAIN', requireSession, rateLimit('mutation'), validateBody, async (req, res) => {
+    const { amount } = req.body;
+    const now = new Date();
+    const userWalletAddress = req.walletAddress;
+
+    try {
+        const db = getDb();
+        const usersCollection = db.collection('users');
+        const globalStateCollection = db.collection('globalState');
+
+        const user = await usersCollection.findOne({ walletAddress: userWalletAddress });
+        const globalState = await globalStateCollection.findOne({});
+
+        if (!user || user.AIN_Balance <= 0) {
+            return sendError(res, 400, 'INSUFFICIENT_BALANCE', "No AIN balance to withdraw.");
+        }
+        if (globalState && globalState.isPaused) { 
+            return sendError(res, 400, 'EVENT_PAUSED', "AIN withdrawal is paused by admin.");
+        }
+        if (globalState && globalState.withdrawalsPaused) { 
+            return sendError(res, 400, 'WITHDRAWALS_PAUSED', "All withdrawals are currently paused by admin.");
+        }
+
+        const { withdrawal, violation } = await createWithdrawalRequest(userWalletAddress, 'AIN', amount, globalState.cycleNumber, getWithdrawalRules(globalState, 'AIN'));
+        if (violation) {
+            return sendError(res, violation.status, violation.code, violation.message, violation.details || null);
+        }
+
+        const updatedUser = await usersCollection.findOne({ walletAddress: userWalletAddress });
+        req.log.info("Withdrawal requested", { token: 'AIN', amount: amount, withdrawalId: withdrawal._id });
+
+        res.status(202).json({
+            message: `Withdrawal request for ${amount.toFixed(4)} AIN submitted. It will be paid out once approved by an admin.`,
+            withdrawnAmount: amount,
+            withdrawal: formatWithdrawal(withdrawal),
+            user: {
+                AIN_Balance: updatedUser.AIN_Balance,
+                AIN_Reserved: updatedUser.AIN_Reserved
+            }
+        });
+
+    } catch (error) {
+        req.log.error("Error during AIN withdrawal", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
+
+
+app.post('/api/referral-copied', requireSession, rateLimit('mutation'), validateBody, async (req, res) => {
+    const now = new Date();
+    const userWalletAddress = req.walletAddress;
+
+    try {
+        const db = getDb();
+        const usersCollection = db.collection('users');
+        const globalStateCollection = db.collection('globalState');
+
+        let user = await usersCollection.findOne({ walletAddress: userWalletAddress });
+        user = await calculateAndSaveBXC(user, req.log);
+        const globalState = await globalStateCollection.findOne({});
+
+        if (!user || user.slotsStaked === 0) {
+            return sendError(res, 400, 'NOT_STAKED', "Stake at least once to earn referral copy bonuses!");
+        }
+        if (!globalState || !globalState.eventStartTime) {
+            return sendError(res, 400, 'EVENT_NOT_STARTED', "Event has not started yet to earn copy bonuses.");
+        }
+        if (globalState && globalState.isPaused) { 
+            return sendError(res, 400, 'EVENT_PAUSED', "Referral bonus earning is paused by admin.");
+        }
+
+        if (getReferralSettings(globalState).shareBonusMode === 'conversion') {
+            return sendError(res, 400, 'SHARE_BONUS_ON_CONVERSION', "The share bonus is paid when someone stakes through your referral link.");
+        }
+        if (user.lastReferralCopyBonusGiven && user.lastReferralCopyBonusGiven >= globalState.eventStartTime) {
+             return sendError(res, 400, 'SHARE_BONUS_ALREADY_PAID', "You've already received the referral copy bonus for this event cycle.");
+        }
+
+        // The filter repeats the check above, so concurrent requests cannot both pay the bonus.
+        const result = await applyLedgerUpdate(
+            userWalletAddress,
+            [{ token: 'BXC', amount: REFERRAL_COPY_BXC_BONUS, reason: LEDGER_REASONS.REFERRAL_COPY_BONUS, cycleNumber: globalState.cycleNumber }],
+            {
+                filter: { $or: [{ lastReferralCopyBonusGiven: null }, { lastReferralCopyBonusGiven: { $lt: globalState.eventStartTime } }] },
+                update: { $set: { lastReferralCopyBonusGiven: now } }
+            }
+        );
+        if (result.matchedCount === 0) {
+            return sendError(res, 400, 'SHARE_BONUS_ALREADY_PAID', "You've already received the referral copy bonus for this event cycle.");
+        }
+
+        const updatedUser = await usersCollection.findOne({ walletAddress: userWalletAddress });
+
+        res.status(200).json({
+            message: `You received ${REFERRAL_COPY_BXC_BONUS} BXC for sharing the referral link!`,
+            awardedAmount: REFERRAL_COPY_BXC_BONUS,
+            user: {
+                BXC_Balance: updatedUser.BXC_Balance
+            }
+        });
+
+    } catch (error) {
+        req.log.error("Error awarding referral copy bonus", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
+
+// ENDPOINT: POST /api/referral-click
+// Public: records a visit to a referral link. The returned clickId can be sent back as
+// referralClickId to /api/stake; without it, clicks are matched by visitor.
+app.post('/api/referral-click', rateLimit('mutation'), validateBody, async (req, res) => {
+    const { code, visitorId } = req.body;
+    const now = new Date();
+
+    try {
+        const db = getDb();
+        const clicksCollection = db.collection('referralClicks');
+        const normalizedCode = code.toLowerCase();
+
+        const referrerWallet = await resolveReferralCode(normalizedCode);
+        if (!referrerWallet) {
+            return sendError(res, 404, 'REFERRAL_CODE_NOT_FOUND', "Unknown referral code.");
+        }
+
+        const fingerprintHash = getVisitorFingerprint(req, visitorId);
+        const recentClick = await clicksCollection.findOne(
+            { code: normalizedCode, fingerprintHash: fingerprintHash, createdAt: { $gte: new Date(now.getTime() - REFERRAL_CLICK_DEDUP_MS) } },
+            { sort: { createdAt: -1 } }
+        );
+        if (recentClick) {
+            return res.status(200).json({ message: "Click already recorded.", clickId: recentClick._id.toString() });
+        }
+
+        const click = {
+            code: normalizedCode,
+            referrerWallet: referrerWallet,
+            fingerprintHash: fingerprintHash,
+            createdAt: now,
+            walletAddress: null,
+            connectedAt: null,
+            stakeHash: null,
+            convertedAt: null
+        };
+        const insertResult = await clicksCollection.insertOne(click);
+
+        res.status(201).json({ message: "Click recorded.", clickId: insertResult.insertedId.toString() });
+
+    } catch (error) {
+        req.log.error("Error recording referral click", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
+
+// ENDPOINT: POST /api/referral-stats
+// Click-to-stake funnel for each referral code the signed-in wallet has used.
+app.post('/api/referral-stats', requireSession, rateLimit('read'), validateBody, async (req, res) => {
+    try {
+        const funnel = await getReferralFunnel({ referrerWallet: req.walletAddress });
+        res.status(200).json({
+            message: "Referral stats fetched successfully.",
+            walletAddress: req.walletAddress,
+            codes: funnel
+        });
+    } catch (error) {
+        req.log.error("Error fetching referral stats", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
+
+// ENDPOINT: POST /api/referral-code/claim
+// Replaces the signed-in wallet's referral code with a vanity code. The previous code keeps
+// resolving to the wallet, so links already shared stay valid.
+app.post('/api/referral-code/claim', requireSession, rateLimit('mutation'), validateBody, async (req, res) => {
+    const code = typeof req.body.code === 'string' ? req.body.code.trim().toLowerCase() : '';
+    const userWalletAddress = req.walletAddress;
+
+    const codeError = validateVanityCode(code);
+    if (codeError) {
+        return sendError(res, 400, 'INVALID_REFERRAL_CODE', codeError);
+    }
+
+    try {
+        const db = getDb();
+        const usersCollection = db.collection('users');
+
+        const user = await usersCollection.findOne({ walletAddress: userWalletAddress });
+        if (!user) {
+            return sendError(res, 404, 'USER_NOT_FOUND', "User not found. Connect your wallet first.");
+        }
+        if (user.referralCode === code) {
+            return res.status(200).json({ message: "This is already your referral code.", referralCode: code });
+        }
+
+        const vanityCount = await db.collection('referralCodes').countDocuments({ walletAddress: userWalletAddress, kind: 'vanity' });
+        if (vanityCount >= MAX_VANITY_CODES_PER_WALLET) {
+            return sendError(res, 400, 'VANITY_CODE_LIMIT_REACHED', `You can claim at most ${MAX_VANITY_CODES_PER_WALLET} custom referral codes.`);
+        }
+
+        if (!(await claimReferralCode(code, userWalletAddress, 'vanity'))) {
+            return sendError(res, 409, 'REFERRAL_CODE_TAKEN', "This referral code is already taken.");
+        }
+
+        await usersCollection.updateOne(
+            { walletAddress: userWalletAddress },
+            { $set: { referralCode: code } }
+        );
+
+        req.log.info("Referral code claimed", { code: code, previousCode: user.referralCode });
+        res.status(200).json({
+            message: `Your referral code is now '${code}'.`,
+            referralCode: code,
+            previousReferralCode: user.referralCode
+        });
+
+    } catch (error) {
+        req.log.error("Error claiming referral code", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
+
+// A wallet's direct referees with their activity and what each earned the wallet, plus the size of
+// its referral tree per level. Shared by POST /api/referrals and GET /api/v2/me/referrals.
+async function getReferralOverview(userWalletAddress, { limit = 50, before } = {}) {
+    const db = getDb();
+    const usersCollection = db.collection('users');
+    const globalState = await db.collection('globalState').findOne({});
+
+    const query = { referredBy: userWalletAddress };
+    if (before) {
+        query.referredAt = { $lt: new Date(before) };
+    }
+    const referees = await usersCollection.find(query)
+                                    .project({ _id: 0, walletAddress: 1, referredAt: 1, slotsStaked: 1, stakedUSDValue: 1, claimedEventRewardTime: 1, collectedEventRewardTime: 1, referralCount: 1 })
+                                    .sort({ referredAt: -1 })
+                                    .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200))
+                                    .toArray();
+    const refereeAddresses = referees.map(referee => referee.walletAddress);
+
+    const [stakeActivity, earnings, levelCounts, totals] = await Promise.all([
+        db.collection('stakes').aggregate([
+            { $match: { walletAddress: { $in: refereeAddresses }, status: { $in: ['confirmed', 'withdrawn', 'reset'] } } },
+            { $group: { _id: '$walletAddress', confirmedStakes: { $sum: 1 }, lastStakeAt: { $max: '$createdAt' } } }
+        ]).toArray(),
+        db.collection('ledger').aggregate([
+            { $match: { walletAddress: userWalletAddress, reason: { $in: [LEDGER_REASONS.REFERRAL_BONUS, LEDGER_REASONS.REFERRAL_COMMISSION] }, relatedWallet: { $in: refereeAddresses } } },
+            { $group: { _id: { walletAddress: '$relatedWallet', token: '$token' }, total: { $sum: '$amount' } } }
+        ]).toArray(),
+        usersCollection.aggregate([
+            { $match: { referralPath: userWalletAddress } },
+            { $group: { _id: { $indexOfArray: ['$referralPath', userWalletAddress] }, count: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+        ]).toArray(),
+        db.collection('ledger').aggregate([
+            { $match: { walletAddress: userWalletAddress, reason: { $in: [LEDGER_REASONS.REFERRAL_BONUS, LEDGER_REASONS.REFERRAL_COMMISSION] } } },
+            { $group: { _id: '$token', total: { $sum: '$amount' } } }
+        ]).toArray()
+    ]);
+
+    const activityByWallet = new Map(stakeActivity.map(row => [row._id, row]));
+    const earnedByWallet = new Map();
+    for (const row of earnings) {
+        const earned = earnedByWallet.get(row._id.walletAddress) || { BXC: 0, AIN: 0 };
+        earned[row._id.token] = row.total;
+        earnedByWallet.set(row._id.walletAddress, earned);
+    }
+    const totalEarned = { BXC: 0, AIN: 0 };
+    for (const row of totals) {
+        totalEarned[row._id] = row.total;
+    }
+
+    return {
+        walletAddress: userWalletAddress,
+        referralBonusLevels: getReferralSettings(globalState).bonusLevels,
+        referralCommissionPercent: getReferralSettings(globalState).commissionPercent,
+        levels: levelCounts.map(row => ({ level: row._id + 1, referees: row.count })),
+        totalEarned: totalEarned,
+        referees: referees.map(referee => ({
+            ...referee,
+            isStakedThisCycle: (referee.slotsStaked || 0) > 0,
+            confirmedStakes: activityByWallet.has(referee.walletAddress) ? activityByWallet.get(referee.walletAddress).confirmedStakes : 0,
+            lastStakeAt: activityByWallet.has(referee.walletAddress) ? activityByWallet.get(referee.walletAddress).lastStakeAt : null,
+            earned: earnedByWallet.get(referee.walletAddress) || { BXC: 0, AIN: 0 }
+        }))
+    };
+}
+
+// ENDPOINT: POST /api/referrals
+// Lists the signed-in wallet's direct referees and referral earnings.
+app.post('/api/referrals', requireSession, rateLimit('read'), validateBody, async (req, res) => {
+    try {
+        const overview = await getReferralOverview(req.walletAddress, req.body);
+        res.status(200).json({
+            message: "Referrals fetched successfully.",
+            ...overview
+        });
+    } catch (error) {
+        req.log.error("Error fetching referrals", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
+
+// --- EVENT CYCLE HISTORY ROUTES ---
+
+// Event cycles, newest first. Pass beforeCycle to page through older cycles.
+async function findEventCycles({ limit = 20, beforeCycle } = {}) {
+    const query = typeof beforeCycle === 'number' ? { cycleNumber: { $lt: beforeCycle } } : {};
+    const cycles = await getDb().collection('eventCycles').find(query)
+                                    .sort({ cycleNumber: -1 })
+                                    .limit(Math.min(Math.max(parseInt(limit) || 20, 1), 100))
+                                    .toArray();
+    return cycles.map(formatCycle);
+}
+
+// One cycle's parameters and outcome stats, or null. Stats for the running cycle are computed live.
+async function getCycleDetails(cycleNumber) {
+    const db = getDb();
+    const globalState = await db.collection('globalState').findOne({});
+    const cycle = await db.collection('eventCycles').findOne({ cycleNumber: cycleNumber });
+
+    if (!cycle) {
+        return null;
+    }
+    if (!globalState || globalState.cycleNumber !== cycleNumber) {
+        return formatCycle(cycle);
+    }
+    return {
+        ...formatCycle(cycle),
+        ...getCycleParameters(globalState),
+        totalSlotsUsed: globalState.totalSlotsUsed || 0,
+        totalAinRewarded: globalState.totalAinRewarded || 0,
+        stats: await aggregateCycleOutcomes(db.collection('users'), { lastResetCycle: { $in: [cycleNumber, null] } })
+    };
+}
+
+// A wallet's outcome in every archived cycle, plus its progress in the running cycle.
+async function getWalletCycleResults(walletAddress) {
+    const db = getDb();
+    const globalState = await db.collection('globalState').findOne({});
+    const user = await db.collection('users').findOne({ walletAddress: walletAddress });
+
+    const results = await db.collection('cycleResults').find({ walletAddress: walletAddress })
+                                    .project({ _id: 0 })
+                                    .sort({ cycleNumber: -1 })
+                                    .toArray();
+
+    const currentCycle = user && globalState ? {
+        cycleNumber: globalState.cycleNumber,
+        slotsStaked: user.slotsStaked || 0,
+        stakedUSDValue: user.stakedUSDValue || 0,
+        lastRevealedUSDAmount: user.lastRevealedUSDAmount || 0,
+        lastRevealedAINAmount: getRevealedAINAmount(user),
+        claimedEventRewardTime: user.claimedEventRewardTime || null,
+        collectedEventRewardTime: user.collectedEventRewardTime || null
+    } : null;
+
+    return {
+        walletAddress: walletAddress,
+        currentCycle: currentCycle,
+        results: results
+    };
+}
+
+// ENDPOINT: POST /api/cycles
+// Lists event cycles, newest first. Pass beforeCycle to page through older cycles.
+app.post('/api/cycles', rateLimit('read'), validateBody, async (req, res) => {
+    try {
+        res.status(200).json({
+            message: "Event cycles fetched successfully.",
+            cycles: await findEventCycles(req.body)
+        });
+
+    } catch (error) {
+        req.log.error("Error listing event cycles", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
+
+// ENDPOINT: POST /api/cycles/stats
+// Returns one cycle's parameters and outcome stats. Stats for the running cycle are computed live.
+app.post('/api/cycles/stats', rateLimit('read'), validateBody, async (req, res) => {
+    try {
+        const cycle = await getCycleDetails(req.body.cycleNumber);
+        if (!cycle) {
+            return sendError(res, 404, 'CYCLE_NOT_FOUND', "Event cycle not found.");
+        }
+
+        res.status(200).json({
+            message: "Event cycle fetched successfully.",
+            cycle: cycle
+        });
+
+    } catch (error) {
+        req.log.error("Error fetching event cycle", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
+
+// ENDPOINT: POST /api/cycles/wallet-results
+// Returns a wallet's outcome in every archived cycle, plus its progress in the running cycle.
+app.post('/api/cycles/wallet-results', rateLimit('read'), validateBody, async (req, res) => {
+    try {
+        const results = await getWalletCycleResults(req.body.walletAddress.toLowerCase());
+        res.status(200).json({
+            message: "Wallet cycle results fetched successfully.",
+            ...results
+        });
+
+    } catch (error) {
+        req.log.error("Error fetching wallet cycle results", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
+
+// Shared query for the user and admin withdrawal lists. status 'all' (or none) lists every status;
+// walletAddress is optional for admins. `order` is 1 for oldest first (the admin queue) or -1.
+async function findWithdrawals({ walletAddress, status, limit = 50, order = -1 }) {
+    const query = {};
+    if (walletAddress) {
+        query.walletAddress = walletAddress;
+    }
+    if (WITHDRAWAL_STATUSES.includes(status)) {
+        query.status = status;
+    }
+
+    const withdrawals = await getDb().collection('withdrawals').find(query)
+                                    .sort({ createdAt: order })
+                                    .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 500))
+                                    .toArray();
+    return withdrawals.map(formatWithdrawal);
+}
+
+// ENDPOINT: POST /api/withdrawals
+// Lists the signed-in wallet's withdrawal requests, newest first.
+app.post('/api/withdrawals', requireSession, rateLimit('read'), validateBody, async (req, res) => {
+    const { status, limit = 50 } = req.body;
+
+    try {
+        res.status(200).json({
+            message: "Withdrawals fetched successfully.",
+            withdrawals: await findWithdrawals({ walletAddress: req.walletAddress, status: status, limit: limit })
+        });
+    } catch (error) {
+        req.log.error("Error fetching withdrawals", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
+
+// --- PROVABLY FAIR VERIFICATION ---
+
+// Recomputes a wallet's reward draw for a cycle from the revealed server seed and the stored inputs.
+// Resolves to null when the wallet has no draw in that cycle. Before the cycle is settled only the
+// seed hash is available, so `verified` is null.
+async function verifyRewardDraw(walletAddress, cycleNumber) {
+    const db = getDb();
+    const draw = await db.collection('rewardDraws').findOne({ cycleNumber: cycleNumber, walletAddress: walletAddress });
+    if (!draw) {
+        return null;
+    }
+
+    const seed = await db.collection('cycleSeeds').findOne({ cycleNumber: cycleNumber });
+    if (!seed || !seed.revealedAt) {
+        return {
+            verified: null,
+            serverSeed: null,
+            draw: formatRewardDraw(draw)
+        };
+    }
+
+    const rolls = computeRewardRolls(seed.serverSeed, draw.cycleNumber, draw.walletAddress, draw.clientSeed);
+    const recomputed = drawRewardUSD(rolls, draw.totalSlotsUsed, getDrawRewardTable(draw));
+    const recomputedUSD = recomputed.amountUSD;
+    const checks = {
+        serverSeedMatchesHash: hashServerSeed(seed.serverSeed) === draw.serverSeedHash,
+        digestMatches: rolls.digest === draw.digest,
+        drawnUSDMatches: recomputedUSD === draw.drawnUSD,
+        rewardWithinDraw: draw.rewardAmountUSD <= draw.drawnUSD // The AIN pool cap can only lower a reward
+    };
+
+    return {
+        verified: Object.values(checks).every(Boolean),
+        serverSeed: seed.serverSeed,
+        checks: checks,
+        recomputed: { digest: rolls.digest, tierRoll: rolls.tierRoll, amountRoll: rolls.amountRoll, tier: recomputed.tier, drawnUSD: recomputedUSD },
+        draw: formatRewardDraw(draw)
+    };
+}
+
+function describeRewardDrawVerification(verification, cycleNumber) {
+    if (verification.verified === null) {
+        return `The server seed for cycle ${cycleNumber} is published when the cycle is settled.`;
+    }
+    return verification.verified ? "Reward draw verified." : "Reward draw does NOT match the revealed server seed.";
+}
+
+// ENDPOINT: POST /api/fairness/verify
+// Verifies a wallet's reward draw for a cycle; see verifyRewardDraw.
+app.post('/api/fairness/verify', rateLimit('read'), validateBody, async (req, res) => {
+    const { walletAddress, cycleNumber } = req.body;
+
+    try {
+        const verification = await verifyRewardDraw(walletAddress.toLowerCase(), cycleNumber);
+        if (!verification) {
+            return sendError(res, 404, 'REWARD_DRAW_NOT_FOUND', "No reward reveal found for this wallet in that cycle.");
+        }
+
+        res.status(200).json({
+            message: describeRewardDrawVerification(verification, cycleNumber),
+            ...verification
+        });
+
+    } catch (error) {
+        req.log.error("Error verifying reward draw", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
+
+// --- BALANCE LEDGER ROUTES ---
+
+// Shared query for the user and admin ledger endpoints: newest first, optional token filter,
+// paged with the createdAt of the last entry seen.
+async function findLedgerEntries(walletAddress, { token, limit = 50, before } = {}) {
+    const query = { walletAddress: walletAddress };
+    if (BALANCE_FIELDS[token]) {
+        query.token = token;
+    }
+    if (before) {
+        query.createdAt = { $lt: new Date(before) };
+    }
+
+    return getDb().collection('ledger').find(query)
+                                    .project({ _id: 0 })
+                                    .sort({ createdAt: -1 })
+                                    .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200))
+                                    .toArray();
+}
+
+// ENDPOINT: POST /api/ledger
+// Returns the signed-in wallet's balance history.
+app.post('/api/ledger', requireSession, rateLimit('read'), validateBody, async (req, res) => {
+    try {
+        const entries = await findLedgerEntries(req.walletAddress, req.body);
+        res.status(200).json({
+            message: "Ledger fetched successfully.",
+            walletAddress: req.walletAddress,
+            entries: entries
+        });
+    } catch (error) {
+        req.log.error("Error fetching ledger", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
+
+// --- ADMIN API ROUTES (Expanded) ---
+app.post('/api/admin/status', requireAdmin('support'), rateLimit('admin'), validateBody, async (req, res) => {
+    res.status(200).json({ isAdmin: true, role: req.admin.role, message: "Welcome, Admin!" });
+});
+
+app.post('/api/admin/toggle-event-pause', requireAdmin('operator'), rateLimit('admin'), validateBody, async (req, res) => {
+    const now = new Date();
+
+    try {
+        const db = getDb();
+        const globalStateCollection = db.collection('globalState');
+        let globalState = await globalStateCollection.findOne({});
+
+        if (!globalState) {
+            return sendError(res, 404, 'EVENT_NOT_INITIALIZED', "Global state not found. Event not initialized.");
+        }
+
+        let newIsPaused = !globalState.isPaused; 
+        let newPauseStartTime = null;
+        let newEventEndTime = globalState.eventEndTime;
+        let message = `Event ${newIsPaused ? 'paused' : 'resumed'} successfully.`;
+
+        if (newIsPaused) { 
+            newPauseStartTime = now;
+            req.log.info("Event paused", { pauseStartTime: newPauseStartTime });
+        } else { 
+            if (globalState.pauseStartTime) {
+                const pauseDurationMs = now.getTime() - globalState.pauseStartTime.getTime();
+                newEventEndTime = new Date(globalState.eventEndTime.getTime() + pauseDurationMs);
+                req.log.info("Event resumed", { pausedSeconds: pauseDurationMs / 1000, eventEndTime: newEventEndTime });
+            } else {
+                req.log.warn("Event resumed without a recorded pauseStartTime; end time not adjusted");
+                message += " (Warning: No previous pause time to adjust end time.)";
+            }
+            newPauseStartTime = null; 
+        }
+
+        await globalStateCollection.updateOne(
+            {},
+            { $set: {
+                isPaused: newIsPaused,
+                pauseStartTime: newPauseStartTime,
+                eventEndTime: newEventEndTime
+            }}
+        );
+
+        runBackgroundJob(scheduleEventRollover); // eventEndTime may have moved
+
+        res.status(200).json({
+            message: message,
+            isPaused: newIsPaused,
+            eventEndTime: newEventEndTime 
+        });
+
+    } catch (error) {
+        req.log.error("Error toggling event pause", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error toggling pause state.");
+    }
+});
+
+// ADMIN ENDPOINT: POST /api/admin/set-event-duration
+app.post('/api/admin/set-event-duration', requireAdmin('operator'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { durationHours } = req.body;
+
+    try {
+        const db = getDb();
+        const globalStateCollection = db.collection('globalState');
+
+        const globalState = await globalStateCollection.findOne({});
+
+        if (!globalState) {
+            return sendError(res, 404, 'EVENT_NOT_INITIALIZED', "Global state not found. Event not initialized.");
+        }
+        if (globalState.rolloverInProgress) {
+            return sendError(res, 409, 'ROLLOVER_IN_PROGRESS', "A new event cycle is already being started. Please try again in a moment.");
+        }
+
+        const outcome = await runBackgroundJob(runAdminRollover.bind(null, globalState.cycleNumber, durationHours, `admin:${req.walletAddress}`));
+        if (outcome === 'busy') {
+            return sendError(res, 409, 'ROLLOVER_IN_PROGRESS', "A new event cycle is already being started. Please try again in a moment.");
+        }
+        if (outcome === 'changed') {
+            return sendError(res, 409, 'CONCURRENT_UPDATE', "The event cycle changed while processing your request. Please try again.");
+        }
+        if (outcome !== 'started') {
+            return sendError(res, 500, 'INTERNAL_ERROR', "Internal server error setting event time.");
+        }
+
+        const updatedGlobalState = await globalStateCollection.findOne({});
+        const newEventStartTime = updatedGlobalState.eventStartTime;
+        const newEventEndTime = updatedGlobalState.eventEndTime;
+        runBackgroundJob(scheduleEventRollover);
+
+        req.log.info("New event cycle started with a set duration", { durationHours: durationHours, eventEndTime: newEventEndTime });
+        res.status(200).json({
+            message: `New event cycle set for ${durationHours} hours. Ends at: ${newEventEndTime}.`,
+            eventStartTime: newEventStartTime,
+            eventEndTime: newEventEndTime
+        });
+
+    } catch (error) {
+        req.log.error("Error setting event time", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error setting event time.");
     }
 });
 
+// ADMIN ENDPOINT: POST /api/admin/set-claim-window
+// Sets how long after eventEndTime users can reveal/collect before the scheduler starts the next cycle.
+app.post('/api/admin/set-claim-window', requireAdmin('operator'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { claimWindowHours } = req.body;
 
-app.post('/api/stake', async (req, res) => {
-    const { walletAddress, referrerRef, transactionHash } = req.body;
-    const now = new Date();
+    try {
+        const db = getDb();
+        const globalStateCollection = db.collection('globalState');
+
+        await globalStateCollection.updateOne(
+            {},
+            { $set: { claimWindowHours: claimWindowHours } }
+        );
+        runBackgroundJob(scheduleEventRollover);
 
-    if (!walletAddress || !transactionHash) {
-        return res.status(400).json({ message: "Wallet address and transaction hash are required for staking." });
+        req.log.info("Claim window set", { claimWindowHours: claimWindowHours });
+        res.status(200).json({
+            message: `Claim window set to ${claimWindowHours} hours after the event ends.`,
+            claimWindowHours: claimWindowHours
+        });
+
+    } catch (error) {
+        req.log.error("Error setting claim window", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error setting claim window.");
     }
+});
 
-    const userWalletAddress = walletAddress.toLowerCase();
+// ADMIN ENDPOINT: POST /api/admin/toggle-withdrawals-pause
+app.post('/api/admin/toggle-withdrawals-pause', requireAdmin('operator'), rateLimit('admin'), validateBody, async (req, res) => {
 
     try {
         const db = getDb();
-        const usersCollection = db.collection('users');
         const globalStateCollection = db.collection('globalState');
-
-        let user = await usersCollection.findOne({ walletAddress: userWalletAddress });
         let globalState = await globalStateCollection.findOne({});
 
         if (!globalState) {
-            throw new Error("Global state not found during stake. Server startup issue.");
-        }
-        if (globalState.isPaused) { 
-            return res.status(400).json({ message: "Staking is currently paused by admin." });
+            return sendError(res, 404, 'EVENT_NOT_INITIALIZED', "Global state not found. Event not initialized.");
         }
 
-        const currentMaxStakeSlots = globalState.maxStakeSlots || 30000;
-        const eventDurationHours = globalState.eventDurationHours || 95;
+        let newWithdrawalsPaused = !globalState.withdrawalsPaused; 
+        
+        await globalStateCollection.updateOne(
+            {},
+            { $set: {
+                withdrawalsPaused: newWithdrawalsPaused,
+                withdrawalsPausedReason: null
+            }}
+        );
+        req.log.info(newWithdrawalsPaused ? "Withdrawals paused" : "Withdrawals resumed");
+        res.status(200).json({
+            message: `All withdrawals are now ${newWithdrawalsPaused ? 'paused' : 'resumed'} by admin.`,
+            withdrawalsPaused: newWithdrawalsPaused
+        });
 
+    } catch (error) {
+        req.log.error("Error toggling withdrawals pause", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error toggling withdrawal pause state.");
+    }
+});
 
-        if (globalState.totalSlotsUsed >= currentMaxStakeSlots || now > globalState.eventEndTime) { 
-            console.log("[API/STAKE] Current event cycle has ended or filled. Starting a new event cycle upon this stake.");
-            const newEventStartTime = now;
-            const newEventEndTime = new Date(now.getTime() + eventDurationHours * 60 * 60 * 1000); 
-            
-            await globalStateCollection.updateOne(
-                {},
-                { $set: {
-                    totalSlotsUsed: 0, 
-                    eventStartTime: newEventStartTime,
-                    eventEndTime: newEventEndTime,
-                    isPaused: false, 
-                    pauseStartTime: null, 
-                    withdrawalsPaused: false, 
-                    lastResetTime: now,
-                    totalAinRewarded: 0, 
-                }}
-            );
-            globalState = await globalStateCollection.findOne({}); // Refresh globalState after update
-            
-            // ALSO RESET USER STAKING STATUS FOR THE NEW CYCLE (FIX FOR NEGATIVE SLOTS)
-            await usersCollection.updateMany(
-                {}, 
-                { $set: { 
-                    claimedEventRewardTime: null, 
-                    collectedEventRewardTime: null, 
-                    lastRevealedUSDAmount: 0,
-                    slotsStaked: 0, // ADDED: Reset slots staked for new event cycle
-                    stakedUSDValue: 0, // ADDED: Reset staked USD value for new event cycle
-                    stakeTransactions: [], // ADDED: Clear stake transactions for new event cycle
-                    lastBXCAccrualTime: now // ADDED: Reset accrual time
-                } }
-            );
-            console.log(`[API/STAKE] New event cycle started due to stake. Ends at: ${globalState.eventEndTime.toISOString()}`);
-            console.log("[API/STAKE] All users' staking statuses reset for the new event cycle.");
-        }
+// ADMIN ENDPOINT: POST /api/admin/set-withdrawal-rules
+// Updates one token's withdrawal limits. Only the fields sent are changed; send null to lift a cap.
+app.post('/api/admin/set-withdrawal-rules', requireAdmin('owner'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { token } = req.body;
 
-        if (globalState.totalSlotsUsed >= currentMaxStakeSlots) { 
-            return res.status(400).json({ message: "All staking slots are currently filled for this event cycle." });
+    const updateFields = {};
+    for (const rule of Object.keys(DEFAULT_WITHDRAWAL_RULES)) {
+        if (req.body[rule] !== undefined) {
+            updateFields[`withdrawalRules.${token}.${rule}`] = req.body[rule];
         }
+    }
 
+    if (Object.keys(updateFields).length === 0) {
+        return sendError(res, 400, 'VALIDATION_FAILED', `No rules provided. Accepted fields: ${Object.keys(DEFAULT_WITHDRAWAL_RULES).join(', ')}.`);
+    }
 
-        const hasStakedInCurrentCycle = user && user.stakeTransactions && 
-            user.stakeTransactions.some(tx => tx.timestamp && tx.timestamp >= globalState.eventStartTime);
+    try {
+        const db = getDb();
+        const globalStateCollection = db.collection('globalState');
 
-        if (hasStakedInCurrentCycle) {
-            return res.status(400).json({ message: "You have already completed the one-time stake for this event cycle." });
-        }
-        
-        if (user && user.stakeTransactions && user.stakeTransactions.some(tx => tx.hash === transactionHash)) {
-            return res.status(400).json({ message: "This transaction hash has already been recorded for your account." });
-        }
+        await globalStateCollection.updateOne({}, { $set: updateFields });
+        const globalState = await globalStateCollection.findOne({});
+        const rules = getWithdrawalRules(globalState, token);
 
-        if (!user) {
-            user = {
-                walletAddress: userWalletAddress,
-                slotsStaked: 0,
-                stakedUSDValue: 0,
-                BXC_Balance: 0,
-                AIN_Balance: 0,
-                claimedEventRewardTime: null,
-                collectedEventRewardTime: null,
-                lastRevealedUSDAmount: 0,
-                lastReferralCopyBonusGiven: null,
-                referralCode: userWalletAddress.slice(-6),
-                referralCount: 0,
-                createdAt: now,
-                stakeTransactions: [],
-                lastBXCAccrualTime: now
-            };
-            await usersCollection.insertOne(user);
-        } else {
-             user = await calculateAndSaveBXC(user); 
+        req.log.info("Withdrawal rules updated", { token: token, rules: rules });
+        res.status(200).json({
+            message: `${token} withdrawal rules updated.`,
+            token: token,
+            rules: rules
+        });
+
+    } catch (error) {
+        req.log.error("Error setting withdrawal rules", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error setting withdrawal rules.");
+    }
+});
+
+// ADMIN ENDPOINT: POST /api/admin/set-rate-limits
+// Updates one route class's rate limits. Other machines pick the change up within RATE_LIMIT_CONFIG_TTL_MS.
+app.post('/api/admin/set-rate-limits', requireAdmin('owner'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { routeClass } = req.body;
+
+    const updateFields = {};
+    for (const field of ['windowSeconds', 'perIp', 'perWallet']) {
+        if (req.body[field] !== undefined) {
+            updateFields[`rateLimits.${routeClass}.${field}`] = req.body[field];
         }
+    }
+    if (Object.keys(updateFields).length === 0) {
+        return sendError(res, 400, 'VALIDATION_FAILED', "Provide at least one of windowSeconds, perIp or perWallet.");
+    }
 
-        const currentInitialStakeAmount = globalState.initialStakeAmountUSD || 8;
-        const currentStakingRecipientAddress = globalState.stakingRecipientAddress; // This is the address to use for the actual crypto transfer
+    try {
+        const globalStateCollection = getDb().collection('globalState');
+        await globalStateCollection.updateOne({}, { $set: updateFields });
+        rateLimitConfigCache = null;
 
-        await usersCollection.updateOne(
-            { walletAddress: userWalletAddress },
+        const limits = mergeRateLimits((await globalStateCollection.findOne({})).rateLimits);
+        req.log.info("Rate limits updated", { routeClass: routeClass, limits: limits[routeClass] });
+        res.status(200).json({
+            message: `Rate limits for ${routeClass} routes updated.`,
+            routeClass: routeClass,
+            limits: limits[routeClass]
+        });
+
+    } catch (error) {
+        req.log.error("Error setting rate limits", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error setting rate limits.");
+    }
+});
+
+// Top users by the sortBy field, highest first.
+async function findLeaderboardUsers({ sortBy = 'referralCount', limit = 100 } = {}) {
+    const sortCriteria = {};
+    sortCriteria[sortBy] = -1;
+
+    return getDb().collection('users').find({})
+                                    .project({ 
+                                        walletAddress: 1, 
+                                        referralCode: 1,
+                                        referralCount: 1, 
+                                        BXC_Balance: 1, 
+                                        AIN_Balance: 1, 
+                                        stakedUSDValue: 1,
+                                        createdAt: 1 
+                                    })
+                                    .sort(sortCriteria)
+                                    .limit(limit)
+                                    .toArray();
+}
+
+// ADMIN ENDPOINT: POST /api/admin/users-leaderboard (Enhanced for Feature 4)
+app.post('/api/admin/users-leaderboard', requireAdmin('support'), rateLimit('admin'), validateBody, async (req, res) => {
+    try {
+        res.status(200).json({
+            message: "User leaderboard fetched successfully.",
+            users: await findLeaderboardUsers(req.body)
+        });
+
+    } catch (error) {
+        req.log.error("Error fetching users leaderboard", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error fetching user data.");
+    }
+});
+
+// NEW ADMIN ENDPOINT: POST /api/admin/set-staking-wallet (Feature 2)
+app.post('/api/admin/set-staking-wallet', requireAdmin('owner'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { newStakingAddress } = req.body;
+
+    try {
+        const db = getDb();
+        const globalStateCollection = db.collection('globalState');
+        
+        await globalStateCollection.updateOne(
+            {},
             {
-                $inc: { slotsStaked: 1, BXC_Balance: INITIAL_BXC }, 
-                $set: { 
-                    stakedUSDValue: currentInitialStakeAmount, 
-                    lastBXCAccrualTime: now,
-                }, 
-                $push: { stakeTransactions: { hash: transactionHash, timestamp: now, amountUSD: currentInitialStakeAmount } } 
-            }
+                $set: { stakingRecipientAddress: newStakingAddress.toLowerCase() },
+                $push: { stakingRecipientHistory: { address: newStakingAddress.toLowerCase(), activeFrom: new Date(), setBy: req.walletAddress } }
+            },
+            { upsert: true }
+        );
+        req.log.info("Staking wallet updated", { stakingRecipientAddress: newStakingAddress.toLowerCase() });
+        res.status(200).json({
+            message: `Staking wallet address updated to: ${newStakingAddress.toLowerCase()}.`,
+            stakingRecipientAddress: newStakingAddress.toLowerCase()
+        });
+
+    } catch (error) {
+        req.log.error("Error setting staking wallet", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error setting staking wallet.");
+    }
+});
+
+// NEW ADMIN ENDPOINT: POST /api/admin/set-stake-amount (Feature 5)
+app.post('/api/admin/set-stake-amount', requireAdmin('owner'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { newStakeAmount } = req.body;
+
+    try {
+        const db = getDb();
+        const globalStateCollection = db.collection('globalState');
+        
+        await globalStateCollection.updateOne(
+            {},
+            { $set: { initialStakeAmountUSD: newStakeAmount } },
+            { upsert: true }
+        );
+        req.log.info("Stake amount updated", { initialStakeAmountUSD: newStakeAmount });
+        res.status(200).json({
+            message: `Initial stake amount updated to $${newStakeAmount.toFixed(2)}.`,
+            initialStakeAmountUSD: newStakeAmount
+        });
+
+    } catch (error) {
+        req.log.error("Error setting stake amount", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error setting stake amount.");
+    }
+});
+
+// NEW ADMIN ENDPOINT: POST /api/admin/set-max-slots (Feature 6)
+app.post('/api/admin/set-max-slots', requireAdmin('operator'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { newMaxSlots } = req.body;
+
+    try {
+        const db = getDb();
+        const globalStateCollection = db.collection('globalState');
+        
+        await globalStateCollection.updateOne(
+            {},
+            { $set: { maxStakeSlots: newMaxSlots } },
+            { upsert: true }
         );
+        req.log.info("Maximum stake slots updated", { maxStakeSlots: newMaxSlots });
+        res.status(200).json({
+            message: `Maximum stake slots updated to ${newMaxSlots}.`,
+            maxStakeSlots: newMaxSlots
+        });
+
+    } catch (error) {
+        req.log.error("Error setting max slots", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error setting max slots.");
+    }
+});
+
+// NEW ADMIN ENDPOINT: POST /api/admin/set-ain-reward-pool (Feature 3)
+app.post('/api/admin/set-ain-reward-pool', requireAdmin('owner'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { newMaxAinRewardPool } = req.body;
 
+    try {
+        const db = getDb();
+        const globalStateCollection = db.collection('globalState');
+        
         await globalStateCollection.updateOne(
             {},
-            { $inc: { totalSlotsUsed: 1 } },
+            { $set: { maxAinRewardPool: newMaxAinRewardPool } },
             { upsert: true }
         );
+        req.log.info("AIN reward pool updated", { maxAinRewardPool: newMaxAinRewardPool });
+        res.status(200).json({
+            message: `Max AIN reward pool set to ${newMaxAinRewardPool} AIN.`,
+            maxAinRewardPool: newMaxAinRewardPool
+        });
+
+    } catch (error) {
+        req.log.error("Error setting AIN pool", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error setting AIN pool.");
+    }
+});
+
+// ADMIN ENDPOINT: POST /api/admin/reward-tiers/set
+// Sets the reward tier table. applyTo 'next' (default) stages it for the next cycle; 'current'
+// replaces the running cycle's table, which is only allowed before anyone has revealed.
+app.post('/api/admin/reward-tiers/set', requireAdmin('owner'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { tiers, luckyWinnerSlotThreshold, applyTo = 'next' } = req.body;
+
+    const tiersError = validateRewardTiers(tiers);
+    if (tiersError) {
+        return sendError(res, 400, 'INVALID_REWARD_TIERS', tiersError);
+    }
+
+    try {
+        const db = getDb();
+        const globalStateCollection = db.collection('globalState');
+        const globalState = await globalStateCollection.findOne({});
+
+        if (!globalState) {
+            return sendError(res, 404, 'EVENT_NOT_INITIALIZED', "Global state not found. Event not initialized.");
+        }
+
+        const rewardTable = {
+            rewardTiers: normalizeRewardTiers(tiers),
+            luckyWinnerSlotThreshold: luckyWinnerSlotThreshold !== undefined ? luckyWinnerSlotThreshold : getRewardTable(globalState).luckyWinnerSlotThreshold
+        };
+
+        if (applyTo === 'current') {
+            const revealCount = await db.collection('rewardDraws').countDocuments({ cycleNumber: globalState.cycleNumber });
+            if (revealCount > 0) {
+                return sendError(res, 409, 'REWARDS_ALREADY_REVEALED', `${revealCount} rewards have already been revealed this cycle. Stage the table for the next cycle instead.`);
+            }
+
+            const result = await globalStateCollection.updateOne(
+                { cycleNumber: globalState.cycleNumber, rolloverInProgress: null },
+                { $set: rewardTable }
+            );
+            if (result.matchedCount === 0) {
+                return sendError(res, 409, 'CONCURRENT_UPDATE', "The event cycle changed while updating. Please try again.");
+            }
+            await recordCycleSnapshot(await globalStateCollection.findOne({}), 'active');
+        } else {
+            await globalStateCollection.updateOne(
+                {},
+                { $set: { nextRewardTable: { tiers: rewardTable.rewardTiers, luckyWinnerSlotThreshold: rewardTable.luckyWinnerSlotThreshold } } }
+            );
+        }
+
+        req.log.info("Reward tiers set", { applyTo: applyTo, tierCount: rewardTable.rewardTiers.length });
+        res.status(200).json({
+            message: applyTo === 'current' ? "Reward tiers updated for the current cycle." : "Reward tiers staged for the next cycle.",
+            applyTo: applyTo,
+            ...rewardTable,
+            preview: previewRewardTable(rewardTable, globalState.totalSlotsUsed || 0, globalState.maxAinRewardPool || 0, (await getCurrentAinPrice()).price)
+        });
+
+    } catch (error) {
+        req.log.error("Error setting reward tiers", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error setting reward tiers.");
+    }
+});
+
+// ADMIN ENDPOINT: POST /api/admin/reward-tiers/preview
+// Expected payout of a tier table against the current slot count and at maxStakeSlots. Previews the
+// given `tiers` if sent, otherwise the staged table for the next cycle, otherwise the current one.
+app.post('/api/admin/reward-tiers/preview', requireAdmin('support'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { tiers, luckyWinnerSlotThreshold } = req.body;
+
+    if (tiers !== undefined) {
+        const tiersError = validateRewardTiers(tiers);
+        if (tiersError) {
+            return sendError(res, 400, 'INVALID_REWARD_TIERS', tiersError);
+        }
+    }
+
+    try {
+        const globalState = await getDb().collection('globalState').findOne({});
+        if (!globalState) {
+            return sendError(res, 404, 'EVENT_NOT_INITIALIZED', "Global state not found. Event not initialized.");
+        }
+
+        const currentTable = getRewardTable(globalState);
+        const stagedTable = globalState.nextRewardTable
+            ? { rewardTiers: globalState.nextRewardTable.tiers, luckyWinnerSlotThreshold: globalState.nextRewardTable.luckyWinnerSlotThreshold }
+            : null;
+        const baseTable = stagedTable || currentTable;
+        const rewardTable = {
+            rewardTiers: tiers !== undefined ? normalizeRewardTiers(tiers) : baseTable.rewardTiers,
+            luckyWinnerSlotThreshold: luckyWinnerSlotThreshold !== undefined ? luckyWinnerSlotThreshold : baseTable.luckyWinnerSlotThreshold
+        };
+        const maxAinRewardPool = globalState.maxAinRewardPool || 0;
+        const ainUsdPrice = (await getCurrentAinPrice()).price;
+
+        res.status(200).json({
+            message: "Reward tier preview computed.",
+            source: tiers !== undefined ? 'request' : (stagedTable ? 'next' : 'current'),
+            ...rewardTable,
+            ainUsdPrice: ainUsdPrice,
+            atCurrentSlots: previewRewardTable(rewardTable, globalState.totalSlotsUsed || 0, maxAinRewardPool, ainUsdPrice),
+            atMaxSlots: previewRewardTable(rewardTable, globalState.maxStakeSlots || 0, maxAinRewardPool, ainUsdPrice),
+            currentTable: currentTable,
+            nextTable: stagedTable
+        });
+
+    } catch (error) {
+        req.log.error("Error previewing reward tiers", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error previewing reward tiers.");
+    }
+});
+
+// ADMIN ENDPOINT: POST /api/admin/game-mode/set
+// Sets the game mode. applyTo 'next' (default) stages it for the next cycle; 'current' switches the
+// running cycle, which is only allowed before anyone has revealed. Stake bonuses already granted in
+// the running cycle are not adjusted.
+app.post('/api/admin/game-mode/set', requireAdmin('owner'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { gameMode, applyTo = 'next' } = req.body;
+
+    try {
+        const db = getDb();
+        const globalStateCollection = db.collection('globalState');
+        const globalState = await globalStateCollection.findOne({});
+
+        if (!globalState) {
+            return sendError(res, 404, 'EVENT_NOT_INITIALIZED', "Global state not found. Event not initialized.");
+        }
 
-        if (referrerRef && referrerRef.toLowerCase() !== userWalletAddress.slice(-6).toLowerCase()) {
-            const referrer = await usersCollection.findOne({ referralCode: referrerRef.toLowerCase() });
-            if (referrer) {
-                const updatedReferrer = await calculateAndSaveBXC(referrer); 
+        if (applyTo === 'current') {
+            const revealCount = await db.collection('rewardDraws').countDocuments({ cycleNumber: globalState.cycleNumber });
+            if (revealCount > 0) {
+                return sendError(res, 409, 'REWARDS_ALREADY_REVEALED', `${revealCount} rewards have already been revealed this cycle. Stage the game mode for the next cycle instead.`);
+            }
 
-                await usersCollection.updateOne(
-                    { walletAddress: updatedReferrer.walletAddress },
-                    { $inc: { BXC_Balance: REFERRAL_BXC, referralCount: 1 } }
-                );
-                console.log(`Referral bonus of ${REFERRAL_BXC} BXC given to ${referrer.walletAddress} for referring ${userWalletAddress}`);
+            const result = await globalStateCollection.updateOne(
+                { cycleNumber: globalState.cycleNumber, rolloverInProgress: null },
+                { $set: { gameMode: gameMode } }
+            );
+            if (result.matchedCount === 0) {
+                return sendError(res, 409, 'CONCURRENT_UPDATE', "The event cycle changed while updating. Please try again.");
             }
+            await recordCycleSnapshot(await globalStateCollection.findOne({}), 'active');
+        } else {
+            await globalStateCollection.updateOne({}, { $set: { nextGameMode: gameMode } });
         }
 
-        const updatedUser = await usersCollection.findOne({ walletAddress: userWalletAddress });
         const updatedGlobalState = await globalStateCollection.findOne({});
-
+        req.log.info("Game mode set", { applyTo: applyTo, gameMode: gameMode });
         res.status(200).json({
-            message: `Stake successful! Welcome to ExtraShare BXC! You staked $${currentInitialStakeAmount}.`,
-            transactionHash: transactionHash,
-            user: {
-                walletAddress: updatedUser.walletAddress,
-                slotsStaked: updatedUser.slotsStaked,
-                stakedUSDValue: updatedUser.stakedUSDValue,
-                BXC_Balance: updatedUser.BXC_Balance,
-                AIN_Balance: updatedUser.AIN_Balance,
-                claimedEventRewardTime: updatedUser.claimedEventRewardTime,
-                collectedEventRewardTime: updatedUser.collectedEventRewardTime,
-                lastRevealedUSDAmount: updatedUser.lastRevealedUSDAmount,
-                lastReferralCopyBonusGiven: updatedUser.lastReferralCopyBonusGiven,
-                referralCode: updatedUser.referralCode,
-                referralCount: updatedUser.referralCount,
-                stakeTransactions: updatedUser.stakeTransactions,
-                lastBXCAccrualTime: updatedUser.lastBXCAccrualTime
+            message: applyTo === 'current' ? `Game mode set to '${gameMode}' for the current cycle.` : `Game mode '${gameMode}' staged for the next cycle.`,
+            applyTo: applyTo,
+            gameMode: getGameMode(updatedGlobalState).name,
+            nextGameMode: updatedGlobalState.nextGameMode || null
+        });
+
+    } catch (error) {
+        req.log.error("Error setting game mode", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error setting game mode.");
+    }
+});
+
+// ADMIN ENDPOINT: POST /api/admin/simulate-event
+// Dry-runs a cycle for `wallets` synthetic wallets in memory and returns the report (see "Event
+// Simulation"). Parameters not sent default to what the next cycle would use: the staged reward
+// table and game mode if any, otherwise the current settings. The same seed gives the same outcome.
+app.post('/api/admin/simulate-event', requireAdmin('operator'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { wallets, rewardTiers, startTime, seed = randomBytes(16).toString('hex') } = req.body;
+
+    if (rewardTiers !== undefined) {
+        const tiersError = validateRewardTiers(rewardTiers);
+        if (tiersError) {
+            return sendError(res, 400, 'INVALID_REWARD_TIERS', tiersError);
+        }
+    }
+
+    try {
+        const globalState = await getDb().collection('globalState').findOne({});
+        if (!globalState) {
+            return sendError(res, 404, 'EVENT_NOT_INITIALIZED', "Global state not found. Event not initialized.");
+        }
+
+        const option = (field, fallback) => req.body[field] !== undefined ? req.body[field] : fallback;
+        const baseTable = globalState.nextRewardTable
+            ? { rewardTiers: globalState.nextRewardTable.tiers, luckyWinnerSlotThreshold: globalState.nextRewardTable.luckyWinnerSlotThreshold }
+            : getRewardTable(globalState);
+        const referralSettings = getReferralSettings(globalState);
+        const config = {
+            wallets: wallets,
+            cycleNumber: globalState.cycleNumber + 1,
+            gameMode: option('gameMode', globalState.nextGameMode || getGameMode(globalState).name),
+            maxStakeSlots: option('maxStakeSlots', globalState.maxStakeSlots || 30000),
+            maxAinRewardPool: option('maxAinRewardPool', globalState.maxAinRewardPool || 0),
+            rewardTable: {
+                rewardTiers: rewardTiers !== undefined ? normalizeRewardTiers(rewardTiers) : baseTable.rewardTiers,
+                luckyWinnerSlotThreshold: option('luckyWinnerSlotThreshold', baseTable.luckyWinnerSlotThreshold)
             },
-            global: {
-                totalSlotsUsed: updatedGlobalState.totalSlotsUsed,
-                eventStartTime: updatedGlobalState.eventStartTime,
-                eventEndTime: updatedGlobalState.eventEndTime,
-                isPaused: updatedGlobalState.isPaused || false,
-                pauseStartTime: updatedGlobalState.pauseStartTime || null,
-                withdrawalsPaused: updatedGlobalState.withdrawalsPaused || false,
-                maxStakeSlots: updatedGlobalState.maxStakeSlots, 
-                initialStakeAmountUSD: updatedGlobalState.initialStakeAmountUSD, 
-                stakingRecipientAddress: updatedGlobalState.stakingRecipientAddress,
-                maxAinRewardPool: updatedGlobalState.maxAinRewardPool,
-                totalAinRewarded: updatedGlobalState.totalAinRewarded,
-            }
+            eventDurationHours: option('eventDurationHours', globalState.eventDurationHours || 95),
+            claimWindowHours: option('claimWindowHours', globalState.claimWindowHours !== undefined ? globalState.claimWindowHours : DEFAULT_CLAIM_WINDOW_HOURS),
+            initialStakeAmountUSD: option('initialStakeAmountUSD', globalState.initialStakeAmountUSD || 8),
+            ainUsdPrice: option('ainUsdPrice', (await getCurrentAinPrice()).price),
+            referralSettings: {
+                bonusLevels: option('referralBonusLevels', referralSettings.bonusLevels),
+                commissionPercent: option('referralCommissionPercent', referralSettings.commissionPercent)
+            },
+            referralRate: option('referralRate', SIMULATION_DEFAULT_RATES.referralRate),
+            revealRate: option('revealRate', SIMULATION_DEFAULT_RATES.revealRate),
+            collectRate: option('collectRate', SIMULATION_DEFAULT_RATES.collectRate)
+        };
+
+        const clock = createSimulationClock(startTime !== undefined ? new Date(startTime) : new Date());
+        const startedAt = Date.now();
+        const report = await simulateEventCycle(config, { clock: clock, random: createSeededRandom(seed) });
+
+        req.log.info("Event simulated", { wallets: wallets, seed: seed, gameMode: config.gameMode, durationMs: Date.now() - startedAt });
+        res.status(200).json({
+            message: "Event simulation completed.",
+            seed: seed,
+            parameters: config,
+            report: report
         });
 
     } catch (error) {
-        console.error("[API/STAKE] Error during stake:", error);
-        res.status(500).json({ message: "Internal server error during stake processing." });
+        req.log.error("Error simulating event", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error simulating event.");
     }
 });
 
+// ADMIN ENDPOINT: POST /api/admin/referral-funnel
+// Click-to-stake funnel per referral code, optionally for one wallet or one code.
+app.post('/api/admin/referral-funnel', requireAdmin('support'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { targetWalletAddress, code, limit = 100 } = req.body;
 
-app.post('/api/withdraw-stake', async (req, res) => {
-    const { walletAddress } = req.body;
-    const now = new Date();
+    try {
+        res.status(200).json({
+            message: "Referral funnel fetched successfully.",
+            codes: await findReferralFunnel({ walletAddress: targetWalletAddress, code: code, limit: limit })
+        });
 
-    if (!walletAddress) {
-        return res.status(400).json({ message: "Wallet address is required." });
+    } catch (error) {
+        req.log.error("Error fetching referral funnel", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error fetching referral funnel.");
     }
+});
 
-    const userWalletAddress = walletAddress.toLowerCase();
+// ADMIN ENDPOINT: POST /api/admin/set-referral-rewards
+// Sets the BXC bonus per upline level (index 0 = direct referrer), the AIN commission percentage,
+// the click attribution window and whether the share bonus needs a converted click.
+app.post('/api/admin/set-referral-rewards', requireAdmin('owner'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { bonusLevels, commissionPercent, attributionWindowHours, shareBonusMode } = req.body;
+    const updateFields = {};
+
+    if (bonusLevels !== undefined) {
+        updateFields.referralBonusLevels = bonusLevels;
+    }
+    if (commissionPercent !== undefined) {
+        updateFields.referralCommissionPercent = commissionPercent;
+    }
+    if (attributionWindowHours !== undefined) {
+        updateFields.referralAttributionWindowHours = attributionWindowHours;
+    }
+    if (shareBonusMode !== undefined) {
+        updateFields.referralShareBonusMode = shareBonusMode;
+    }
+    if (Object.keys(updateFields).length === 0) {
+        return sendError(res, 400, 'VALIDATION_FAILED', "Provide at least one of bonusLevels, commissionPercent, attributionWindowHours or shareBonusMode.");
+    }
 
     try {
-        const db = getDb();
-        const usersCollection = db.collection('users');
-        const globalStateCollection = db.collection('globalState');
+        const globalStateCollection = getDb().collection('globalState');
+        await globalStateCollection.updateOne({}, { $set: updateFields });
+        const settings = getReferralSettings(await globalStateCollection.findOne({}));
 
-        let user = await usersCollection.findOne({ walletAddress: userWalletAddress });
-        user = await calculateAndSaveBXC(user);
-        const globalState = await globalStateCollection.findOne({});
+        req.log.info("Referral settings updated", { settings: settings });
+        res.status(200).json({
+            message: "Referral rewards updated.",
+            referralBonusLevels: settings.bonusLevels,
+            referralCommissionPercent: settings.commissionPercent,
+            referralAttributionWindowHours: settings.attributionWindowHours,
+            referralShareBonusMode: settings.shareBonusMode
+        });
 
-        if (!user || user.stakedUSDValue < (globalState.initialStakeAmountUSD || 8) || user.slotsStaked === 0) { 
-            return res.status(400).json({ message: "You have no active stake to withdraw." });
-        }
-        if (globalState && globalState.isPaused) { 
-            return res.status(400).json({ message: "Stake withdrawal is paused by admin." });
-        }
-        if (globalState && globalState.withdrawalsPaused) { 
-            return res.status(400).json({ message: "All withdrawals are currently paused by admin." });
-        }
+    } catch (error) {
+        req.log.error("Error setting referral rewards", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error setting referral rewards.");
+    }
+});
 
-        if (globalState && globalState.eventStartTime && now > globalState.eventStartTime) {
-             return res.status(400).json({ message: "Stake withdrawal is not allowed once the event has started." });
+// ADMIN ENDPOINT: POST /api/admin/ain-price/set
+// Records a manual AIN price. It applies to reveals from now on; already revealed amounts are locked.
+app.post('/api/admin/ain-price/set', requireAdmin('owner'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { price } = req.body;
+
+    try {
+        const entry = await recordAinPrice(price, 'manual', req.walletAddress);
+        if (priceProvider.name !== 'manual') {
+            req.log.warn("Manual AIN price set while a price provider is active; it will be replaced on the next refresh", { provider: priceProvider.name });
         }
+        req.log.info("AIN price set", { price: price });
+        res.status(200).json({
+            message: `AIN price set to ${price} USD.`,
+            ainUsdPrice: entry.price,
+            recordedAt: entry.recordedAt,
+            priceSource: priceProvider.name
+        });
 
-        await usersCollection.updateOne(
-            { walletAddress: userWalletAddress },
-            {
-                $set: {
-                    slotsStaked: 0,
-                    stakedUSDValue: 0,
-                    stakeTransactions: [],
-                    BXC_Balance: 0, 
-                    lastBXCAccrualTime: now,
-                    claimedEventRewardTime: null,
-                    collectedEventRewardTime: null,
-                    lastRevealedUSDAmount: 0,
-                    AIN_Balance: 0
-                }
-            }
-        );
+    } catch (error) {
+        req.log.error("Error setting AIN price", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error setting AIN price.");
+    }
+});
 
-        await globalStateCollection.updateOne(
-            {},
-            { $inc: { totalSlotsUsed: -1 } }
-        );
+// Recorded AIN prices, newest first, with the current price and its source.
+async function getAinPriceHistory({ limit = 100, before } = {}) {
+    const query = before ? { recordedAt: { $lt: new Date(before) } } : {};
+    const prices = await getDb().collection('ainPrices').find(query)
+                                    .project({ _id: 0 })
+                                    .sort({ recordedAt: -1 })
+                                    .limit(Math.min(Math.max(parseInt(limit) || 100, 1), 500))
+                                    .toArray();
+
+    return {
+        priceSource: priceProvider.name,
+        current: await getCurrentAinPrice(),
+        prices: prices
+    };
+}
 
-        res.status(200).json({ message: `Your $${(globalState.initialStakeAmountUSD || 8).toFixed(2)} stake has been successfully withdrawn (simulated).` }); 
+// ADMIN ENDPOINT: POST /api/admin/ain-price/history
+// Lists recorded AIN prices, newest first.
+app.post('/api/admin/ain-price/history', requireAdmin('support'), rateLimit('admin'), validateBody, async (req, res) => {
+    try {
+        res.status(200).json({
+            message: "AIN price history fetched successfully.",
+            ...await getAinPriceHistory(req.body)
+        });
 
     } catch (error) {
-        console.error("[API/WITHDRAW-STAKE] Error during stake withdrawal:", error);
-        res.status(500).json({ message: "Internal server error during stake withdrawal." });
+        req.log.error("Error fetching AIN price history", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error fetching AIN price history.");
     }
 });
 
+// NEW ADMIN ENDPOINT: POST /api/admin/fund-user (Feature 7)
+app.post('/api/admin/fund-user', requireAdmin('owner'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { targetWalletAddress, tokenType, amount } = req.body;
 
-app.post('/api/reveal-reward', async (req, res) => {
-    const { walletAddress } = req.body;
-    const now = new Date();
+    const userToFundAddress = targetWalletAddress.toLowerCase();
 
-    if (!walletAddress) {
-        return res.status(400).json({ message: "Wallet address is required." });
+    try {
+        const db = getDb();
+        const globalState = await db.collection('globalState').findOne({});
+
+        const result = await applyLedgerUpdate(
+            userToFundAddress,
+            [{ token: tokenType, amount: amount, reason: LEDGER_REASONS.ADMIN_FUND, cycleNumber: globalState ? globalState.cycleNumber : null, relatedAdmin: req.walletAddress }],
+            { update: { $setOnInsert: { ledgerInitializedAt: new Date() } }, upsert: true }
+        );
+
+        if (result.matchedCount === 0 && result.upsertedCount === 0) {
+             return sendError(res, 404, 'USER_NOT_FOUND', `User ${userToFundAddress} not found and could not be created.`);
+        }
+        req.log.info("User funded", { targetWalletAddress: userToFundAddress, token: tokenType, amount: amount });
+        res.status(200).json({
+            message: `Successfully funded ${userToFundAddress} with ${amount.toFixed(4)} ${tokenType}.`,
+            targetWallet: userToFundAddress,
+            tokenType: tokenType,
+            fundedAmount: amount
+        });
+
+    } catch (error) {
+        req.log.error("Error funding user", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error funding user.");
     }
+});
 
-    const userWalletAddress = walletAddress.toLowerCase();
+
+// NEW ADMIN ENDPOINT: POST /api/admin/reset-user-profile
+app.post('/api/admin/reset-user-profile', requireAdmin('operator'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { targetWalletAddress } = req.body;
+    const now = new Date();
+
+    const userToResetAddress = targetWalletAddress.toLowerCase();
 
     try {
         const db = getDb();
         const usersCollection = db.collection('users');
         const globalStateCollection = db.collection('globalState');
 
-        const user = await usersCollection.findOne({ walletAddress: userWalletAddress });
-        const globalState = await globalStateCollection.findOne({});
-
-        if (!user || user.slotsStaked === 0) {
-            return res.status(400).json({ message: "You must stake first to reveal rewards." });
-        }
-        if (globalState && globalState.isPaused) { 
-            return res.status(400).json({ message: "Reward reveal is paused by admin." });
-        }
+        const user = await usersCollection.findOne({ walletAddress: userToResetAddress });
+        let globalState = await globalStateCollection.findOne({}); // Fetch global state
 
-        if (!globalState || !globalState.eventEndTime || now < globalState.eventEndTime) {
-            return res.status(400).json({ message: "Reward reveal is only available after the event ends." });
+        if (!user) {
+            return sendError(res, 404, 'USER_NOT_FOUND', "User not found.");
         }
         
-        if (user.claimedEventRewardTime && user.claimedEventRewardTime >= globalState.eventStartTime) {
-            const revealedAIN = user.lastRevealedUSDAmount / AIN_USD_PRICE;
-            const message = user.lastRevealedUSDAmount === 0
-                ? "You revealed 0 AIN. Better luck next time!"
-                : `You already revealed ${revealedAIN.toFixed(4)} AIN!`;
-            
-            return res.status(200).json({
-                message: message,
-                AIN_Amount: revealedAIN,
-                isLuckyWinner: user.lastRevealedUSDAmount > 0,
-                user: {
-                    stakedUSDValue: user.stakedUSDValue,
-                    BXC_Balance: user.BXC_Balance,
-                    AIN_Balance: user.AIN_Balance,
-                    claimedEventRewardTime: user.claimedEventRewardTime,
-                    collectedEventRewardTime: user.collectedEventRewardTime
-                }
-            });
-        }
+        // Release the user's current-cycle stakes (pending ones hold a reserved slot as well)
+        const stakeResetResult = await db.collection('stakes').updateMany(
+            { walletAddress: userToResetAddress, cycleNumber: globalState.cycleNumber, status: { $in: ACTIVE_STAKE_STATUSES } },
+            { $set: { status: 'reset', resetAt: now, resetBy: req.walletAddress } }
+        );
 
-        const totalSlotsCurrentlyUsed = globalState.totalSlotsUsed;
-        const maxAinRewardPool = globalState.maxAinRewardPool || 0;
-        let totalAinRewarded = globalState.totalAinRewarded || 0;
-        
-        let rewardAmountUSD = 0;
-        let isLuckyWinner = false;
-        let calculatedAinAmount = 0;
+        // Determine how many slots to decrement from global count, but ensure it doesn't go below 0
+        const slotsToDecrement = Math.max(user.slotsStaked > 0 ? user.slotsStaked : 0, stakeResetResult.modifiedCount);
 
-        if (totalSlotsCurrentlyUsed <= LUCKY_WINNER_SLOT_THRESHOLD) {
-            const randomValue = Math.random();
-            if (randomValue < REWARD_CHANCE_LARGE_WIN) {
-                rewardAmountUSD = Math.floor(Math.random() * (REWARD_USD_LARGE_MAX - REWARD_USD_LARGE_MIN + 1)) + REWARD_USD_LARGE_MIN;
-                isLuckyWinner = true;
-            } else if (randomValue < (REWARD_CHANCE_LARGE_WIN + REWARD_CHANCE_REGULAR_WIN)) {
-                rewardAmountUSD = Math.floor(Math.random() * (REWARD_USD_REGULAR_MAX - REWARD_USD_REGULAR_MIN + 1)) + REWARD_USD_REGULAR_MIN;
-                isLuckyWinner = true;
+        // Reset user's staking-related data
+        await usersCollection.updateOne(
+            { walletAddress: userToResetAddress },
+            {
+                $set: {
+                    slotsStaked: 0,
+                    stakedUSDValue: 0,
+                    claimedEventRewardTime: null,
+                    collectedEventRewardTime: null,
+                    lastRevealedUSDAmount: 0,
+                    lastRevealedAINAmount: 0,
+                    lastBXCAccrualTime: now // Reset accrual time to prevent immediate back-accrual if they re-stake
+                }
             }
-        }
+        );
 
-        calculatedAinAmount = isLuckyWinner ? (rewardAmountUSD / AIN_USD_PRICE) : 0;
+        // Safely update global totalSlotsUsed, ensuring it doesn't go below zero
+        if (slotsToDecrement > 0) {
+            let currentTotalSlotsUsed = globalState.totalSlotsUsed || 0;
+            let newTotalSlotsUsed = Math.max(0, currentTotalSlotsUsed - slotsToDecrement);
 
-        // Feature 3: Enforce MAX_AIN_REWARD_POOL
-        if (maxAinRewardPool > 0 && (totalAinRewarded + calculatedAinAmount) > maxAinRewardPool) {
-            // Adjust reward to not exceed cap
-            calculatedAinAmount = Math.max(0, maxAinRewardPool - totalAinRewarded);
-            rewardAmountUSD = calculatedAinAmount * AIN_USD_PRICE; 
-            if (calculatedAinAmount === 0) { 
-                isLuckyWinner = false; 
-            }
-            console.warn(`[API/REVEAL-REWARD] AIN reward adjusted due to pool cap. New AIN: ${calculatedAinAmount.toFixed(4)}`);
-        }
-        
-        // Update total Ain rewarded in global state
-        if (calculatedAinAmount > 0) {
             await globalStateCollection.updateOne(
                 {},
-                { $inc: { totalAinRewarded: calculatedAinAmount } }
+                { $set: { totalSlotsUsed: newTotalSlotsUsed } }
             );
         }
 
-        await usersCollection.updateOne(
-            { walletAddress: userWalletAddress },
-            {
-                $set: {
-                    claimedEventRewardTime: now,
-                    lastRevealedUSDAmount: rewardAmountUSD, 
-                }
-            }
-        );
+        const updatedUser = await usersCollection.findOne({ walletAddress: userToResetAddress });
+        const updatedGlobalState = await globalStateCollection.findOne({});
+        const stakeTransactions = await getCycleStakeTransactions(userToResetAddress, updatedGlobalState.cycleNumber);
 
-        const updatedUser = await usersCollection.findOne({ walletAddress: userWalletAddress });
+        req.log.info("User staking profile reset", { targetWalletAddress: userToResetAddress, slotsReleased: slotsToDecrement });
 
         res.status(200).json({
-            message: calculatedAinAmount > 0 ? `You revealed ${calculatedAinAmount.toFixed(4)} AIN!` : "Better luck next time! (0 AIN)",
-            AIN_Amount: calculatedAinAmount,
-            isLuckyWinner: calculatedAinAmount > 0,
+            message: `User ${userToResetAddress}'s staking profile has been successfully reset. They can now stake again.`,
             user: {
+                walletAddress: updatedUser.walletAddress,
+                slotsStaked: updatedUser.slotsStaked,
                 stakedUSDValue: updatedUser.stakedUSDValue,
-                BXC_Balance: updatedUser.BXC_Balance,
+                BXC_Balance: updatedUser.BXC_Balance, // BXC/AIN balances are NOT reset by this function
                 AIN_Balance: updatedUser.AIN_Balance,
                 claimedEventRewardTime: updatedUser.claimedEventRewardTime,
-                collectedEventRewardTime: updatedUser.collectedEventRewardTime
+                collectedEventRewardTime: updatedUser.collectedEventRewardTime,
+                lastRevealedUSDAmount: updatedUser.lastRevealedUSDAmount,
+                lastRevealedAINAmount: updatedUser.lastRevealedAINAmount || 0,
+                stakeTransactions: stakeTransactions
+            },
+            global: {
+                totalSlotsUsed: updatedGlobalState.totalSlotsUsed
             }
         });
 
     } catch (error) {
-        console.error("[API/REVEAL-REWARD] Error revealing reward:", error);
-        res.status(500).json({ message: "Internal server error." });
+        req.log.error("Error resetting user profile", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error resetting user profile.");
     }
 });
 
 
-app.post('/api/collect-reward', async (req, res) => {
-    const { walletAddress } = req.body;
+// NEW ADMIN ENDPOINT: POST /api/admin/reset-all-user-stakes
+app.post('/api/admin/reset-all-user-stakes', requireAdmin('owner'), rateLimit('admin'), validateBody, async (req, res) => {
     const now = new Date();
 
-    if (!walletAddress) {
-        return res.status(400).json({ message: "Wallet address is required." });
-    }
-
-    const userWalletAddress = walletAddress.toLowerCase();
-
     try {
         const db = getDb();
         const usersCollection = db.collection('users');
         const globalStateCollection = db.collection('globalState');
 
-        const user = await usersCollection.findOne({ walletAddress: userWalletAddress });
         const globalState = await globalStateCollection.findOne({});
 
-        if (!user || user.slotsStaked === 0) {
-            return res.status(400).json({ message: "You must stake first to collect rewards." });
-        }
-        if (globalState && globalState.isPaused) { 
-            return res.status(400).json({ message: "Reward collection is paused by admin." });
-        }
-
-        if (!globalState || !globalState.eventEndTime || now < globalState.eventEndTime) {
-            return res.status(400).json({ message: "Reward collection is only available after the event ends." });
-        }
-
-        if (!user.claimedEventRewardTime || user.claimedEventRewardTime < globalState.eventStartTime) {
-            return res.status(400).json({ message: "You must reveal your reward first!" });
-        }
-
-        if (user.collectedEventRewardTime && user.collectedEventRewardTime >= globalState.eventStartTime) {
-            return res.status(400).json({ message: "You have already collected this event's reward." });
-        }
-        
-        const rewardToCollectUSD = user.lastRevealedUSDAmount || 0;
-        const ainAmountToCollect = rewardToCollectUSD > 0 ? (rewardToCollectUSD / AIN_USD_PRICE) : 0;
-
-        if (ainAmountToCollect === 0) {
-            return res.status(400).json({ message: "No AIN reward available to collect." });
-        }
+        // Release every current-cycle stake; stake records themselves are kept for history
+        await db.collection('stakes').updateMany(
+            { cycleNumber: globalState.cycleNumber, status: { $in: ACTIVE_STAKE_STATUSES } },
+            { $set: { status: 'reset', resetAt: now, resetBy: req.walletAddress } }
+        );
 
-        await usersCollection.updateOne(
-            { walletAddress: userWalletAddress },
+        // Reset staking-related data for ALL users
+        await usersCollection.updateMany(
+            {},
             {
-                $inc: { AIN_Balance: ainAmountToCollect },
-                $set: { collectedEventRewardTime: now }
+                $set: {
+                    slotsStaked: 0,
+                    stakedUSDValue: 0,
+                    claimedEventRewardTime: null,
+                    collectedEventRewardTime: null,
+                    lastRevealedUSDAmount: 0,
+                    lastRevealedAINAmount: 0,
+                    lastBXCAccrualTime: now
+                }
             }
         );
 
-        const updatedUser = await usersCollection.findOne({ walletAddress: userWalletAddress });
-
-        res.status(200).json({
-            message: `Successfully collected ${ainAmountToCollect.toFixed(4)} AIN!`,
-            collectedAINAmount: ainAmountToCollect,
-            user: {
-                stakedUSDValue: updatedUser.stakedUSDValue,
-                BXC_Balance: updatedUser.BXC_Balance,
-                AIN_Balance: updatedUser.AIN_Balance,
-                claimedEventRewardTime: updatedUser.claimedEventRewardTime,
-                collectedEventRewardTime: updatedUser.collectedEventRewardTime
+        // Reset totalSlotsUsed in global state to 0
+        await globalStateCollection.updateOne(
+            {},
+            { $set: { totalSlotsUsed: 0 } }
+        );
+
+        req.log.info("All user staking profiles reset");
+
+        res.status(200).json({
+            message: "All users' staking profiles have been successfully reset. Total slots used reset to 0.",
+            global: {
+                totalSlotsUsed: 0
             }
         });
 
     } catch (error) {
-        console.error("[API/COLLECT-REWARD] Error collecting reward:", error);
-        res.status(500).json({ message: "Internal server error." });
+        req.log.error("Error resetting all user profiles", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error resetting all user profiles.");
     }
 });
 
 
-app.post('/api/withdraw', async (req, res) => {
-    const { walletAddress, token, amount } = req.body;
-    const now = new Date();
+// ADMIN ENDPOINT: POST /api/admin/user-ledger
+app.post('/api/admin/user-ledger', requireAdmin('support'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { targetWalletAddress } = req.body;
 
-    if (!walletAddress || token !== 'BXC') {
-        return res.status(400).json({ message: "Wallet address and token type (BXC) are required." });
+    try {
+        const entries = await findLedgerEntries(targetWalletAddress.toLowerCase(), req.body);
+        res.status(200).json({
+            message: "Ledger fetched successfully.",
+            walletAddress: targetWalletAddress.toLowerCase(),
+            entries: entries
+        });
+    } catch (error) {
+        req.log.error("Error fetching user ledger", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error fetching user ledger.");
     }
+});
 
-    const userWalletAddress = walletAddress.toLowerCase();
-
+// ADMIN ENDPOINT: POST /api/admin/ledger/reconcile
+// Recomputes every balance from the ledger, stores the report and returns it.
+app.post('/api/admin/ledger/reconcile', requireAdmin('operator'), rateLimit('admin'), validateBody, async (req, res) => {
     try {
-        const db = getDb();
-        const usersCollection = db.collection('users');
-        const globalStateCollection = db.collection('globalState');
-
-        let user = await usersCollection.findOne({ walletAddress: userWalletAddress });
-        user = await calculateAndSaveBXC(user);
-        const globalState = await globalStateCollection.findOne({});
+        const report = await reconcileLedger();
+        report.requestedBy = req.walletAddress;
+        await getDb().collection('ledgerReconciliations').insertOne({ ...report });
 
-        if (!user || user.BXC_Balance <= 0) {
-            return res.status(400).json({ message: "No BXC balance to withdraw." });
-        }
-        if (globalState && globalState.isPaused) { 
-            return res.status(400).json({ message: "BXC withdrawal is paused by admin." });
-        }
-        if (globalState && globalState.withdrawalsPaused) { 
-            return res.status(400).json({ message: "All withdrawals are currently paused by admin." });
+        if (report.driftCount > 0) {
+            req.log.warn("Ledger reconciliation found balance drifts", { driftCount: report.driftCount, usersChecked: report.usersChecked });
+        } else {
+            req.log.info("Ledger reconciliation found no drift", { usersChecked: report.usersChecked });
         }
 
-        const withdrawAmount = (amount && amount > 0 && amount <= user.BXC_Balance) ? amount : user.BXC_Balance;
+        res.status(200).json({
+            message: report.driftCount > 0 ? `Found ${report.driftCount} balance drifts.` : "All balances match the ledger.",
+            report: report
+        });
 
-        await usersCollection.updateOne(
-            { walletAddress: userWalletAddress },
-            { $inc: { BXC_Balance: -withdrawAmount } }
-        );
+    } catch (error) {
+        req.log.error("Error reconciling ledger", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error reconciling ledger.");
+    }
+});
 
-        const updatedUser = await usersCollection.findOne({ walletAddress: userWalletAddress });
+async function findReconciliationReports({ limit = 10 } = {}) {
+    return getDb().collection('ledgerReconciliations').find({})
+                                    .project({ _id: 0 })
+                                    .sort({ startedAt: -1 })
+                                    .limit(Math.min(Math.max(parseInt(limit) || 10, 1), 50))
+                                    .toArray();
+}
 
+// ADMIN ENDPOINT: POST /api/admin/ledger/reconciliations
+// Lists the most recent reconciliation reports.
+app.post('/api/admin/ledger/reconciliations', requireAdmin('support'), rateLimit('admin'), validateBody, async (req, res) => {
+    try {
         res.status(200).json({
-            message: `${withdrawAmount.toFixed(4)} BXC successfully withdrawn (simulated).`,
-            withdrawnAmount: withdrawAmount,
-            user: {
-                BXC_Balance: updatedUser.BXC_Balance
-            }
+            message: "Reconciliation reports fetched successfully.",
+            reports: await findReconciliationReports(req.body)
         });
 
     } catch (error) {
-        console.error("[API/WITHDRAW] Error during BXC withdrawal:", error);
-        res.status(500).json({ message: "Internal server error." });
+        req.log.error("Error fetching reports", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error fetching reconciliation reports.");
     }
 });
 
 
-app.post('/api/withdrawAIN', async (req, res) => {
-    const { walletAddress, amount } = req.body;
-    const now = new Date();
+// --- ADMIN WITHDRAWAL QUEUE ---
+
+// ADMIN ENDPOINT: POST /api/admin/withdrawals/list
+// Lists withdrawal requests, oldest first so the queue is worked in order. Defaults to 'requested'.
+app.post('/api/admin/withdrawals/list', requireAdmin('support'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { status = 'requested', targetWalletAddress, limit = 100 } = req.body;
+
+    try {
+        res.status(200).json({
+            message: "Withdrawals fetched successfully.",
+            withdrawals: await findWithdrawals({
+                walletAddress: targetWalletAddress ? targetWalletAddress.toLowerCase() : null,
+                status: status,
+                limit: limit,
+                order: 1
+            })
+        });
 
-    if (!walletAddress) {
-        return res.status(400).json({ message: "Wallet address is required." });
+    } catch (error) {
+        req.log.error("Error fetching withdrawals", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error fetching withdrawals.");
     }
+});
 
-    const userWalletAddress = walletAddress.toLowerCase();
+// ADMIN ENDPOINT: POST /api/admin/withdrawals/approve
+// Approves a requested withdrawal and sends it through the payout adapter.
+app.post('/api/admin/withdrawals/approve', requireAdmin('owner'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { withdrawalId } = req.body;
 
     try {
-        const db = getDb();
-        const usersCollection = db.collection('users');
-        const globalStateCollection = db.collection('globalState');
-
-        const user = await usersCollection.findOne({ walletAddress: userWalletAddress });
-        const globalState = await globalStateCollection.findOne({});
+        getPayoutAdapter();
+    } catch (error) {
+        return sendError(res, 503, 'PAYOUTS_UNAVAILABLE', "Payouts are not configured on the server.");
+    }
 
-        if (!user || user.AIN_Balance <= 0) {
-            return res.status(400).json({ message: "No AIN balance to withdraw." });
-        }
-        if (globalState && globalState.isPaused) { 
-            return res.status(400).json({ message: "AIN withdrawal is paused by admin." });
-        }
-        if (globalState && globalState.withdrawalsPaused) { 
-            return res.status(400).json({ message: "All withdrawals are currently paused by admin." });
+    try {
+        const approved = await transitionWithdrawal(new ObjectId(withdrawalId), 'requested', 'approved', {
+            by: req.walletAddress,
+            set: { approvedBy: req.walletAddress, approvedAt: new Date() }
+        });
+        if (!approved) {
+            return sendError(res, 409, 'WITHDRAWAL_NOT_PENDING', "Withdrawal not found or no longer awaiting approval.");
         }
 
-        const withdrawAmount = (amount && amount > 0 && amount <= user.AIN_Balance) ? amount : user.AIN_Balance;
-
-        await usersCollection.updateOne(
-            { walletAddress: userWalletAddress },
-            { $inc: { AIN_Balance: -withdrawAmount } }
-        );
+        const withdrawal = await broadcastWithdrawal(approved, req.walletAddress);
+        req.log.info("Withdrawal approved", { withdrawalId: withdrawalId, status: withdrawal ? withdrawal.status : null });
 
-        const updatedUser = await usersCollection.findOne({ walletAddress: userWalletAddress });
+        if (!withdrawal || withdrawal.status === 'failed') {
+            return sendError(res, 502, 'PAYOUT_FAILED', "Payout failed. The reserved funds were returned to the user.", {
+                withdrawal: withdrawal ? formatWithdrawal(withdrawal) : null
+            });
+        }
 
         res.status(200).json({
-            message: `${withdrawAmount.toFixed(4)} AIN successfully withdrawn (simulated).`,
-            withdrawnAmount: withdrawAmount,
-            user: {
-                AIN_Balance: updatedUser.AIN_Balance
-            }
+            message: `Withdrawal approved and broadcast (${withdrawal.txHash}).`,
+            withdrawal: formatWithdrawal(withdrawal)
         });
 
     } catch (error) {
-        console.error("[API/WITHDRAW AIN] Error during AIN withdrawal:", error);
-        res.status(500).json({ message: "Internal server error." });
+        req.log.error("Error approving withdrawal", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error approving withdrawal.");
     }
 });
 
+// ADMIN ENDPOINT: POST /api/admin/withdrawals/reject
+// Rejects a requested withdrawal and returns the reserved funds to the user's balance.
+app.post('/api/admin/withdrawals/reject', requireAdmin('operator'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { withdrawalId, reason } = req.body;
 
-app.post('/api/referral-copied', async (req, res) => {
-    const { walletAddress } = req.body;
-    const now = new Date();
+    try {
+        const withdrawal = await getDb().collection('withdrawals').findOne({ _id: new ObjectId(withdrawalId) });
+        if (!withdrawal) {
+            return sendError(res, 404, 'WITHDRAWAL_NOT_FOUND', "Withdrawal not found.");
+        }
+
+        const rejected = await releaseWithdrawal(withdrawal, 'requested', 'rejected', {
+            by: req.walletAddress,
+            note: reason,
+            set: { rejectionReason: reason }
+        });
+        if (!rejected) {
+            return sendError(res, 409, 'WITHDRAWAL_NOT_PENDING', `Withdrawal is '${withdrawal.status}' and can no longer be rejected.`);
+        }
+
+        req.log.info("Withdrawal rejected", { withdrawalId: withdrawalId, reason: reason });
+        res.status(200).json({
+            message: `Withdrawal rejected. ${withdrawal.amount.toFixed(4)} ${withdrawal.token} returned to ${withdrawal.walletAddress}.`,
+            withdrawal: formatWithdrawal(rejected)
+        });
 
-    if (!walletAddress) {
-        return res.status(400).json({ message: "Wallet address is required." });
+    } catch (error) {
+        req.log.error("Error rejecting withdrawal", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error rejecting withdrawal.");
     }
+});
 
-    const userWalletAddress = walletAddress.toLowerCase();
 
-    try {
-        const db = getDb();
-        const usersCollection = db.collection('users');
-        const globalStateCollection = db.collection('globalState');
+// --- ADMIN STAKE REFUNDS ---
 
-        let user = await usersCollection.findOne({ walletAddress: userWalletAddress });
-        user = await calculateAndSaveBXC(user);
-        const globalState = await globalStateCollection.findOne({});
+// ADMIN ENDPOINT: POST /api/admin/stake-refunds/list
+// Lists stakes paid after their cycle rolled over, oldest first. Defaults to 'refund_due'.
+app.post('/api/admin/stake-refunds/list', requireAdmin('support'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { status = 'refund_due', targetWalletAddress, limit = 100 } = req.body;
 
-        if (!user || user.slotsStaked === 0) {
-            return res.status(400).json({ message: "Stake at least once to earn referral copy bonuses!" });
-        }
-        if (!globalState || !globalState.eventStartTime) {
-            return res.status(400).json({ message: "Event has not started yet to earn copy bonuses." });
-        }
-        if (globalState && globalState.isPaused) { 
-            return res.status(400).json({ message: "Referral bonus earning is paused by admin." });
-        }
+    try {
+        res.status(200).json({
+            message: "Stake refunds fetched successfully.",
+            refunds: await findStakeRefunds({
+                walletAddress: targetWalletAddress ? targetWalletAddress.toLowerCase() : null,
+                status: status,
+                limit: limit
+            })
+        });
 
-        if (user.lastReferralCopyBonusGiven && user.lastReferralCopyBonusGiven >= globalState.eventStartTime) {
-             return res.status(400).json({ message: "You've already received the referral copy bonus for this event cycle." });
-        }
+    } catch (error) {
+        req.log.error("Error fetching stake refunds", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error fetching stake refunds.");
+    }
+});
 
-        await usersCollection.updateOne(
-            { walletAddress: userWalletAddress },
-            {
-                $inc: { BXC_Balance: REFERRAL_COPY_BXC_BONUS },
-                $set: { lastReferralCopyBonusGiven: now }
-            }
-        );
+// ADMIN ENDPOINT: POST /api/admin/stake-refunds/resolve
+// Records the on-chain transaction that returned a 'refund_due' stake's payment and marks it 'refunded'.
+app.post('/api/admin/stake-refunds/resolve', requireAdmin('owner'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { stakeId, refundTxHash, note } = req.body;
 
-        const updatedUser = await usersCollection.findOne({ walletAddress: userWalletAddress });
+    try {
+        const refunded = await getDb().collection('stakes').findOneAndUpdate(
+            { _id: new ObjectId(stakeId), status: 'refund_due' },
+            { $set: {
+                status: 'refunded',
+                refundTxHash: refundTxHash.toLowerCase(),
+                refundedBy: req.walletAddress,
+                refundNote: note || null,
+                refundedAt: new Date()
+            } },
+            { returnDocument: 'after' }
+        );
+        if (!refunded) {
+            return sendError(res, 409, 'STAKE_NOT_REFUND_DUE', "Stake not found or not awaiting a refund.");
+        }
 
+        req.log.info("Stake refund recorded", { stakeId: stakeId, walletAddress: refunded.walletAddress, refundTxHash: refunded.refundTxHash });
         res.status(200).json({
-            message: `You received ${REFERRAL_COPY_BXC_BONUS} BXC for sharing the referral link!`,
-            awardedAmount: REFERRAL_COPY_BXC_BONUS,
-            user: {
-                BXC_Balance: updatedUser.BXC_Balance
-            }
+            message: `Refund of $${refunded.amountUSD.toFixed(2)} to ${refunded.walletAddress} recorded.`,
+            refund: formatStakeRefund(refunded)
         });
 
     } catch (error) {
-        console.error("[API/REFERRAL-COPIED] Error awarding referral copy bonus:", error);
-        res.status(500).json({ message: "Internal server error." });
+        req.log.error("Error recording stake refund", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error recording stake refund.");
     }
 });
 
-// --- ADMIN API ROUTES (Expanded) ---
-app.post('/api/admin/status', async (req, res) => {
-    const { walletAddress } = req.body;
 
-    if (!walletAddress) {
-        return res.status(400).json({ message: "Wallet address is required." });
-    }
+// --- ADMIN MANAGEMENT ROUTES (owner only) ---
 
-    if (isAdmin(walletAddress)) {
-        res.status(200).json({ isAdmin: true, message: "Welcome, Admin!" });
-    } else {
-        res.status(403).json({ isAdmin: false, message: "Access Denied: Not an admin." });
+async function findAdmins() {
+    return getDb().collection('admins').find({})
+                                    .project({ _id: 0, walletAddress: 1, role: 1, addedBy: 1, createdAt: 1, updatedAt: 1 })
+                                    .sort({ createdAt: 1 })
+                                    .toArray();
+}
+
+// ADMIN ENDPOINT: POST /api/admin/admins/list
+app.post('/api/admin/admins/list', requireAdmin('owner'), rateLimit('admin'), validateBody, async (req, res) => {
+    try {
+        res.status(200).json({
+            message: "Admins fetched successfully.",
+            admins: await findAdmins()
+        });
+
+    } catch (error) {
+        req.log.error("Error fetching admins", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error fetching admins.");
     }
 });
 
-app.post('/api/admin/toggle-event-pause', async (req, res) => {
-    const { walletAddress } = req.body;
+// ADMIN ENDPOINT: POST /api/admin/admins/add
+// Adds a new admin, or changes the role of an existing one.
+app.post('/api/admin/admins/add', requireAdmin('owner'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { targetWalletAddress, role } = req.body;
     const now = new Date();
 
-    if (!isAdmin(walletAddress)) {
-        return res.status(403).json({ message: "Access Denied: Only admins can perform this action." });
-    }
+    const targetAddress = targetWalletAddress.toLowerCase();
 
     try {
         const db = getDb();
-        const globalStateCollection = db.collection('globalState');
-        let globalState = await globalStateCollection.findOne({});
-
-        if (!globalState) {
-            return res.status(404).json({ message: "Global state not found. Event not initialized." });
-        }
-
-        let newIsPaused = !globalState.isPaused; 
-        let newPauseStartTime = null;
-        let newEventEndTime = globalState.eventEndTime;
-        let message = `Event ${newIsPaused ? 'paused' : 'resumed'} successfully.`;
+        const adminsCollection = db.collection('admins');
 
-        if (newIsPaused) { 
-            newPauseStartTime = now;
-            console.log(`[ADMIN/TOGGLE-PAUSE] Admin paused event at: ${newPauseStartTime.toISOString()}`);
-        } else { 
-            if (globalState.pauseStartTime) {
-                const pauseDurationMs = now.getTime() - globalState.pauseStartTime.getTime();
-                newEventEndTime = new Date(globalState.eventEndTime.getTime() + pauseDurationMs);
-                console.log(`[ADMIN/TOGGLE-PAUSE] Admin resumed event. Paused for ${pauseDurationMs / 1000} seconds. New event end time: ${newEventEndTime.toISOString()}`);
-            } else {
-                console.warn("[ADMIN/TOGGLE-PAUSE] Resuming event but no pauseStartTime recorded. Event time not adjusted.");
-                message += " (Warning: No previous pause time to adjust end time.)";
+        const existing = await adminsCollection.findOne({ walletAddress: targetAddress });
+        if (existing && existing.role === 'owner' && role !== 'owner') {
+            const ownerCount = await adminsCollection.countDocuments({ role: 'owner' });
+            if (ownerCount <= 1) {
+                return sendError(res, 400, 'LAST_OWNER', "Cannot demote the last remaining owner.");
             }
-            newPauseStartTime = null; 
         }
 
-        await globalStateCollection.updateOne(
-            {},
-            { $set: {
-                isPaused: newIsPaused,
-                pauseStartTime: newPauseStartTime,
-                eventEndTime: newEventEndTime
-            }}
+        await adminsCollection.updateOne(
+            { walletAddress: targetAddress },
+            {
+                $set: { role: role, updatedAt: now },
+                $setOnInsert: { walletAddress: targetAddress, addedBy: req.walletAddress, createdAt: now }
+            },
+            { upsert: true }
         );
 
+        req.log.info("Admin role set", { targetWalletAddress: targetAddress, role: role });
         res.status(200).json({
-            message: message,
-            isPaused: newIsPaused,
-            eventEndTime: newEventEndTime 
+            message: `${targetAddress} is now an admin with role '${role}'.`,
+            admin: { walletAddress: targetAddress, role: role }
         });
 
     } catch (error) {
-        console.error("[ADMIN/TOGGLE-PAUSE] Error toggling event pause:", error);
-        res.status(500).json({ message: "Internal server error toggling pause state." });
+        req.log.error("Error adding admin", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error adding admin.");
     }
 });
 
-// ADMIN ENDPOINT: POST /api/admin/set-event-duration
-app.post('/api/admin/set-event-duration', async (req, res) => {
-    const { walletAddress, durationHours } = req.body;
-    const now = new Date();
+// ADMIN ENDPOINT: POST /api/admin/admins/remove
+// Removes an admin and revokes all of their admin sessions.
+app.post('/api/admin/admins/remove', requireAdmin('owner'), rateLimit('admin'), validateBody, async (req, res) => {
+    const { targetWalletAddress } = req.body;
 
-    if (!isAdmin(walletAddress)) {
-        return res.status(403).json({ message: "Access Denied: Only admins can perform this action." });
-    }
-    if (typeof durationHours !== 'number' || durationHours <= 0) {
-        return res.status(400).json({ message: "Invalid durationHours. Must be a positive number." });
+    const targetAddress = targetWalletAddress.toLowerCase();
+
+    if (targetAddress === req.walletAddress) {
+        return sendError(res, 400, 'CANNOT_REMOVE_SELF', "You cannot remove yourself. Ask another owner to do it.");
     }
 
     try {
         const db = getDb();
-        const globalStateCollection = db.collection('globalState');
-
-        const newEventStartTime = now;
-        const newEventEndTime = new Date(now.getTime() + durationHours * 60 * 60 * 1000);
+        const adminsCollection = db.collection('admins');
 
-        await globalStateCollection.updateOne(
-            {},
-            { $set: {
-                totalSlotsUsed: 0, 
-                eventStartTime: newEventStartTime,
-                eventEndTime: newEventEndTime,
-                isPaused: false, 
-                pauseStartTime: null,
-                lastResetTime: now,
-                eventDurationHours: durationHours, // Store the set duration
-                totalAinRewarded: 0, 
-            }},
-            { upsert: true }
-        );
+        const existing = await adminsCollection.findOne({ walletAddress: targetAddress });
+        if (!existing) {
+            return sendError(res, 404, 'ADMIN_NOT_FOUND', "Admin not found.");
+        }
 
-        // RESET USER STAKING STATUS FOR THE NEW CYCLE (FIX FOR NEGATIVE SLOTS)
-        const usersCollection = db.collection('users');
-        await usersCollection.updateMany(
-            {}, 
-            { $set: { 
-                claimedEventRewardTime: null, 
-                collectedEventRewardTime: null, 
-                lastRevealedUSDAmount: 0,
-                slotsStaked: 0, // ADDED: Reset slots staked for new event cycle
-                stakedUSDValue: 0, // ADDED: Reset staked USD value for new event cycle
-                stakeTransactions: [], // ADDED: Clear stake transactions for new event cycle
-                lastBXCAccrualTime: now // ADDED: Reset accrual time
-            } }
-        );
+        await adminsCollection.deleteOne({ walletAddress: targetAddress });
+        await db.collection('sessions').deleteMany({ walletAddress: targetAddress, scope: 'admin' });
 
-        console.log(`[ADMIN/SET-EVENT-DURATION] New event cycle set for ${durationHours} hours. Ends at: ${newEventEndTime.toISOString()}.`);
-        console.log("[ADMIN/SET-EVENT-DURATION] All users' staking statuses reset for the new event cycle.");
+        req.log.info("Admin removed", { targetWalletAddress: targetAddress, role: existing.role });
         res.status(200).json({
-            message: `New event cycle set for ${durationHours} hours. Ends at: ${newEventEndTime}.`,
-            eventStartTime: newEventStartTime,
-            eventEndTime: newEventEndTime
+            message: `${targetAddress} is no longer an admin.`,
+            walletAddress: targetAddress
         });
 
     } catch (error) {
-        console.error("[ADMIN/SET-EVENT-DURATION] Error setting event time:", error);
-        res.status(500).json({ message: "Internal server error setting event time." });
+        req.log.error("Error removing admin", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error removing admin.");
     }
 });
 
-// ADMIN ENDPOINT: POST /api/admin/toggle-withdrawals-pause
-app.post('/api/admin/toggle-withdrawals-pause', async (req, res) => {
-    const { walletAddress } = req.body;
+// --- API v2 ---
+// Read-only GET endpoints with the inputs in the path and query string, so responses can be cached
+// (Express adds an ETag, and If-None-Match requests get a 304). The v1 POST routes above stay as
+// they are and share the same query functions. Responses carry the resource itself, without the
+// human-readable `message` of v1; errors use the same { code, message, details } envelope.
+const V2_CACHE_CONTROL = {
+    public: 'public, max-age=5',   // Event-wide data that every visitor sees the same way
+    revalidate: 'no-cache',        // Public per-wallet data: cache, but check the ETag every time
+    private: 'private, no-cache'   // Session-scoped and admin data
+};
+
+const V2_WALLET_PARAM = { type: 'address', required: true };
+const V2_CYCLE_PARAM = { type: 'integer', required: true, min: 1 };
+
+// Path parameter and query string schemas, keyed by route path (see validateQuery).
+const API_V2_SCHEMAS = {
+    '/api/v2/event/current': {},
+    '/api/v2/users/:walletAddress': { walletAddress: V2_WALLET_PARAM },
+    '/api/v2/users/:walletAddress/cycle-results': { walletAddress: V2_WALLET_PARAM },
+    '/api/v2/cycles': REQUEST_SCHEMAS['/api/cycles'],
+    '/api/v2/cycles/:cycleNumber': { cycleNumber: V2_CYCLE_PARAM },
+    '/api/v2/cycles/:cycleNumber/draws/:walletAddress': { cycleNumber: V2_CYCLE_PARAM, walletAddress: V2_WALLET_PARAM },
+    '/api/v2/me/ledger': REQUEST_SCHEMAS['/api/ledger'],
+    '/api/v2/me/withdrawals': REQUEST_SCHEMAS['/api/withdrawals'],
+    '/api/v2/me/referrals': REQUEST_SCHEMAS['/api/referrals'],
+    '/api/v2/me/referral-stats': {},
+    '/api/v2/admin/me': {},
+    '/api/v2/admin/users': REQUEST_SCHEMAS['/api/admin/users-leaderboard'],
+    '/api/v2/admin/users/:walletAddress/ledger': { walletAddress: V2_WALLET_PARAM, ...REQUEST_SCHEMAS['/api/ledger'] },
+    '/api/v2/admin/withdrawals': {
+        status: REQUEST_SCHEMAS['/api/admin/withdrawals/list'].status,
+        walletAddress: OPTIONAL_ADDRESS,
+        limit: PAGE_LIMIT(500)
+    },
+    '/api/v2/admin/stake-refunds': {
+        status: REQUEST_SCHEMAS['/api/admin/stake-refunds/list'].status,
+        walletAddress: OPTIONAL_ADDRESS,
+        limit: PAGE_LIMIT(500)
+    },
+    '/api/v2/admin/referral-funnel': { walletAddress: OPTIONAL_ADDRESS, code: REQUEST_SCHEMAS['/api/admin/referral-funnel'].code, limit: PAGE_LIMIT(500) },
+    '/api/v2/admin/ain-price/history': REQUEST_SCHEMAS['/api/admin/ain-price/history'],
+    '/api/v2/admin/ledger/reconciliations': REQUEST_SCHEMAS['/api/admin/ledger/reconciliations'],
+    '/api/v2/admin/admins': {},
+    '/api/v2/stream': { walletAddress: OPTIONAL_ADDRESS },
+    '/api/v2/openapi.json': {}
+};
+
+// V2 ENDPOINT: GET /api/v2/event/current
+app.get('/api/v2/event/current', rateLimit('read'), validateQuery, async (req, res) => {
+    try {
+        const globalState = await getDb().collection('globalState').findOne({});
+        if (!globalState) {
+            return sendError(res, 503, 'EVENT_NOT_INITIALIZED', "Global state not found. Event not initialized.");
+        }
 
-    if (!isAdmin(walletAddress)) {
-        return res.status(403).json({ message: "Access Denied: Only admins can perform this action." });
+        res.set('Cache-Control', V2_CACHE_CONTROL.public);
+        res.status(200).json({ event: await buildEventStatus(globalState, new Date()) });
+    } catch (error) {
+        req.log.error("Error fetching current event", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
     }
+});
 
+// V2 ENDPOINT: GET /api/v2/users/:walletAddress
+// Unlike POST /api/status this never creates the user; unknown wallets get a 404.
+app.get('/api/v2/users/:walletAddress', rateLimit('read'), validateQuery, async (req, res) => {
     try {
         const db = getDb();
-        const globalStateCollection = db.collection('globalState');
-        let globalState = await globalStateCollection.findOne({});
-
-        if (!globalState) {
-            return res.status(404).json({ message: "Global state not found. Event not initialized." });
+        let user = await db.collection('users').findOne({ walletAddress: req.input.walletAddress.toLowerCase() });
+        if (!user) {
+            return sendError(res, 404, 'USER_NOT_FOUND', "User not found.");
         }
+        user = await calculateAndSaveBXC(user, req.log);
+        const globalState = await db.collection('globalState').findOne({});
 
-        let newWithdrawalsPaused = !globalState.withdrawalsPaused; 
-        
-        await globalStateCollection.updateOne(
-            {},
-            { $set: {
-                withdrawalsPaused: newWithdrawalsPaused
-            }}
-        );
-        console.log(`[ADMIN/TOGGLE-WITHDRAWALS] All withdrawals are now ${newWithdrawalsPaused ? 'paused' : 'resumed'}.`);
-        res.status(200).json({
-            message: `All withdrawals are now ${newWithdrawalsPaused ? 'paused' : 'resumed'} by admin.`,
-            withdrawalsPaused: newWithdrawalsPaused
-        });
+        res.set('Cache-Control', V2_CACHE_CONTROL.revalidate);
+        res.status(200).json({ user: await buildUserStatus(user, globalState) });
+    } catch (error) {
+        req.log.error("Error fetching user", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
+
+// V2 ENDPOINT: GET /api/v2/users/:walletAddress/cycle-results
+app.get('/api/v2/users/:walletAddress/cycle-results', rateLimit('read'), validateQuery, async (req, res) => {
+    try {
+        res.set('Cache-Control', V2_CACHE_CONTROL.revalidate);
+        res.status(200).json(await getWalletCycleResults(req.input.walletAddress.toLowerCase()));
+    } catch (error) {
+        req.log.error("Error fetching wallet cycle results", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
 
+// V2 ENDPOINT: GET /api/v2/cycles?limit=&beforeCycle=
+app.get('/api/v2/cycles', rateLimit('read'), validateQuery, async (req, res) => {
+    try {
+        res.set('Cache-Control', V2_CACHE_CONTROL.public);
+        res.status(200).json({ cycles: await findEventCycles(req.input) });
     } catch (error) {
-        console.error("[ADMIN/TOGGLE-WITHDRAWALS] Error toggling withdrawals pause:", error);
-        res.status(500).json({ message: "Internal server error toggling withdrawal pause state." });
+        req.log.error("Error listing event cycles", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
     }
 });
 
-// ADMIN ENDPOINT: POST /api/admin/users-leaderboard (Enhanced for Feature 4)
-app.post('/api/admin/users-leaderboard', async (req, res) => {
-    const { walletAddress, sortBy = 'referralCount', limit = 100 } = req.body;
+// V2 ENDPOINT: GET /api/v2/cycles/:cycleNumber
+app.get('/api/v2/cycles/:cycleNumber', rateLimit('read'), validateQuery, async (req, res) => {
+    try {
+        const cycle = await getCycleDetails(req.input.cycleNumber);
+        if (!cycle) {
+            return sendError(res, 404, 'CYCLE_NOT_FOUND', "Event cycle not found.");
+        }
 
-    if (!isAdmin(walletAddress)) {
-        return res.status(403).json({ message: "Access Denied: Only admins can view user data." });
+        res.set('Cache-Control', V2_CACHE_CONTROL.public);
+        res.status(200).json({ cycle: cycle });
+    } catch (error) {
+        req.log.error("Error fetching event cycle", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
     }
+});
 
+// V2 ENDPOINT: GET /api/v2/cycles/:cycleNumber/draws/:walletAddress
+// The wallet's reward draw in that cycle, verified against the server seed once it is revealed.
+app.get('/api/v2/cycles/:cycleNumber/draws/:walletAddress', rateLimit('read'), validateQuery, async (req, res) => {
     try {
-        const db = getDb();
-        const usersCollection = db.collection('users');
+        const verification = await verifyRewardDraw(req.input.walletAddress.toLowerCase(), req.input.cycleNumber);
+        if (!verification) {
+            return sendError(res, 404, 'REWARD_DRAW_NOT_FOUND', "No reward reveal found for this wallet in that cycle.");
+        }
 
-        const sortCriteria = {};
-        const validSortBys = ['referralCount', 'BXC_Balance', 'AIN_Balance', 'stakedUSDValue', 'createdAt']; 
-        if (validSortBys.includes(sortBy)) {
-            sortCriteria[sortBy] = -1; 
-            if (sortBy === 'createdAt') { 
-                 sortCriteria[sortBy] = -1; 
-            }
-        } else {
-            sortCriteria.referralCount = -1; 
-        }
-
-        const users = await usersCollection.find({})
-                                        .project({ 
-                                            walletAddress: 1, 
-                                            referralCode: 1,
-                                            referralCount: 1, 
-                                            BXC_Balance: 1, 
-                                            AIN_Balance: 1, 
-                                            stakedUSDValue: 1,
-                                            createdAt: 1 
-                                        })
-                                        .sort(sortCriteria)
-                                        .limit(parseInt(limit))
-                                        .toArray();
+        res.set('Cache-Control', V2_CACHE_CONTROL.revalidate);
+        res.status(200).json(verification);
+    } catch (error) {
+        req.log.error("Error verifying reward draw", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
+    }
+});
 
+// V2 ENDPOINT: GET /api/v2/me/ledger?token=&limit=&before=
+app.get('/api/v2/me/ledger', requireSession, rateLimit('read'), validateQuery, async (req, res) => {
+    try {
+        res.set('Cache-Control', V2_CACHE_CONTROL.private);
         res.status(200).json({
-            message: "User leaderboard fetched successfully.",
-            users: users
+            walletAddress: req.walletAddress,
+            entries: await findLedgerEntries(req.walletAddress, req.input)
         });
-
     } catch (error) {
-        console.error("[ADMIN/LEADERBOARD] Error fetching users leaderboard:", error);
-        res.status(500).json({ message: "Internal server error fetching user data." });
+        req.log.error("Error fetching ledger", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
     }
 });
 
-// NEW ADMIN ENDPOINT: POST /api/admin/set-staking-wallet (Feature 2)
-app.post('/api/admin/set-staking-wallet', async (req, res) => {
-    const { walletAddress, newStakingAddress } = req.body;
-
-    if (!isAdmin(walletAddress)) {
-        return res.status(403).json({ message: "Access Denied: Only admins can perform this action." });
+// V2 ENDPOINT: GET /api/v2/me/withdrawals?status=&limit=
+app.get('/api/v2/me/withdrawals', requireSession, rateLimit('read'), validateQuery, async (req, res) => {
+    try {
+        res.set('Cache-Control', V2_CACHE_CONTROL.private);
+        res.status(200).json({ withdrawals: await findWithdrawals({ walletAddress: req.walletAddress, ...req.input }) });
+    } catch (error) {
+        req.log.error("Error fetching withdrawals", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
     }
-    if (!newStakingAddress || !/^0x[a-fA-F0-9]{40}$/.test(newStakingAddress)) {
-        return res.status(400).json({ message: "Invalid Ethereum wallet address format." });
+});
+
+// V2 ENDPOINT: GET /api/v2/me/referrals?limit=&before=
+app.get('/api/v2/me/referrals', requireSession, rateLimit('read'), validateQuery, async (req, res) => {
+    try {
+        res.set('Cache-Control', V2_CACHE_CONTROL.private);
+        res.status(200).json(await getReferralOverview(req.walletAddress, req.input));
+    } catch (error) {
+        req.log.error("Error fetching referrals", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
     }
+});
 
+// V2 ENDPOINT: GET /api/v2/me/referral-stats
+app.get('/api/v2/me/referral-stats', requireSession, rateLimit('read'), validateQuery, async (req, res) => {
     try {
-        const db = getDb();
-        const globalStateCollection = db.collection('globalState');
-        
-        await globalStateCollection.updateOne(
-            {},
-            { $set: { stakingRecipientAddress: newStakingAddress.toLowerCase() } },
-            { upsert: true }
-        );
-        console.log(`[ADMIN/SET-STAKING-WALLET] Staking wallet address updated to: ${newStakingAddress.toLowerCase()}.`);
+        res.set('Cache-Control', V2_CACHE_CONTROL.private);
         res.status(200).json({
-            message: `Staking wallet address updated to: ${newStakingAddress.toLowerCase()}.`,
-            stakingRecipientAddress: newStakingAddress.toLowerCase()
+            walletAddress: req.walletAddress,
+            codes: await getReferralFunnel({ referrerWallet: req.walletAddress })
         });
-
     } catch (error) {
-        console.error("[ADMIN/SET-STAKING-WALLET] Error setting staking wallet:", error);
-        res.status(500).json({ message: "Internal server error setting staking wallet." });
+        req.log.error("Error fetching referral stats", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
     }
 });
 
-// NEW ADMIN ENDPOINT: POST /api/admin/set-stake-amount (Feature 5)
-app.post('/api/admin/set-stake-amount', async (req, res) => {
-    const { walletAddress, newStakeAmount } = req.body;
+// V2 ADMIN ENDPOINT: GET /api/v2/admin/me
+app.get('/api/v2/admin/me', requireAdmin('support'), rateLimit('admin'), validateQuery, async (req, res) => {
+    res.set('Cache-Control', V2_CACHE_CONTROL.private);
+    res.status(200).json({ isAdmin: true, walletAddress: req.walletAddress, role: req.admin.role });
+});
 
-    if (!isAdmin(walletAddress)) {
-        return res.status(403).json({ message: "Access Denied: Only admins can perform this action." });
-    }
-    if (typeof newStakeAmount !== 'number' || newStakeAmount <= 0) {
-        return res.status(400).json({ message: "Invalid stake amount. Must be a positive number." });
+// V2 ADMIN ENDPOINT: GET /api/v2/admin/users?sortBy=&limit=
+app.get('/api/v2/admin/users', requireAdmin('support'), rateLimit('admin'), validateQuery, async (req, res) => {
+    try {
+        res.set('Cache-Control', V2_CACHE_CONTROL.private);
+        res.status(200).json({ users: await findLeaderboardUsers(req.input) });
+    } catch (error) {
+        req.log.error("Error fetching users leaderboard", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error fetching user data.");
     }
+});
+
+// V2 ADMIN ENDPOINT: GET /api/v2/admin/users/:walletAddress/ledger?token=&limit=&before=
+app.get('/api/v2/admin/users/:walletAddress/ledger', requireAdmin('support'), rateLimit('admin'), validateQuery, async (req, res) => {
+    const walletAddress = req.input.walletAddress.toLowerCase();
 
     try {
-        const db = getDb();
-        const globalStateCollection = db.collection('globalState');
-        
-        await globalStateCollection.updateOne(
-            {},
-            { $set: { initialStakeAmountUSD: newStakeAmount } },
-            { upsert: true }
-        );
-        console.log(`[ADMIN/SET-STAKE-AMOUNT] Initial stake amount updated to $${newStakeAmount.toFixed(2)}.`);
+        res.set('Cache-Control', V2_CACHE_CONTROL.private);
         res.status(200).json({
-            message: `Initial stake amount updated to $${newStakeAmount.toFixed(2)}.`,
-            initialStakeAmountUSD: newStakeAmount
+            walletAddress: walletAddress,
+            entries: await findLedgerEntries(walletAddress, req.input)
         });
-
     } catch (error) {
-        console.error("[ADMIN/SET-STAKE-AMOUNT] Error setting stake amount:", error);
-        res.status(500).json({ message: "Internal server error setting stake amount." });
+        req.log.error("Error fetching user ledger", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error fetching user ledger.");
     }
 });
 
-// NEW ADMIN ENDPOINT: POST /api/admin/set-max-slots (Feature 6)
-app.post('/api/admin/set-max-slots', async (req, res) => {
-    const { walletAddress, newMaxSlots } = req.body;
-
-    if (!isAdmin(walletAddress)) {
-        return res.status(403).json({ message: "Access Denied: Only admins can perform this action." });
-    }
-    if (typeof newMaxSlots !== 'number' || newMaxSlots <= 0 || !Number.isInteger(newMaxSlots)) {
-        return res.status(400).json({ message: "Invalid max slots. Must be a positive integer." });
-    }
+// V2 ADMIN ENDPOINT: GET /api/v2/admin/withdrawals?status=&walletAddress=&limit=
+app.get('/api/v2/admin/withdrawals', requireAdmin('support'), rateLimit('admin'), validateQuery, async (req, res) => {
+    const { status = 'requested', walletAddress, limit = 100 } = req.input;
 
     try {
-        const db = getDb();
-        const globalStateCollection = db.collection('globalState');
-        
-        await globalStateCollection.updateOne(
-            {},
-            { $set: { maxStakeSlots: newMaxSlots } },
-            { upsert: true }
-        );
-        console.log(`[ADMIN/SET-MAX-SLOTS] Maximum stake slots updated to ${newMaxSlots}.`);
+        res.set('Cache-Control', V2_CACHE_CONTROL.private);
         res.status(200).json({
-            message: `Maximum stake slots updated to ${newMaxSlots}.`,
-            maxStakeSlots: newMaxSlots
+            withdrawals: await findWithdrawals({
+                walletAddress: walletAddress ? walletAddress.toLowerCase() : null,
+                status: status,
+                limit: limit,
+                order: 1
+            })
         });
-
     } catch (error) {
-        console.error("[ADMIN/SET-MAX-SLOTS] Error setting max slots:", error);
-        res.status(500).json({ message: "Internal server error setting max slots." });
+        req.log.error("Error fetching withdrawals", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error fetching withdrawals.");
     }
 });
 
-// NEW ADMIN ENDPOINT: POST /api/admin/set-ain-reward-pool (Feature 3)
-app.post('/api/admin/set-ain-reward-pool', async (req, res) => {
-    const { walletAddress, newMaxAinRewardPool } = req.body;
-
-    if (!isAdmin(walletAddress)) {
-        return res.status(403).json({ message: "Access Denied: Only admins can perform this action." });
-    }
-    if (typeof newMaxAinRewardPool !== 'number' || newMaxAinRewardPool < 0) {
-        return res.status(400).json({ message: "Invalid AIN reward pool amount. Must be a non-negative number." });
-    }
+// V2 ADMIN ENDPOINT: GET /api/v2/admin/stake-refunds?status=&walletAddress=&limit=
+app.get('/api/v2/admin/stake-refunds', requireAdmin('support'), rateLimit('admin'), validateQuery, async (req, res) => {
+    const { status = 'refund_due', walletAddress, limit = 100 } = req.input;
 
     try {
-        const db = getDb();
-        const globalStateCollection = db.collection('globalState');
-        
-        await globalStateCollection.updateOne(
-            {},
-            { $set: { maxAinRewardPool: newMaxAinRewardPool } },
-            { upsert: true }
-        );
-        console.log(`[ADMIN/SET-AIN-POOL] Max AIN reward pool set to ${newMaxAinRewardPool} AIN.`);
+        res.set('Cache-Control', V2_CACHE_CONTROL.private);
         res.status(200).json({
-            message: `Max AIN reward pool set to ${newMaxAinRewardPool} AIN.`,
-            maxAinRewardPool: newMaxAinRewardPool
+            refunds: await findStakeRefunds({
+                walletAddress: walletAddress ? walletAddress.toLowerCase() : null,
+                status: status,
+                limit: limit
+            })
         });
-
     } catch (error) {
-        console.error("[ADMIN/SET-AIN-POOL] Error setting AIN pool:", error);
-        res.status(500).json({ message: "Internal server error setting AIN pool." });
+        req.log.error("Error fetching stake refunds", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error fetching stake refunds.");
     }
 });
 
-// NEW ADMIN ENDPOINT: POST /api/admin/fund-user (Feature 7)
-app.post('/api/admin/fund-user', async (req, res) => {
-    const { walletAddress: adminWalletAddress, targetWalletAddress, tokenType, amount } = req.body;
-
-    if (!isAdmin(adminWalletAddress)) {
-        return res.status(403).json({ message: "Access Denied: Only admins can perform this action." });
-    }
-    if (!targetWalletAddress || !/^0x[a-fA-F0-9]{40}$/.test(targetWalletAddress)) {
-        return res.status(400).json({ message: "Invalid target wallet address format." });
-    }
-    if (!['BXC', 'AIN'].includes(tokenType)) {
-        return res.status(400).json({ message: "Invalid token type. Must be 'BXC' or 'AIN'." });
-    }
-    if (typeof amount !== 'number' || amount <= 0) {
-        return res.status(400).json({ message: "Invalid amount. Must be a positive number." });
+// V2 ADMIN ENDPOINT: GET /api/v2/admin/referral-funnel?walletAddress=&code=&limit=
+app.get('/api/v2/admin/referral-funnel', requireAdmin('support'), rateLimit('admin'), validateQuery, async (req, res) => {
+    try {
+        res.set('Cache-Control', V2_CACHE_CONTROL.private);
+        res.status(200).json({ codes: await findReferralFunnel(req.input) });
+    } catch (error) {
+        req.log.error("Error fetching referral funnel", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error fetching referral funnel.");
     }
+});
 
-    const userToFundAddress = targetWalletAddress.toLowerCase();
-
+// V2 ADMIN ENDPOINT: GET /api/v2/admin/ain-price/history?limit=&before=
+app.get('/api/v2/admin/ain-price/history', requireAdmin('support'), rateLimit('admin'), validateQuery, async (req, res) => {
     try {
-        const db = getDb();
-        const usersCollection = db.collection('users');
-
-        const updateField = tokenType === 'BXC' ? 'BXC_Balance' : 'AIN_Balance';
-        
-        const result = await usersCollection.updateOne(
-            { walletAddress: userToFundAddress },
-            { $inc: { [updateField]: amount } },
-            { upsert: true } 
-        );
+        res.set('Cache-Control', V2_CACHE_CONTROL.private);
+        res.status(200).json(await getAinPriceHistory(req.input));
+    } catch (error) {
+        req.log.error("Error fetching AIN price history", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error fetching AIN price history.");
+    }
+});
 
-        if (result.matchedCount === 0 && result.upsertedCount === 0) {
-             return res.status(404).json({ message: `User ${userToFundAddress} not found and could not be created.` });
-        }
-        console.log(`[ADMIN/FUND-USER] Successfully funded ${userToFundAddress} with ${amount.toFixed(4)} ${tokenType}.`);
-        res.status(200).json({
-            message: `Successfully funded ${userToFundAddress} with ${amount.toFixed(4)} ${tokenType}.`,
-            targetWallet: userToFundAddress,
-            tokenType: tokenType,
-            fundedAmount: amount
-        });
+// V2 ADMIN ENDPOINT: GET /api/v2/admin/ledger/reconciliations?limit=
+app.get('/api/v2/admin/ledger/reconciliations', requireAdmin('support'), rateLimit('admin'), validateQuery, async (req, res) => {
+    try {
+        res.set('Cache-Control', V2_CACHE_CONTROL.private);
+        res.status(200).json({ reports: await findReconciliationReports(req.input) });
+    } catch (error) {
+        req.log.error("Error fetching reports", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error fetching reconciliation reports.");
+    }
+});
 
+// V2 ADMIN ENDPOINT: GET /api/v2/admin/admins
+app.get('/api/v2/admin/admins', requireAdmin('owner'), rateLimit('admin'), validateQuery, async (req, res) => {
+    try {
+        res.set('Cache-Control', V2_CACHE_CONTROL.private);
+        res.status(200).json({ admins: await findAdmins() });
     } catch (error) {
-        console.error("[ADMIN/FUND-USER] Error funding user:", error);
-        res.status(500).json({ message: "Internal server error funding user." });
+        req.log.error("Error fetching admins", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Internal server error fetching admins.");
     }
 });
 
+// --- Live Event Stream ---
+// GET /api/v2/stream is a Server-Sent Events feed that replaces polling /api/status. It sends an
+// 'event' message with the event-wide counters and toggles whenever they change and, when the client
+// passes ?walletAddress=, a 'balance' message whenever that wallet's balances change. The changes
+// come from MongoDB change streams, so every machine sees writes made by the others. Each process
+// opens one change stream per collection and fans the changes out to its own connected clients.
+const streamLog = logger.child({ component: 'stream' });
+const STREAM_HEARTBEAT_MS = 25 * 1000;     // Comment line that keeps proxies from closing idle streams
+const STREAM_RETRY_MS = 5 * 1000;          // Browser reconnect delay, and the delay before reopening a failed change stream
+const STREAM_WALLET_COUNT_DELAY_MS = 2 * 1000; // New wallets are counted at most this often
+const STREAM_MAX_CLIENTS = parseInt(process.env.STREAM_MAX_CLIENTS, 10) || 2000;
+const STREAM_EVENT_FIELDS = [
+    'cycleNumber', 'totalSlotsUsed', 'maxStakeSlots', 'eventStartTime', 'eventEndTime', 'eventDurationHours',
+    'claimWindowHours', 'isPaused', 'pauseStartTime', 'withdrawalsPaused', 'withdrawalsPausedReason',
+    'maxAinRewardPool', 'totalAinRewarded', 'gameMode', 'nextGameMode'
+];
+const STREAM_BALANCE_FIELDS = [
+    'slotsStaked', 'stakedUSDValue', 'BXC_Balance', 'AIN_Balance', 'BXC_Reserved', 'AIN_Reserved', 'lastBXCAccrualTime'
+];
+
+const streamClients = new Set(); // { res, walletAddress }
+const changeStreams = new Set();
+let liveEventState = null;
+let walletCountTimer = null;
+let streamHeartbeatTimer = null;
+let liveEventStreamStopped = false;
+
+// Writes to a connected client, or drops it if it is not reading: while res.writableNeedDrain is
+// set, earlier writes are still buffered, and a slow client's buffer would otherwise grow without limit.
+function writeToStreamClient(client, chunk) {
+    if (client.res.writableNeedDrain) {
+        streamClients.delete(client);
+        client.res.destroy();
+        return;
+    }
+    client.res.write(chunk);
+}
 
-// NEW ADMIN ENDPOINT: POST /api/admin/reset-user-profile
-app.post('/api/admin/reset-user-profile', async (req, res) => {
-    const { adminWalletAddress, targetWalletAddress } = req.body;
-    const now = new Date();
+function writeStreamMessage(client, event, data) {
+    writeToStreamClient(client, `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
-    if (!isAdmin(adminWalletAddress)) {
-        return res.status(403).json({ message: "Access Denied: Only admins can perform this action." });
+function toLiveEventState(globalState, totalConnectedWallets) {
+    const state = { totalConnectedWallets: totalConnectedWallets };
+    for (const field of STREAM_EVENT_FIELDS) {
+        state[field] = globalState[field] !== undefined ? globalState[field] : null;
     }
-    if (!targetWalletAddress || !/^0x[a-fA-F0-9]{40}$/.test(targetWalletAddress)) {
-        return res.status(400).json({ message: "Invalid target wallet address format." });
+    state.rolloverTime = globalState.eventEndTime ? getRolloverTime(globalState) : null;
+    return state;
+}
+
+function toLiveBalance(user) {
+    const balance = { walletAddress: user.walletAddress };
+    for (const field of STREAM_BALANCE_FIELDS) {
+        balance[field] = user[field] !== undefined ? user[field] : null;
     }
+    return balance;
+}
 
-    const userToResetAddress = targetWalletAddress.toLowerCase();
+// Merges `changes` into the cached event state and pushes it to every client if anything differs.
+function publishEventState(changes) {
+    const next = { ...(liveEventState || {}), ...changes };
+    if (liveEventState && JSON.stringify(next) === JSON.stringify(liveEventState)) {
+        return;
+    }
+    liveEventState = next;
+    for (const client of streamClients) {
+        writeStreamMessage(client, 'event', liveEventState);
+    }
+}
 
-    try {
-        const db = getDb();
-        const usersCollection = db.collection('users');
-        const globalStateCollection = db.collection('globalState');
+function publishBalance(user) {
+    const balance = toLiveBalance(user);
+    for (const client of streamClients) {
+        if (client.walletAddress === user.walletAddress) {
+            writeStreamMessage(client, 'balance', balance);
+        }
+    }
+}
 
-        const user = await usersCollection.findOne({ walletAddress: userToResetAddress });
-        let globalState = await globalStateCollection.findOne({}); // Fetch global state
+// Reads the event state from the database, for the first client and after a change stream restart
+// (changes made while it was down are not replayed).
+async function refreshLiveEventState() {
+    const db = getDb();
+    const globalState = await db.collection('globalState').findOne({});
+    if (globalState) {
+        publishEventState(toLiveEventState(globalState, await db.collection('users').countDocuments({})));
+    }
+}
 
-        if (!user) {
-            return res.status(404).json({ message: "User not found." });
+function scheduleWalletCount() {
+    if (walletCountTimer) {
+        return;
+    }
+    walletCountTimer = setTimeout(async () => {
+        walletCountTimer = null;
+        try {
+            publishEventState({ totalConnectedWallets: await getDb().collection('users').countDocuments({}) });
+        } catch (error) {
+            streamLog.error("Error counting connected wallets", error);
         }
-        
-        // Determine how many slots to decrement from global count, but ensure it doesn't go below 0
-        const slotsToDecrement = user.slotsStaked > 0 ? user.slotsStaked : 0;
+    }, STREAM_WALLET_COUNT_DELAY_MS);
+}
 
-        // Reset user's staking-related data
-        await usersCollection.updateOne(
-            { walletAddress: userToResetAddress },
-            {
-                $set: {
-                    slotsStaked: 0,
-                    stakedUSDValue: 0,
-                    stakeTransactions: [], // Clear all past stake records for this user
-                    claimedEventRewardTime: null,
-                    collectedEventRewardTime: null,
-                    lastRevealedUSDAmount: 0,
-                    lastBXCAccrualTime: now // Reset accrual time to prevent immediate back-accrual if they re-stake
-                }
+// Opens a change stream and keeps it open. The driver resumes by itself after transient errors;
+// anything it gives up on is logged and the stream is reopened from the current state.
+function watchCollection(collectionName, pipeline, onChange) {
+    const open = () => {
+        const changeStream = getDb().collection(collectionName).watch(pipeline, { fullDocument: 'updateLookup' });
+        changeStreams.add(changeStream);
+        changeStream.on('change', change => {
+            try {
+                onChange(change);
+            } catch (error) {
+                streamLog.error("Error handling change", { collection: collectionName, error: error });
             }
-        );
+        });
+        changeStream.on('error', error => {
+            changeStreams.delete(changeStream);
+            changeStream.close().catch(() => {});
+            if (liveEventStreamStopped) {
+                return;
+            }
+            streamLog.error("Change stream failed, reopening", { collection: collectionName, retryInMs: STREAM_RETRY_MS, error: error });
+            setTimeout(() => {
+                open();
+                refreshLiveEventState().catch(refreshError => streamLog.error("Error refreshing event state", refreshError));
+            }, STREAM_RETRY_MS);
+        });
+    };
+    open();
+}
 
-        // Safely update global totalSlotsUsed, ensuring it doesn't go below zero
-        if (slotsToDecrement > 0) {
-            let currentTotalSlotsUsed = globalState.totalSlotsUsed || 0;
-            let newTotalSlotsUsed = Math.max(0, currentTotalSlotsUsed - slotsToDecrement);
+// Starts the change streams. Needs a replica set (Atlas always has one), like the ledger transactions.
+function startLiveEventStream() {
+    watchCollection('globalState', [{ $match: { operationType: { $in: ['insert', 'update', 'replace'] } } }], change => {
+        if (change.fullDocument) {
+            publishEventState(toLiveEventState(change.fullDocument, liveEventState ? liveEventState.totalConnectedWallets : 0));
+        }
+    });
 
-            await globalStateCollection.updateOne(
-                {},
-                { $set: { totalSlotsUsed: newTotalSlotsUsed } }
-            );
+    // Only user writes that touch a streamed field, plus new users for the wallet counter.
+    const balanceChanged = STREAM_BALANCE_FIELDS.map(field => ({ [`updateDescription.updatedFields.${field}`]: { $exists: true } }));
+    watchCollection('users', [{ $match: { $or: [{ operationType: { $in: ['insert', 'replace'] } }, ...balanceChanged] } }], change => {
+        if (change.operationType === 'insert') {
+            scheduleWalletCount();
+        }
+        if (change.fullDocument) {
+            publishBalance(change.fullDocument);
         }
+    });
 
-        const updatedUser = await usersCollection.findOne({ walletAddress: userToResetAddress });
-        const updatedGlobalState = await globalStateCollection.findOne({});
+    streamHeartbeatTimer = setInterval(() => {
+        for (const client of streamClients) {
+            writeToStreamClient(client, ': heartbeat\n\n');
+        }
+    }, STREAM_HEARTBEAT_MS);
 
-        console.log(`[ADMIN/RESET-USER] User ${userToResetAddress} staking profile reset. Slots decremented: ${slotsToDecrement}`);
+    refreshLiveEventState().catch(error => streamLog.error("Error loading event state", error));
+}
 
-        res.status(200).json({
-            message: `User ${userToResetAddress}'s staking profile has been successfully reset. They can now stake again.`,
-            user: {
-                walletAddress: updatedUser.walletAddress,
-                slotsStaked: updatedUser.slotsStaked,
-                stakedUSDValue: updatedUser.stakedUSDValue,
-                BXC_Balance: updatedUser.BXC_Balance, // BXC/AIN balances are NOT reset by this function
-                AIN_Balance: updatedUser.AIN_Balance,
-                claimedEventRewardTime: updatedUser.claimedEventRewardTime,
-                collectedEventRewardTime: updatedUser.collectedEventRewardTime,
-                lastRevealedUSDAmount: updatedUser.lastRevealedUSDAmount,
-                stakeTransactions: updatedUser.stakeTransactions
-            },
-            global: {
-                totalSlotsUsed: updatedGlobalState.totalSlotsUsed
-            }
-        });
+// Closes the change streams and ends every open stream, which EventSource clients answer by
+// reconnecting (to another machine, during shutdown).
+async function stopLiveEventStream() {
+    liveEventStreamStopped = true;
+    clearInterval(streamHeartbeatTimer);
+    clearTimeout(walletCountTimer);
+    for (const client of streamClients) {
+        client.res.end();
+    }
+    streamClients.clear();
+    await Promise.allSettled([...changeStreams].map(changeStream => changeStream.close()));
+}
+
+// V2 ENDPOINT: GET /api/v2/stream?walletAddress=
+// Sends the current state on connect, then changes as they happen. Balances are public (see
+// GET /api/v2/users/:walletAddress), so no session is needed, which EventSource could not send anyway.
+app.get('/api/v2/stream', rateLimit('read'), validateQuery, async (req, res) => {
+    if (streamClients.size >= STREAM_MAX_CLIENTS) {
+        res.set('Retry-After', String(STREAM_RETRY_MS / 1000));
+        return sendError(res, 503, 'STREAM_UNAVAILABLE', "Too many open streams. Please poll GET /api/v2/event/current instead.");
+    }
+
+    const walletAddress = req.input.walletAddress ? req.input.walletAddress.toLowerCase() : null;
+    const client = { res: res, walletAddress: walletAddress };
+    try {
+        if (!liveEventState) {
+            await refreshLiveEventState();
+        }
+        const user = walletAddress ? await getDb().collection('users').findOne({ walletAddress: walletAddress }) : null;
 
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+        if (liveEventState) {
+            writeStreamMessage(client, 'event', liveEventState);
+        }
+        if (user) {
+            writeStreamMessage(client, 'balance', toLiveBalance(user));
+        }
     } catch (error) {
-        console.error("[ADMIN/RESET-USER] Error resetting user profile:", error);
-        res.status(500).json({ message: "Internal server error resetting user profile." });
+        req.log.error("Error opening event stream", error);
+        return sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
     }
-});
 
+    // A client that disconnected during the awaits above has already fired 'close'.
+    if (req.destroyed) {
+        return;
+    }
+    streamClients.add(client);
+    req.on('close', () => streamClients.delete(client));
+});
 
-// NEW ADMIN ENDPOINT: POST /api/admin/reset-all-user-stakes
-app.post('/api/admin/reset-all-user-stakes', async (req, res) => {
-    const { walletAddress: adminWalletAddress } = req.body;
-    const now = new Date();
+// --- OpenAPI Document ---
+// GET /api/v2/openapi.json describes every registered route. The document is generated from the
+// Express router on first request: paths and methods from the routes themselves, auth from the
+// requireSession / requireAdmin middleware, inputs from REQUEST_SCHEMAS and API_V2_SCHEMAS, and
+// summaries and response bodies from OPENAPI_ROUTE_DOCS.
+const OPENAPI_OBJECT = { type: 'object', additionalProperties: true };
+const OPENAPI_TIMESTAMP = { type: 'string', format: 'date-time', nullable: true };
+const openApiRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const openApiListOf = (field, name, extra = {}) => ({ type: 'object', properties: { [field]: { type: 'array', items: openApiRef(name) }, ...extra } });
+
+const OPENAPI_SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['code', 'message', 'details'],
+        properties: {
+            code: { type: 'string', description: "Stable machine-readable error code, e.g. 'EVENT_PAUSED'." },
+            message: { type: 'string', description: 'Human-readable description. Do not branch on it.' },
+            details: { ...OPENAPI_OBJECT, nullable: true }
+        }
+    },
+    User: {
+        type: 'object',
+        properties: {
+            walletAddress: { type: 'string' },
+            slotsStaked: { type: 'integer' },
+            stakedUSDValue: { type: 'number' },
+            BXC_Balance: { type: 'number' },
+            AIN_Balance: { type: 'number' },
+            BXC_Reserved: { type: 'number' },
+            AIN_Reserved: { type: 'number' },
+            claimedEventRewardTime: OPENAPI_TIMESTAMP,
+            collectedEventRewardTime: OPENAPI_TIMESTAMP,
+            lastRevealedUSDAmount: { type: 'number' },
+            lastRevealedAINAmount: { type: 'number' },
+            lastReferralCopyBonusGiven: OPENAPI_TIMESTAMP,
+            referralCode: { type: 'string' },
+            referralCount: { type: 'integer' },
+            referredBy: { type: 'string', nullable: true },
+            createdAt: OPENAPI_TIMESTAMP,
+            stakeTransactions: { type: 'array', items: OPENAPI_OBJECT },
+            lastBXCAccrualTime: OPENAPI_TIMESTAMP
+        }
+    },
+    Event: {
+        type: 'object',
+        properties: {
+            cycleNumber: { type: 'integer' },
+            totalSlotsUsed: { type: 'integer' },
+            maxStakeSlots: { type: 'integer' },
+            eventStartTime: OPENAPI_TIMESTAMP,
+            eventEndTime: OPENAPI_TIMESTAMP,
+            rolloverTime: OPENAPI_TIMESTAMP,
+            eventDurationHours: { type: 'number' },
+            claimWindowHours: { type: 'number' },
+            isPaused: { type: 'boolean' },
+            pauseStartTime: OPENAPI_TIMESTAMP,
+            withdrawalsPaused: { type: 'boolean' },
+            withdrawalsPausedReason: { type: 'string', nullable: true },
+            withdrawalRules: OPENAPI_OBJECT,
+            serverTime: OPENAPI_TIMESTAMP,
+            stakingRecipientAddress: { type: 'string' },
+            initialStakeAmountUSD: { type: 'number' },
+            maxAinRewardPool: { type: 'number' },
+            totalAinRewarded: { type: 'number' },
+            totalConnectedWallets: { type: 'integer' },
+            serverSeedHash: { type: 'string', nullable: true },
+            gameMode: { type: 'string', enum: Object.keys(GAME_MODES) },
+            nextGameMode: { type: 'string', enum: Object.keys(GAME_MODES), nullable: true },
+            rewardTiers: { type: 'array', items: OPENAPI_OBJECT },
+            luckyWinnerSlotThreshold: { type: 'integer' },
+            ainUsdPrice: { type: 'number' },
+            ainPriceUpdatedAt: OPENAPI_TIMESTAMP,
+            referralBonusLevels: { type: 'array', items: { type: 'number' } },
+            referralCommissionPercent: { type: 'number' },
+            referralShareBonusMode: { type: 'string', enum: ['copy', 'conversion'] }
+        }
+    },
+    Cycle: OPENAPI_OBJECT,
+    WalletCycleResults: {
+        type: 'object',
+        properties: {
+            walletAddress: { type: 'string' },
+            currentCycle: { ...OPENAPI_OBJECT, nullable: true },
+            results: { type: 'array', items: OPENAPI_OBJECT }
+        }
+    },
+    RewardDrawVerification: {
+        type: 'object',
+        properties: {
+            verified: { type: 'boolean', nullable: true, description: 'null until the cycle is settled and its server seed revealed.' },
+            serverSeed: { type: 'string', nullable: true },
+            checks: OPENAPI_OBJECT,
+            recomputed: OPENAPI_OBJECT,
+            draw: OPENAPI_OBJECT
+        }
+    },
+    LedgerEntry: {
+        type: 'object',
+        properties: {
+            walletAddress: { type: 'string' },
+            token: { type: 'string', enum: Object.keys(BALANCE_FIELDS) },
+            amount: { type: 'number' },
+            reason: { type: 'string', enum: Object.values(LEDGER_REASONS) },
+            cycleNumber: { type: 'integer', nullable: true },
+            relatedTx: { type: 'string', nullable: true },
+            relatedWallet: { type: 'string', nullable: true },
+            relatedAdmin: { type: 'string', nullable: true },
+            relatedWithdrawal: { type: 'string', nullable: true },
+            createdAt: OPENAPI_TIMESTAMP
+        }
+    },
+    Withdrawal: {
+        type: 'object',
+        properties: {
+            withdrawalId: { type: 'string' },
+            walletAddress: { type: 'string' },
+            token: { type: 'string', enum: Object.keys(BALANCE_FIELDS) },
+            amount: { type: 'number' },
+            status: { type: 'string', enum: WITHDRAWAL_STATUSES },
+            cycleNumber: { type: 'integer' },
+            txHash: { type: 'string', nullable: true },
+            payoutAdapter: { type: 'string', nullable: true },
+            approvedBy: { type: 'string', nullable: true },
+            rejectionReason: { type: 'string', nullable: true },
+            failureReason: { type: 'string', nullable: true },
+            history: { type: 'array', items: OPENAPI_OBJECT },
+            createdAt: OPENAPI_TIMESTAMP,
+            updatedAt: OPENAPI_TIMESTAMP
+        }
+    },
+    StakeRefund: {
+        type: 'object',
+        properties: {
+            stakeId: { type: 'string' },
+            walletAddress: { type: 'string' },
+            hash: { type: 'string' },
+            cycleNumber: { type: 'integer' },
+            amountUSD: { type: 'number' },
+            paidUSD: { type: 'number', nullable: true },
+            status: { type: 'string', enum: STAKE_REFUND_STATUSES },
+            refundTxHash: { type: 'string', nullable: true },
+            refundedBy: { type: 'string', nullable: true },
+            refundNote: { type: 'string', nullable: true },
+            createdAt: OPENAPI_TIMESTAMP,
+            verifiedAt: OPENAPI_TIMESTAMP,
+            refundedAt: OPENAPI_TIMESTAMP
+        }
+    },
+    ReferralOverview: {
+        type: 'object',
+        properties: {
+            walletAddress: { type: 'string' },
+            referralBonusLevels: { type: 'array', items: { type: 'number' } },
+            referralCommissionPercent: { type: 'number' },
+            levels: { type: 'array', items: OPENAPI_OBJECT },
+            totalEarned: OPENAPI_OBJECT,
+            referees: { type: 'array', items: OPENAPI_OBJECT }
+        }
+    },
+    ReferralCodeFunnel: {
+        type: 'object',
+        properties: {
+            code: { type: 'string' },
+            referrerWallet: { type: 'string' },
+            clicks: { type: 'integer' },
+            uniqueVisitors: { type: 'integer' },
+            connectedWallets: { type: 'integer' },
+            stakes: { type: 'integer' },
+            conversionRate: { type: 'number' },
+            lastClickAt: OPENAPI_TIMESTAMP
+        }
+    }
+};
+
+// Summary and 200 response body per 'METHOD path'. Routes missing here are still documented, with a
+// generic response.
+const OPENAPI_ROUTE_DOCS = {
+    'POST /api/auth/nonce': { summary: 'Issue a single-use sign-in nonce and the SIWE message to sign.' },
+    'POST /api/auth/verify': { summary: 'Exchange a signed SIWE message for a session token.' },
+    'POST /api/auth/logout': { summary: 'Revoke the current session token.' },
+    'POST /api/status': { summary: 'Event state plus the given wallet, which is created on first visit.', response: { type: 'object', properties: { user: { ...openApiRef('User'), nullable: true }, global: openApiRef('Event') } } },
+    'POST /api/stake': { summary: 'Record a stake transaction for on-chain verification.' },
+    'POST /api/withdraw-stake': { summary: 'Withdraw the current stake before the event starts.' },
+    'POST /api/reveal-reward': { summary: "Draw and reveal the wallet's reward for the cycle." },
+    'POST /api/collect-reward': { summary: 'Credit the revealed reward: AIN to the balance, or USD to the stake.' },
+    'POST /api/withdraw': { summary: 'Request a BXC withdrawal; paid out after admin approval.' },
+    'POST /api/withdrawAIN': { summary: 'Request an AIN withdrawal; paid out after admin approval.' },
+    'POST /api/withdrawals': { summary: "List the signed-in wallet's withdrawals.", response: openApiListOf('withdrawals', 'Withdrawal') },
+    'POST /api/referral-copied': { summary: 'Claim the referral link share bonus.' },
+    'POST /api/referral-click': { summary: 'Record a visit to a referral link.' },
+    'POST /api/referral-stats': { summary: "Click-to-stake funnel for the signed-in wallet's referral codes.", response: openApiListOf('codes', 'ReferralCodeFunnel') },
+    'POST /api/referral-code/claim': { summary: 'Replace the referral code with a vanity code.' },
+    'POST /api/referrals': { summary: "The signed-in wallet's referees and referral earnings.", response: openApiRef('ReferralOverview') },
+    'POST /api/cycles': { summary: 'List event cycles, newest first.', response: openApiListOf('cycles', 'Cycle') },
+    'POST /api/cycles/stats': { summary: "One cycle's parameters and outcome stats.", response: { type: 'object', properties: { cycle: openApiRef('Cycle') } } },
+    'POST /api/cycles/wallet-results': { summary: "A wallet's outcome in every cycle.", response: openApiRef('WalletCycleResults') },
+    'POST /api/fairness/verify': { summary: 'Verify a reward draw against the revealed server seed.', response: openApiRef('RewardDrawVerification') },
+    'POST /api/ledger': { summary: "The signed-in wallet's balance history.", response: openApiListOf('entries', 'LedgerEntry') },
+    'POST /api/admin/status': { summary: 'Check the admin session and role.' },
+    'POST /api/admin/toggle-event-pause': { summary: 'Pause or resume the event.' },
+    'POST /api/admin/set-event-duration': { summary: "Change the running cycle's duration." },
+    'POST /api/admin/set-claim-window': { summary: 'Change the claim window after each cycle.' },
+    'POST /api/admin/toggle-withdrawals-pause': { summary: 'Pause or resume all withdrawals.' },
+    'POST /api/admin/set-withdrawal-rules': { summary: "Update a token's withdrawal limits." },
+    'POST /api/admin/set-rate-limits': { summary: "Update a route class's rate limits." },
+    'POST /api/admin/users-leaderboard': { summary: 'Top users by a chosen field.' },
+    'POST /api/admin/set-staking-wallet': { summary: 'Change the staking recipient address.' },
+    'POST /api/admin/set-stake-amount': { summary: 'Change the stake amount in USD.' },
+    'POST /api/admin/set-max-slots': { summary: 'Change the number of staking slots.' },
+    'POST /api/admin/set-ain-reward-pool': { summary: 'Change the AIN reward pool.' },
+    'POST /api/admin/reward-tiers/set': { summary: 'Replace the reward tiers for the current or next cycle.' },
+    'POST /api/admin/reward-tiers/preview': { summary: 'Expected payout of a reward table.' },
+    'POST /api/admin/game-mode/set': { summary: 'Choose how rewards are settled in the current or next cycle.' },
+    'POST /api/admin/simulate-event': { summary: 'Dry-run a cycle with synthetic wallets and report its payouts.' },
+    'POST /api/admin/referral-funnel': { summary: 'Click-to-stake funnel per referral code.', response: openApiListOf('codes', 'ReferralCodeFunnel') },
+    'POST /api/admin/set-referral-rewards': { summary: 'Update referral bonuses, commission and attribution.' },
+    'POST /api/admin/ain-price/set': { summary: 'Set the AIN price manually.' },
+    'POST /api/admin/ain-price/history': { summary: 'Recorded AIN prices, newest first.' },
+    'POST /api/admin/fund-user': { summary: "Credit a user's balance." },
+    'POST /api/admin/reset-user-profile': { summary: "Reset one user's event progress." },
+    'POST /api/admin/reset-all-user-stakes': { summary: "Reset every user's event progress." },
+    'POST /api/admin/user-ledger': { summary: "A user's balance history.", response: openApiListOf('entries', 'LedgerEntry') },
+    'POST /api/admin/ledger/reconcile': { summary: 'Check every balance against its ledger.' },
+    'POST /api/admin/ledger/reconciliations': { summary: 'Recent reconciliation reports.' },
+    'POST /api/admin/withdrawals/list': { summary: 'Withdrawal queue, oldest first.', response: openApiListOf('withdrawals', 'Withdrawal') },
+    'POST /api/admin/withdrawals/approve': { summary: 'Approve and pay out a withdrawal.' },
+    'POST /api/admin/withdrawals/reject': { summary: 'Reject a withdrawal and release its funds.' },
+    'POST /api/admin/stake-refunds/list': { summary: 'Stakes paid after their cycle ended, oldest first.', response: openApiListOf('refunds', 'StakeRefund') },
+    'POST /api/admin/stake-refunds/resolve': { summary: "Record the transaction that returned a stake's payment.", response: { type: 'object', properties: { refund: openApiRef('StakeRefund') } } },
+    'POST /api/admin/admins/list': { summary: 'List admins.' },
+    'POST /api/admin/admins/add': { summary: 'Add an admin or change their role.' },
+    'POST /api/admin/admins/remove': { summary: 'Remove an admin.' },
+
+    'GET /api/health': { summary: 'Readiness verdict in the original { status, message } shape.' },
+    'GET /api/health/live': { summary: 'Liveness: the process is serving requests.' },
+    'GET /api/health/ready': { summary: "Readiness with a per-check breakdown. 503 when MongoDB or the global state is unavailable." },
+    'GET /api/v2/event/current': { summary: 'The running event cycle.', response: { type: 'object', properties: { event: openApiRef('Event') } } },
+    'GET /api/v2/users/{walletAddress}': { summary: 'A user by wallet address.', response: { type: 'object', properties: { user: openApiRef('User') } } },
+    'GET /api/v2/users/{walletAddress}/cycle-results': { summary: "A wallet's outcome in every cycle.", response: openApiRef('WalletCycleResults') },
+    'GET /api/v2/cycles': { summary: 'Event cycles, newest first.', response: openApiListOf('cycles', 'Cycle') },
+    'GET /api/v2/cycles/{cycleNumber}': { summary: "One cycle's parameters and outcome stats.", response: { type: 'object', properties: { cycle: openApiRef('Cycle') } } },
+    'GET /api/v2/cycles/{cycleNumber}/draws/{walletAddress}': { summary: "A wallet's reward draw, verified against the server seed.", response: openApiRef('RewardDrawVerification') },
+    'GET /api/v2/me/ledger': { summary: "The signed-in wallet's balance history.", response: openApiListOf('entries', 'LedgerEntry', { walletAddress: { type: 'string' } }) },
+    'GET /api/v2/me/withdrawals': { summary: "The signed-in wallet's withdrawals.", response: openApiListOf('withdrawals', 'Withdrawal') },
+    'GET /api/v2/me/referrals': { summary: "The signed-in wallet's referees and referral earnings.", response: openApiRef('ReferralOverview') },
+    'GET /api/v2/me/referral-stats': { summary: "Click-to-stake funnel for the signed-in wallet's referral codes.", response: openApiListOf('codes', 'ReferralCodeFunnel', { walletAddress: { type: 'string' } }) },
+    'GET /api/v2/admin/me': { summary: 'The signed-in admin and their role.' },
+    'GET /api/v2/admin/users': { summary: 'Top users by a chosen field.' },
+    'GET /api/v2/admin/users/{walletAddress}/ledger': { summary: "A user's balance history.", response: openApiListOf('entries', 'LedgerEntry', { walletAddress: { type: 'string' } }) },
+    'GET /api/v2/admin/withdrawals': { summary: 'Withdrawal queue, oldest first.', response: openApiListOf('withdrawals', 'Withdrawal') },
+    'GET /api/v2/admin/stake-refunds': { summary: 'Stakes paid after their cycle ended, oldest first.', response: openApiListOf('refunds', 'StakeRefund') },
+    'GET /api/v2/admin/referral-funnel': { summary: 'Click-to-stake funnel per referral code.', response: openApiListOf('codes', 'ReferralCodeFunnel') },
+    'GET /api/v2/admin/ain-price/history': { summary: 'Recorded AIN prices, newest first.' },
+    'GET /api/v2/admin/ledger/reconciliations': { summary: 'Recent reconciliation reports.' },
+    'GET /api/v2/admin/admins': { summary: 'List admins.' },
+    'GET /api/v2/stream': {
+        summary: "Server-Sent Events: 'event' messages with the live event state and, with walletAddress, 'balance' messages for that wallet.",
+        contentType: 'text/event-stream',
+        response: { type: 'string' }
+    },
+    'GET /api/v2/openapi.json': { summary: 'This document.' }
+};
+
+// Translates a REQUEST_SCHEMAS / API_V2_SCHEMAS field rule into an OpenAPI 3.0 schema object.
+function toOpenApiSchema(rule) {
+    const schema = {};
+    if (REQUEST_FIELD_PATTERNS[rule.type]) {
+        schema.type = 'string';
+        schema.pattern = REQUEST_FIELD_PATTERNS[rule.type].pattern.source;
+        schema.description = REQUEST_FIELD_PATTERNS[rule.type].description;
+    } else if (rule.type === 'date') {
+        schema.type = 'string';
+        schema.format = 'date-time';
+    } else if (rule.type) {
+        schema.type = rule.type;
+    }
 
-    if (!isAdmin(adminWalletAddress)) {
-        return res.status(403).json({ message: "Access Denied: Only admins can perform this action." });
+    if (rule.enum) {
+        schema.enum = rule.enum;
+        schema.type = schema.type || 'string';
+    }
+    if (rule.nullable) {
+        schema.nullable = true;
+    }
+    if (rule.min !== undefined) {
+        schema.minimum = rule.min;
+    }
+    if (rule.exclusiveMin !== undefined) {
+        schema.minimum = rule.exclusiveMin;
+        schema.exclusiveMinimum = true;
+    }
+    if (rule.max !== undefined) {
+        schema.maximum = rule.max;
+    }
+    if (rule.minLength !== undefined) {
+        schema.minLength = rule.minLength;
+    }
+    if (rule.maxLength !== undefined) {
+        schema.maxLength = rule.maxLength;
+    }
+    if (rule.minItems !== undefined) {
+        schema.minItems = rule.minItems;
+    }
+    if (rule.maxItems !== undefined) {
+        schema.maxItems = rule.maxItems;
     }
+    if (rule.items) {
+        schema.items = toOpenApiSchema(rule.items);
+    }
+    return schema;
+}
 
-    try {
-        const db = getDb();
-        const usersCollection = db.collection('users');
-        const globalStateCollection = db.collection('globalState');
+function buildOpenApiDocument() {
+    const paths = {};
+    const errorResponse = (description) => ({ description: description, content: { 'application/json': { schema: openApiRef('Error') } } });
 
-        // Reset staking-related data for ALL users
-        await usersCollection.updateMany(
-            {},
-            {
-                $set: {
-                    slotsStaked: 0,
-                    stakedUSDValue: 0,
-                    stakeTransactions: [], // Clear all past stake records
-                    claimedEventRewardTime: null,
-                    collectedEventRewardTime: null,
-                    lastRevealedUSDAmount: 0,
-                    lastBXCAccrualTime: now
+    for (const layer of app._router.stack) {
+        if (!layer.route) {
+            continue;
+        }
+        const expressPath = layer.route.path;
+        const openApiPath = expressPath.replace(/:(\w+)/g, '{$1}');
+        const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+        const adminMiddleware = handlers.find(handle => handle.minRole);
+        const requiresSession = handlers.includes(requireSession);
+        const isRateLimited = handlers.some(handle => handle.routeClass);
+
+        for (const method of Object.keys(layer.route.methods)) {
+            const docs = OPENAPI_ROUTE_DOCS[`${method.toUpperCase()} ${openApiPath}`] || {};
+            const operation = {
+                summary: docs.summary || `${method.toUpperCase()} ${openApiPath}`,
+                tags: [expressPath.startsWith('/api/v2/') ? 'v2' : 'v1'],
+                responses: {
+                    200: {
+                        description: 'Success.',
+                        content: { [docs.contentType || 'application/json']: { schema: docs.response || OPENAPI_OBJECT } }
+                    },
+                    default: errorResponse('Error. See `code` for the reason.')
                 }
-            }
-        );
+            };
 
-        // Reset totalSlotsUsed in global state to 0
-        await globalStateCollection.updateOne(
-            {},
-            { $set: { totalSlotsUsed: 0 } }
-        );
+            if (method === 'post' && REQUEST_SCHEMAS[expressPath]) {
+                const schema = REQUEST_SCHEMAS[expressPath];
+                const required = Object.keys(schema).filter(field => schema[field].required);
+                operation.requestBody = {
+                    required: required.length > 0,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: Object.fromEntries(Object.entries(schema).map(([field, rule]) => [field, toOpenApiSchema(rule)])),
+                                ...(required.length > 0 ? { required: required } : {})
+                            }
+                        }
+                    }
+                };
+                operation.responses[400] = errorResponse('VALIDATION_FAILED: the body does not match the schema.');
+            }
+            if (method === 'get' && API_V2_SCHEMAS[expressPath]) {
+                const pathParams = new Set((expressPath.match(/:(\w+)/g) || []).map(param => param.slice(1)));
+                operation.parameters = Object.entries(API_V2_SCHEMAS[expressPath]).map(([field, rule]) => ({
+                    name: field,
+                    in: pathParams.has(field) ? 'path' : 'query',
+                    required: pathParams.has(field) || Boolean(rule.required),
+                    schema: toOpenApiSchema(rule)
+                }));
+                operation.responses[400] = errorResponse('VALIDATION_FAILED: a parameter is invalid.');
+            }
+            if (adminMiddleware) {
+                operation.security = [{ adminSession: [] }];
+                operation.description = `Requires an admin session with at least the '${adminMiddleware.minRole}' role.`;
+                operation.tags.push('admin');
+                operation.responses[401] = errorResponse('AUTH_REQUIRED');
+                operation.responses[403] = errorResponse('NOT_ADMIN or INSUFFICIENT_ROLE');
+            } else if (requiresSession) {
+                operation.security = [{ walletSession: [] }];
+                operation.responses[401] = errorResponse('AUTH_REQUIRED');
+            }
+            if (isRateLimited) {
+                operation.responses[429] = errorResponse('RATE_LIMITED: see the Retry-After header.');
+            }
 
-        console.log(`[ADMIN/RESET-ALL-USERS] All users' staking profiles reset and totalSlotsUsed set to 0.`);
+            paths[openApiPath] = { ...(paths[openApiPath] || {}), [method]: operation };
+        }
+    }
 
-        res.status(200).json({
-            message: "All users' staking profiles have been successfully reset. Total slots used reset to 0.",
-            global: {
-                totalSlotsUsed: 0
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'ExtraShare BXC API',
+            version: require('./package.json').version,
+            description: 'v1 routes are POST with a JSON body. v2 routes are cacheable GETs. All errors use the Error envelope.'
+        },
+        servers: [{ url: '/' }],
+        tags: [
+            { name: 'v1', description: 'Original POST API.' },
+            { name: 'v2', description: 'Read-only GET API.' },
+            { name: 'admin', description: 'Admin panel routes.' }
+        ],
+        paths: paths,
+        components: {
+            schemas: OPENAPI_SCHEMAS,
+            securitySchemes: {
+                walletSession: { type: 'http', scheme: 'bearer', description: "Token from POST /api/auth/verify with scope 'user'." },
+                adminSession: { type: 'http', scheme: 'bearer', description: "Token from POST /api/auth/verify with scope 'admin'." }
             }
-        });
+        }
+    };
+}
 
-    } catch (error) {
-        console.error("[ADMIN/RESET-ALL-USERS] Error resetting all user profiles:", error);
-        res.status(500).json({ message: "Internal server error resetting all user profiles." });
+let openApiDocument = null;
+
+// V2 ENDPOINT: GET /api/v2/openapi.json
+app.get('/api/v2/openapi.json', rateLimit('read'), validateQuery, (req, res) => {
+    if (!openApiDocument) {
+        openApiDocument = buildOpenApiDocument();
+    }
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(openApiDocument);
+});
+
+// Unknown API routes and errors thrown outside route handlers (e.g. malformed JSON bodies rejected
+// by express.json) get the same error envelope as everything else.
+app.use('/api', (req, res) => {
+    sendError(res, 404, 'NOT_FOUND', `No API route for ${req.method} ${req.originalUrl}.`);
+});
+
+app.use((error, req, res, next) => {
+    if (res.headersSent) {
+        return next(error);
+    }
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'INVALID_JSON', "Request body is not valid JSON.");
     }
+    if (error.type === 'entity.too.large') {
+        return sendError(res, 413, 'PAYLOAD_TOO_LARGE', "Request body is too large.");
+    }
+    req.log.error("Unhandled error", error);
+    sendError(res, 500, 'INTERNAL_ERROR', "Internal server error.");
 });
 
 
 // --- Server Listener for Fly.io ---
-connectToMongo().then(() => {
-    app.listen(port, () => {
-        console.log(`Backend server running on port ${port}`);
+// The HTTP server starts right away so health checks answer while MongoDB is still connecting;
+// until it is, API routes return 503 (see requireDatabase). Background jobs start once connected.
+// On SIGTERM / SIGINT (fly.toml sets the signal and kill_timeout) the server stops accepting
+// connections, drains in-flight requests and background jobs, then closes the MongoDB client.
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 25 * 1000; // Keep below kill_timeout
+const shutdownLog = logger.child({ component: 'shutdown' });
+const backgroundTimers = [];
+const runningJobs = new Set();
+let httpServer = null;
+let metricsServer = null;
+
+// Runs a background job, tracked so shutdown can wait for it. Jobs log their own errors. Resolves to
+// the job's result, or undefined if it failed or shutdown has started.
+function runBackgroundJob(job) {
+    if (shuttingDown) {
+        return Promise.resolve();
+    }
+    const run = Promise.resolve()
+        .then(job)
+        .catch(error => logger.error("Unhandled error in background job", { job: job.name, error: error }))
+        .finally(() => runningJobs.delete(run));
+    runningJobs.add(run);
+    return run;
+}
+
+function startBackgroundJobs() {
+    backgroundTimers.push(setInterval(() => runBackgroundJob(processPendingStakes), STAKE_VERIFY_INTERVAL_MS));
+    backgroundTimers.push(setInterval(() => runBackgroundJob(processBroadcastWithdrawals), WITHDRAWAL_POLL_INTERVAL_MS));
+    backgroundTimers.push(setInterval(() => runBackgroundJob(refreshAinPrice), AIN_PRICE_REFRESH_MS));
+    runBackgroundJob(refreshAinPrice);
+    runBackgroundJob(scheduleEventRollover);
+    startLiveEventStream();
+}
+
+function closeServer(server) {
+    if (!server) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => {
+        server.close(() => resolve());
+        server.closeIdleConnections();
     });
-}).catch(err => {
-    console.error("FATAL: Failed to start server due to MongoDB connection or initialization error:", err);
-    process.exit(1);
+}
+
+async function shutdown(reason, exitCode = 0) {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    shutdownLog.info("Shutting down", { reason: reason, inFlightJobs: runningJobs.size });
+    setTimeout(() => {
+        shutdownLog.error("Shutdown timed out; exiting with work still in flight", { inFlightJobs: runningJobs.size });
+        process.exit(exitCode || 1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    backgroundTimers.forEach(clearInterval);
+    clearTimeout(rolloverTimer);
+    await stopLiveEventStream();
+    await Promise.all([closeServer(httpServer), closeServer(metricsServer), Promise.allSettled([...runningJobs])]);
+
+    if (client) {
+        await client.close().catch(error => shutdownLog.error("Error closing the MongoDB client", error));
+    }
+    shutdownLog.info("Shutdown complete");
+    process.exit(exitCode);
+}
+
+httpServer = app.listen(port, () => {
+    startupLog.info("Backend server listening", { port: port });
+});
+metricsServer = startMetricsServer();
+connectToMongoWithRetry().then(connected => {
+    if (connected) {
+        startBackgroundJobs();
+    }
 });
 
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // --- Robust Error Handling for Uncaught Exceptions ---
 process.on('unhandledRejection', (reason, promise) => {
-    console.error('UNHANDLED REJECTION:', reason);
+    logger.error("Unhandled rejection", { error: reason });
 });
 
+// After an uncaught exception the process is in an unknown state: drain what can be drained and
+// exit non-zero so Fly restarts the machine.
 process.on('uncaughtException', (err) => {
-    console.error('UNCAUGHT EXCEPTION:', err);
+    logger.error("Uncaught exception", err);
+    shutdown('uncaughtException', 1);
 });